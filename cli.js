@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+require('dotenv').config({ quiet: true });
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { loadConfig } = require('./lib/config');
+const { createStorage, TOKEN_STATUSES } = require('./lib/storage');
+const { createDexScreener } = require('./lib/dexscreener');
+const { loadFeeds, SOURCES } = require('./lib/feeds');
+const { normalizeChain } = require('./lib/moderation');
+const { FORMATS, parseDate, collectExport, formatExport } = require('./lib/export');
+const { backfillFeeds } = require('./lib/backfill');
+
+// -------------------------------
+// Служебные команды для базы бота. Работают с тем же файлом SQLite, что и bot2.js
+// (можно запускать, пока бот работает):
+//   node cli.js export [--format csv|json] [--since 2024-05-01] [--until 7d] [--chain solana]
+//                      [--source cto] [--status alerted] [--out alerts.csv]
+//   node cli.js backfill [--dry-run]
+
+// Пути и настройки те же, что у бота (lib/config.js)
+const config = loadConfig(process.env);
+
+const USAGE = `Usage:
+  node cli.js export [--format ${FORMATS.join('|')}] [--since DATE] [--until DATE] [--chain CHAIN]
+                     [--source ${Object.keys(SOURCES).join('|')}] [--status ${TOKEN_STATUSES.join('|')}] [--out FILE]
+  node cli.js backfill [--dry-run]
+
+DATE is YYYY-MM-DD, an ISO timestamp or a duration back from now (12h, 7d).`;
+
+function openStorage() {
+  if (config.DB_BACKEND === 'memory') {
+    throw new Error('The database is memory-only (USE_MEMORY_DB / DB_BACKEND=memory), nothing to work with');
+  }
+  return createStorage({ backend: 'sqlite', file: config.SQLITE_FILE });
+}
+
+function buildFilter(values) {
+  const filter = {};
+  if (values.since) filter.since = parseDate(values.since);
+  if (values.until) filter.until = parseDate(values.until, { endOfDay: true });
+  if (values.chain) filter.chain = normalizeChain(values.chain);
+  if (values.source) {
+    if (!SOURCES[values.source]) throw new Error(`Unknown source "${values.source}"`);
+    filter.source = values.source;
+  }
+  if (values.status) {
+    if (!TOKEN_STATUSES.includes(values.status)) throw new Error(`Unknown status "${values.status}"`);
+    filter.status = values.status;
+  }
+  return filter;
+}
+
+function runExport(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      format: { type: 'string', default: 'csv' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      chain: { type: 'string' },
+      source: { type: 'string' },
+      status: { type: 'string' },
+      out: { type: 'string' }
+    }
+  });
+
+  const filter = buildFilter(values);
+  const storage = openStorage();
+  try {
+    const records = collectExport(storage, filter);
+    const output = formatExport(records, values.format, filter);
+    if (values.out) {
+      fs.writeFileSync(values.out, output);
+      console.log(`✅ Exported ${records.length} token(s) to ${values.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  } finally {
+    storage.close();
+  }
+}
+
+async function runBackfill(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  const feeds = loadFeeds({ file: config.FEEDS_FILE, env: config.env }).filter(feed => feed.enabled);
+  const storage = openStorage();
+  try {
+    const dex = createDexScreener({
+      maxRetries: config.API_MAX_RETRIES,
+      breakerThreshold: config.API_BREAKER_THRESHOLD,
+      breakerCooldown: config.API_BREAKER_COOLDOWN
+    });
+    const result = await backfillFeeds({ storage, dex, feeds, dryRun: values['dry-run'] });
+    console.log(
+      `${values['dry-run'] ? '🔎 Dry run: would seed' : '✅ Seeded'} ${result.added} token(s) ` +
+      `(${result.seen} in feeds, ${result.known} already known)`
+    );
+    if (result.failed.length) {
+      throw new Error(`Failed to fetch feed(s): ${result.failed.join(', ')}`);
+    }
+  } finally {
+    storage.close();
+  }
+}
+
+const COMMANDS = {
+  export: runExport,
+  backfill: runBackfill
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!command || command === 'help' || command === '--help') {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+  await COMMANDS[command](args);
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
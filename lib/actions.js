@@ -0,0 +1,104 @@
+const lookup = require('./lookup');
+const { normalizeTokenId, createSnapshot } = require('./storage');
+
+// -------------------------------
+// Ручные действия над токенами, общие для команд Telegram и панели управления:
+// поиск пар по адресу, принудительная публикация и бан адреса.
+// Ошибки содержат statusCode (как в server.js), по нему вызывающий выбирает ответ
+
+function actionError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function createActions({ storage, dex, alerts, tracker, moderation, safety, copycats }) {
+  // Пары токена по адресу. Без сети она определяется по формату адреса (EVM hex / Solana base58)
+  async function findPairs(address, chain) {
+    if (!chain && !lookup.detectAddressFamily(address)) {
+      throw actionError(400, 'Unknown address format, please specify the chain');
+    }
+
+    let pairs;
+    try {
+      pairs = lookup.selectPairs(await dex.fetchTokenPairs(address), address, chain);
+    } catch (err) {
+      console.error(`❌ Error fetching token ${address}:`, err.message);
+      throw actionError(502, 'DexScreener request failed, please try again later');
+    }
+
+    if (!pairs.length) {
+      throw actionError(404, `No pairs found for ${address}${chain ? ` on ${chain}` : ''}`);
+    }
+    return pairs;
+  }
+
+  // Принудительная публикация: токен, пропущенный фидом или фильтром, отправляется во все
+  // каналы CTO без проверки правил. Каналы, где алерт уже есть, пропускаются.
+  // Забаненный адрес не публикуется: возвращается { ban }
+  async function repost(pairs, address, { by }) {
+    const pair = pairs[0];
+    address = pair.baseToken?.address || address;
+
+    const ban = moderation.getBan(address);
+    if (ban) return { address, ban };
+
+    // Число пар на той же сети - как в fetchTokenDetails, для оценки риска
+    pair.pairsCount = pairs.filter(p => p.chainId === pair.chainId).length;
+    await safety.enrich(pair);
+    const tokenId = normalizeTokenId(pair.chainId, address);
+    const stored = storage.getToken(tokenId);
+    const ctoData = stored?.cto || lookup.buildCtoFromPair(pair);
+    await copycats.annotate(ctoData, pair);
+
+    storage.saveToken({
+      id: tokenId,
+      source: 'cto',
+      chain: pair.chainId.toLowerCase(),
+      address,
+      claimDate: stored?.claimDate || null,
+      cto: ctoData,
+      status: 'alerted',
+      reasons: [`manual repost by ${by}`],
+      snapshot: createSnapshot(pair),
+      attempts: stored?.attempts || 0
+    });
+    copycats.remember(tokenId, ctoData, pair);
+
+    const { queued } = alerts.queueAlert(tokenId, ctoData, pair, 'cto', { force: true });
+    const result = { tokenId, address, chain: pair.chainId, queued, sent: 0, pending: alerts.outbox.pending() };
+    if (!queued) return result;
+
+    tracker.schedule(tokenId);
+    await alerts.outbox.processDue();
+    console.log(`📤 Manual repost of ${tokenId}: ${queued} destination(s)`);
+    return {
+      ...result,
+      sent: storage.listDeliveries(tokenId).filter(d => d.status === 'sent').length,
+      pending: alerts.outbox.pending()
+    };
+  }
+
+  // Бан адреса. Еще не отправленные алерты отменяются, уже опубликованные снимает /retract.
+  // null - адрес уже забанен
+  function ban(address, { reason = null, createdBy = null } = {}) {
+    if (!moderation.ban(address, { reason, createdBy })) return null;
+
+    let cancelled = 0;
+    for (const token of storage.findTokensByAddress(address)) {
+      cancelled += storage.cancelOutbox(token.id);
+    }
+    console.log(`⛔ Banned ${address}${reason ? `: ${reason}` : ''}`);
+    return { address, reason, cancelled };
+  }
+
+  return {
+    findPairs,
+    repost,
+    ban
+  };
+}
+
+module.exports = {
+  createActions
+};
@@ -0,0 +1,202 @@
+const messages = require('./messages');
+const subscriptions = require('./subscriptions');
+const { matchDestinations } = require('./router');
+const { visibleLength, localizedTemplate } = require('./templates');
+const { createOutbox } = require('./outbox');
+
+// -------------------------------
+// Отправка алертов: каналы через постоянную очередь, личные сообщения подписчикам
+// и отзыв опубликованных сообщений. bot - клиент Telegram (node-telegram-bot-api
+// или совместимый с ним, например фейковый в тестах), locales - язык каналов (lib/i18n.js)
+
+function createAlerts({
+  bot,
+  storage,
+  templates,
+  destinations,
+  locales,
+  footer = null,
+  captionLimit = 1024,
+  sendConcurrency = 2,
+  outboxMaxAttempts = 8,
+  alertsCounter,
+  sendFailuresCounter
+}) {
+  // Готовое сообщение для канала: текст по его шаблону на языке канала, кнопки и баннер
+  function buildPayload(destination, ctoData, tokenDetails, source = 'cto') {
+    const locale = locales.forDestination(destination);
+    const template = localizedTemplate(templates, destination.template, locale);
+    const { text, parseMode } = messages.renderMessage(template, ctoData, tokenDetails, {
+      source,
+      locale,
+      footer: footer || null
+    });
+    return {
+      text,
+      parseMode,
+      keyboard: messages.buildKeyboard(destination.buttons, ctoData, tokenDetails),
+      banner: destination.banner ? messages.pickBanner(ctoData, tokenDetails) : null,
+      source,
+      chain: ctoData.chainId.toLowerCase()
+    };
+  }
+
+  // Отправка одного алерта в конкретный канал с его шаблоном, кнопками и баннером
+  async function sendToDestination(destination, ctoData, tokenDetails, source = 'cto') {
+    const payload = buildPayload(destination, ctoData, tokenDetails, source);
+    console.log(`📤 Sending to ${destination.id}. Banner:`, payload.banner ? 'Yes' : 'No');
+    return sendCard(destination.chatId, payload);
+  }
+
+  // Карточка с баннером отправляется фото с подписью. Если подпись длиннее лимита Telegram,
+  // отправляется текстом, а баннер показывается как превью ссылки над текстом
+  async function sendCard(chatId, { text, parseMode, keyboard, banner }) {
+    if (banner && visibleLength(text, parseMode) <= captionLimit) {
+      return bot.sendPhoto(chatId, banner, {
+        caption: text,
+        parse_mode: parseMode,
+        reply_markup: keyboard
+      });
+    }
+
+    if (banner) {
+      console.log(`📝 Caption exceeds ${captionLimit} characters, sending as text with banner preview`);
+      return bot.sendMessage(chatId, text, {
+        parse_mode: parseMode,
+        link_preview_options: JSON.stringify({ url: banner, prefer_large_media: true, show_above_text: true }),
+        reply_markup: keyboard
+      });
+    }
+    return bot.sendMessage(chatId, text, {
+      parse_mode: parseMode,
+      disable_web_page_preview: true,
+      reply_markup: keyboard
+    });
+  }
+
+  // Очередь отправки в каналы: переживает рестарт, повторяет неудачные отправки
+  // и записывает ID отправленных сообщений для /retract
+  const outbox = createOutbox({
+    storage,
+    send: sendCard,
+    maxAttempts: outboxMaxAttempts,
+    concurrency: sendConcurrency,
+    onSent: (item) => {
+      alertsCounter.inc({ source: item.payload.source || 'cto', chain: item.payload.chain || 'unknown', destination: item.destination });
+    },
+    onFailed: (item) => {
+      sendFailuresCounter.inc({ kind: 'channel', destination: item.destination });
+    }
+  });
+
+  // Диспетчер: ставит токен в очередь для всех подходящих каналов источника,
+  // пропуская те, куда он уже был доставлен.
+  // force (/repost) - все включенные каналы источника без проверки их правил
+  function queueAlert(tokenId, ctoData, tokenDetails, source = 'cto', { force = false } = {}) {
+    const result = { queued: 0 };
+    const targets = force
+      ? destinations.filter(dest => dest.enabled && dest.sources.includes(source))
+      : matchDestinations(destinations, ctoData, tokenDetails, source);
+
+    if (!targets.length) {
+      console.log(`📭 No destination matched for Token: ${ctoData.tokenAddress}`);
+      return result;
+    }
+
+    for (const destination of targets) {
+      if (storage.isDelivered(tokenId, destination.id)) {
+        console.log(`⏭️ Already delivered to ${destination.id}: ${ctoData.tokenAddress}`);
+        continue;
+      }
+
+      const payload = buildPayload(destination, ctoData, tokenDetails, source);
+      if (outbox.enqueue({ tokenId, destination: destination.id, chatId: destination.chatId, payload, replace: force })) {
+        result.queued++;
+        console.log(`📥 Queued ${ctoData.tokenAddress} for ${destination.id}. Banner:`, payload.banner ? 'Yes' : 'No');
+      }
+    }
+
+    return result;
+  }
+
+  // Личные алерты подписчикам. Заблокировавшие бота (403) отключаются автоматически
+  async function fanOutToSubscribers(tokenId, ctoData, tokenDetails) {
+    let sent = 0;
+    for (const subscriber of storage.listActiveSubscribers()) {
+      if (storage.hasSubscriberAlert(subscriber.userId, tokenId)) continue;
+      if (!subscriptions.matchesSubscriber(subscriber, ctoData, tokenDetails)) continue;
+
+      const destination = {
+        id: `user:${subscriber.userId}`,
+        chatId: subscriber.chatId,
+        template: 'full',
+        buttons: messages.DEFAULT_BUTTONS,
+        banner: true
+      };
+
+      try {
+        await sendToDestination(destination, ctoData, tokenDetails);
+        storage.recordSubscriberAlert(subscriber.userId, tokenId);
+        sent++;
+      } catch (err) {
+        if (subscriptions.isBlockedError(err)) {
+          storage.deactivateSubscriber(subscriber.userId, 'blocked');
+          console.log(`🚷 Subscriber ${subscriber.userId} blocked the bot, deactivated`);
+        } else {
+          sendFailuresCounter.inc({ kind: 'subscriber', destination: 'dm' });
+          console.error(`❌ Failed to send DM alert to ${subscriber.userId}:`, err.message);
+        }
+      }
+
+      await new Promise(r => setTimeout(r, 50)); // лимит Telegram ~30 сообщений в секунду
+    }
+
+    if (sent) {
+      console.log(`📬 DM alert for ${ctoData.tokenAddress} sent to ${sent} subscriber(s)`);
+    }
+  }
+
+  // Отзыв опубликованного алерта: удаление сообщений в каналах (или правка, если удалить
+  // нельзя - Telegram разрешает удалять только сообщения младше 48 часов) и отмена очереди
+  async function retractMessage(delivery, mode, notice) {
+    if (mode === 'delete') {
+      try {
+        await bot.deleteMessage(delivery.chatId, delivery.messageId);
+        return 'deleted';
+      } catch (err) {
+        console.log(`⚠️ Cannot delete message ${delivery.messageId} in ${delivery.destination} (${err.message}), editing instead`);
+      }
+    }
+
+    const target = { chat_id: delivery.chatId, message_id: delivery.messageId };
+    // Для старых доставок тип сообщения неизвестен: пробуем текст, затем подпись к фото
+    const edits = delivery.kind === 'photo' ? ['caption'] : delivery.kind === 'text' ? ['text'] : ['text', 'caption'];
+    for (const edit of edits) {
+      try {
+        if (edit === 'caption') {
+          await bot.editMessageCaption(notice, target);
+        } else {
+          await bot.editMessageText(notice, { ...target, disable_web_page_preview: true });
+        }
+        return 'edited';
+      } catch (err) {
+        console.error(`❌ Failed to edit message ${delivery.messageId} in ${delivery.destination}:`, err.message);
+      }
+    }
+    return 'failed';
+  }
+
+  return {
+    outbox,
+    buildPayload,
+    sendCard,
+    sendToDestination,
+    queueAlert,
+    fanOutToSubscribers,
+    retractMessage
+  };
+}
+
+module.exports = {
+  createAlerts
+};
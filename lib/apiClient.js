@@ -0,0 +1,186 @@
+const axios = require('axios');
+
+// -------------------------------
+// HTTP клиент для внешних API: лимит запросов (token bucket) по каждому endpoint,
+// повторы с экспоненциальной задержкой и jitter, поддержка Retry-After,
+// circuit breaker и метрики по каждому endpoint
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Token bucket: capacity запросов, восполняется равномерно за interval мс
+function createTokenBucket({ capacity, interval }) {
+  let tokens = capacity;
+  let last = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - last) / interval) * capacity);
+    last = now;
+  }
+
+  // Запросы встают в очередь, чтобы ожидающие не обгоняли друг друга
+  function take() {
+    const next = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(((1 - tokens) / capacity) * interval);
+        refill();
+      }
+      tokens -= 1;
+    });
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  return { take };
+}
+
+// Retry-After: число секунд или HTTP-дата
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(err) {
+  const status = err.response?.status;
+  if (!status) return true; // таймаут или сетевая ошибка
+  return status === 429 || status >= 500;
+}
+
+function createApiClient({
+  http = axios,
+  baseURL = '',
+  headers = {},
+  timeout = 10000,
+  limits = {},
+  defaultLimit = { capacity: 60, interval: 60000 },
+  maxRetries = 3,
+  baseDelay = 500,
+  maxDelay = 30000,
+  breakerThreshold = 5,
+  breakerCooldown = 60000
+} = {}) {
+  const buckets = {};
+  const metrics = {};
+  const breaker = { state: 'closed', failures: 0, openedAt: null };
+
+  function getBucket(endpoint) {
+    if (!buckets[endpoint]) {
+      buckets[endpoint] = createTokenBucket(limits[endpoint] || defaultLimit);
+    }
+    return buckets[endpoint];
+  }
+
+  function getMetrics(endpoint) {
+    if (!metrics[endpoint]) {
+      metrics[endpoint] = {
+        requests: 0,
+        successes: 0,
+        failures: 0,
+        retries: 0,
+        rateLimited: 0,
+        totalLatencyMs: 0,
+        lastLatencyMs: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null
+      };
+    }
+    return metrics[endpoint];
+  }
+
+  // closed -> open после breakerThreshold неудачных вызовов подряд,
+  // через breakerCooldown пропускается один пробный вызов (half-open)
+  function checkBreaker() {
+    if (breaker.state !== 'open') return;
+    if (Date.now() - breaker.openedAt >= breakerCooldown) {
+      breaker.state = 'half-open';
+      return;
+    }
+    const error = new Error('Circuit breaker is open, API calls are paused');
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  function onSuccess() {
+    if (breaker.state !== 'closed') {
+      console.log('✅ API circuit breaker closed');
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+  }
+
+  function onFailure() {
+    breaker.failures++;
+    if (breaker.state === 'half-open' || breaker.failures >= breakerThreshold) {
+      if (breaker.state !== 'open') {
+        console.error(`🛑 API circuit breaker opened for ${breakerCooldown / 1000}s after ${breaker.failures} failure(s)`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  function getDelay(err, attempt) {
+    const retryAfter = parseRetryAfter(err.response?.headers?.['retry-after']);
+    if (retryAfter !== null) return Math.min(retryAfter, maxDelay);
+    const exponential = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+
+  async function get(endpoint, url, options = {}) {
+    checkBreaker();
+    const stats = getMetrics(endpoint);
+
+    for (let attempt = 0; ; attempt++) {
+      await getBucket(endpoint).take();
+      stats.requests++;
+      const started = Date.now();
+
+      try {
+        const res = await http.get(baseURL + url, { timeout, ...options, headers: { ...headers, ...options.headers } });
+        stats.lastLatencyMs = Date.now() - started;
+        stats.totalLatencyMs += stats.lastLatencyMs;
+        stats.successes++;
+        stats.lastSuccessAt = Date.now();
+        onSuccess();
+        return res.data;
+      } catch (err) {
+        stats.lastLatencyMs = Date.now() - started;
+        stats.totalLatencyMs += stats.lastLatencyMs;
+        if (err.response?.status === 429) stats.rateLimited++;
+
+        if (attempt < maxRetries && isRetryable(err)) {
+          const delay = getDelay(err, attempt);
+          stats.retries++;
+          console.log(`🔁 ${endpoint} failed (${err.response?.status || err.code || err.message}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+          await sleep(delay);
+          continue;
+        }
+
+        stats.failures++;
+        stats.lastError = err.response?.status ? `HTTP ${err.response.status}` : err.message;
+        stats.lastErrorAt = Date.now();
+        // Ответ 4xx означает, что API доступен - breaker считает только сбои
+        if (isRetryable(err)) onFailure();
+        throw err;
+      }
+    }
+  }
+
+  return {
+    get,
+    metrics: () => metrics,
+    breaker: () => ({ ...breaker })
+  };
+}
+
+module.exports = {
+  createTokenBucket,
+  parseRetryAfter,
+  createApiClient
+};
@@ -0,0 +1,586 @@
+const fs = require('fs');
+const TelegramBot = require('node-telegram-bot-api');
+const cron = require('node-cron');
+const filters = require('./filters');
+const messages = require('./messages');
+const webhook = require('./webhook');
+const { loadRoutes } = require('./router');
+const { createStorage } = require('./storage');
+const { createAuth } = require('./auth');
+const { createTracker } = require('./tracker');
+const { buildDigest } = require('./digest');
+const { createDexScreener } = require('./dexscreener');
+const { createHttpServer, sendText } = require('./server');
+const { createMetricsRegistry } = require('./metrics');
+const { createLeaseBackend, createLeaderElector } = require('./leader');
+const { loadTemplates } = require('./templates');
+const { loadFeeds } = require('./feeds');
+const { createModeration } = require('./moderation');
+const { createSafetyChecker } = require('./safety');
+const { createCopycatDetector } = require('./copycats');
+const { createLocaleResolver } = require('./i18n');
+const { createAlerts } = require('./alerts');
+const { createActions } = require('./actions');
+const { createPipeline } = require('./pipeline');
+const { registerCommands } = require('./commands');
+const { registerMonitoring } = require('./monitoring');
+const { registerDashboard } = require('./dashboard');
+
+// -------------------------------
+// Сборка бота из модулей. Побочных эффектов при создании нет:
+// HTTP сервер, выбор лидера, таймеры и получение обновлений запускает start().
+//   config  - loadConfig(env)
+//   bot     - клиент Telegram; по умолчанию node-telegram-bot-api с BOT_TOKEN
+//   http    - HTTP клиент для DexScreener (совместимый с axios.get); по умолчанию axios.
+//             Проверки безопасности обращаются к RPC из RPC_ENDPOINTS напрямую
+//   storage - готовое хранилище; по умолчанию создается по DB_BACKEND
+//   onFatal - вызывается при ошибке, после которой экземпляр должен завершиться
+
+function createTelegramClient(token) {
+  // Polling запускается в start() после переключения режима, а не при создании бота
+  return new TelegramBot(token, {
+    polling: {
+      interval: 300,
+      autoStart: false,
+      params: {
+        timeout: 10
+      }
+    }
+  });
+}
+
+function createApp({ config, bot, http, storage, onFatal = () => {} }) {
+  const startedAt = new Date();
+
+  // -------------------------------
+  // Инициализация бота
+  if (!bot && !config.BOT_TOKEN) {
+    throw new Error('TELEGRAM_BOT_TOKEN is not defined in .env file');
+  }
+  if (!config.CHANNEL_ID && !fs.existsSync(config.ROUTES_FILE)) {
+    throw new Error('TELEGRAM_CHANNEL_ID is not defined in .env file and no routes file found');
+  }
+
+  const updateMode = webhook.resolveUpdateMode({ mode: config.BOT_MODE, webhookUrl: config.WEBHOOK_URL });
+  let webhookUrl = null;
+  let webhookSecret = null;
+  if (updateMode === 'webhook') {
+    webhookUrl = webhook.buildWebhookUrl(config.WEBHOOK_URL, config.WEBHOOK_PATH);
+    if (config.WEBHOOK_SECRET) {
+      webhookSecret = webhook.validateSecret(config.WEBHOOK_SECRET);
+    } else if (config.BOT_TOKEN) {
+      webhookSecret = webhook.deriveSecret(config.BOT_TOKEN);
+      console.log('ℹ️ WEBHOOK_SECRET is not set, using a secret derived from the bot token');
+    } else {
+      throw new Error('BOT_MODE=webhook requires WEBHOOK_SECRET');
+    }
+  }
+
+  bot = bot || createTelegramClient(config.BOT_TOKEN);
+
+  // -------------------------------
+  // База данных обработанных токенов
+  const ownsStorage = !storage;
+  if (!storage) {
+    console.log(`📁 Database mode: ${config.DB_BACKEND === 'memory' ? 'MEMORY ONLY' : 'SQLITE'}`);
+    console.log(`📂 Database path: ${config.DB_BACKEND === 'memory' ? 'N/A' : config.SQLITE_FILE}`);
+    try {
+      storage = createStorage({ backend: config.DB_BACKEND, file: config.SQLITE_FILE });
+    } catch (err) {
+      throw new Error(`Database open error: ${err.message}`);
+    }
+  }
+
+  // Забаненные адреса и игнорируемые сети (/ban, /ignorechain)
+  const moderation = createModeration({ storage });
+
+  // Перенос старого database.json в SQLite (один раз)
+  function loadDatabase() {
+    if (storage.backend === 'memory') {
+      console.log('ℹ️ Memory-only mode: Database will not persist between restarts');
+    }
+
+    try {
+      const imported = storage.importLegacyDatabase(config.DATABASE_FILE);
+      if (imported) {
+        console.log(`✅ Migrated ${imported} token(s) from database.json`);
+      }
+      console.log(`✅ Loaded ${storage.countTokens()} processed tokens from database`);
+    } catch (err) {
+      console.error('❌ Legacy database migration error:', err.message);
+    }
+
+    try {
+      const indexed = copycats.indexHistory();
+      if (indexed) console.log(`🪞 Indexed ${indexed} alerted token(s) for copycat detection`);
+    } catch (err) {
+      console.error('❌ Copycat index error:', err.message);
+    }
+  }
+
+  // -------------------------------
+  // Выбор лидера: опрашивает и публикует только лидер, остальные экземпляры ждут
+  let elector;
+  try {
+    elector = createLeaderElector({
+      backend: createLeaseBackend({
+        backend: config.LEADER_BACKEND,
+        file: config.LOCKFILE,
+        storage,
+        redisUrl: config.REDIS_URL,
+        key: config.LEADER_KEY
+      }),
+      ttl: config.LEADER_TTL,
+      onElected: startLeaderDuties,
+      onDemoted: stopLeaderDuties
+    });
+  } catch (err) {
+    throw new Error(`Leader election config error: ${err.message}`);
+  }
+
+  // -------------------------------
+  // Шаблоны сообщений, каналы для алертов, источники токенов и фильтры
+  let templates;
+  let builtinTemplates;
+  try {
+    templates = loadTemplates({ builtin: messages.TEMPLATES, dir: config.TEMPLATES_DIR });
+    builtinTemplates = loadTemplates({ builtin: messages.TEMPLATES });
+  } catch (err) {
+    throw new Error(`Template error: ${err.message}`);
+  }
+
+  let destinations;
+  try {
+    destinations = loadRoutes({ file: config.ROUTES_FILE, defaultChatId: config.CHANNEL_ID, templates });
+  } catch (err) {
+    throw new Error(`Routes config error: ${err.message}`);
+  }
+
+  let feeds;
+  try {
+    feeds = loadFeeds({ file: config.FEEDS_FILE, env: config.env });
+  } catch (err) {
+    throw new Error(`Feeds config error: ${err.message}`);
+  }
+
+  const filterState = { rules: filters.loadFilterRules({ file: config.FILTERS_FILE, env: config.env }) };
+
+  // Язык каналов и чатов: /lang, locale из routes.json, DEFAULT_LOCALE
+  const locales = createLocaleResolver({ storage, destinations, defaultLocale: config.DEFAULT_LOCALE });
+
+  // -------------------------------
+  // API DexScreener: лимиты запросов, повторы и circuit breaker
+  const dex = createDexScreener({
+    ...(http ? { http } : {}),
+    maxRetries: config.API_MAX_RETRIES,
+    breakerThreshold: config.API_BREAKER_THRESHOLD,
+    breakerCooldown: config.API_BREAKER_COOLDOWN
+  });
+
+  // -------------------------------
+  // Мониторинг: состояние опроса и счетчики для /readyz и /metrics
+  const health = {
+    feeds: {},
+    telegram: { checkedAt: null, ok: false, error: null },
+    webhook: { active: false, lastUpdateAt: null, error: null }
+  };
+
+  const metrics = createMetricsRegistry({ prefix: 'cto_bot_' });
+  const alertsCounter = metrics.counter('alerts_sent_total', 'Alerts delivered to channels by source and chain');
+  const sendFailuresCounter = metrics.counter('send_failures_total', 'Failed Telegram sends');
+  const pollsCounter = metrics.counter('polls_total', 'Feed polls by source and result');
+  const tokensCounter = metrics.counter('tokens_processed_total', 'Processed tokens by resulting status');
+  const safetyCounter = metrics.counter('safety_checks_total', 'On-chain safety checks by chain and result');
+
+  // -------------------------------
+  // Проверки безопасности on-chain (только сети из RPC_ENDPOINTS)
+  const safety = createSafetyChecker({
+    endpoints: config.RPC_ENDPOINTS,
+    timeout: config.SAFETY_TIMEOUT,
+    maxTopHolders: config.SAFETY_MAX_TOP_HOLDERS,
+    checksCounter: safetyCounter
+  });
+
+  // -------------------------------
+  // Поиск копий и перезапусков опубликованных токенов
+  const copycats = createCopycatDetector({
+    storage,
+    dex,
+    windowDays: config.COPYCAT_WINDOW_DAYS,
+    suppressSameChain: config.COPYCAT_SUPPRESS_SAME_CHAIN
+  });
+
+  // -------------------------------
+  // Отправка в каналы и подписчикам
+  const alerts = createAlerts({
+    bot,
+    storage,
+    templates,
+    destinations,
+    locales,
+    footer: config.MESSAGE_FOOTER,
+    captionLimit: config.CAPTION_LIMIT,
+    sendConcurrency: config.SEND_CONCURRENCY,
+    outboxMaxAttempts: config.OUTBOX_MAX_ATTEMPTS,
+    alertsCounter,
+    sendFailuresCounter
+  });
+
+  // -------------------------------
+  // Отслеживание результатов алертов
+  // Уведомление отправляется ответом на исходное сообщение в каждом канале
+  // message - функция locale -> текст (tracker.checkMilestones), язык - канала, куда ушел алерт
+  async function notifyPerformance(token, message) {
+    const sent = storage.listDeliveries(token.id).filter(d => d.status === 'sent' && d.messageId);
+    for (const delivery of sent) {
+      const destination = destinations.find(dest => dest.id === delivery.destination);
+      const locale = destination ? locales.forDestination(destination) : locales.forChat(delivery.chatId);
+      try {
+        await bot.sendMessage(delivery.chatId, message(locale), {
+          parse_mode: 'HTML',
+          reply_to_message_id: delivery.messageId,
+          allow_sending_without_reply: true
+        });
+        console.log(`📣 Performance update for ${token.id} sent to ${delivery.destination}`);
+      } catch (err) {
+        console.error(`❌ Failed to send performance update to ${delivery.destination}:`, err.message);
+      }
+    }
+  }
+
+  const tracker = createTracker({
+    storage,
+    fetchTokenDetails: dex.fetchTokenDetails,
+    notify: notifyPerformance,
+    checkpoints: config.TRACK_CHECKPOINTS,
+    multiples: config.TRACK_MULTIPLES,
+    dropPercent: config.TRACK_DROP_PERCENT
+  });
+
+  // -------------------------------
+  // Дайджесты
+  async function sendDigest(chatId, period) {
+    const text = await buildDigest({
+      storage,
+      fetchTokensBatch: dex.fetchTokensBatch,
+      period,
+      timeZone: config.DIGEST_TIMEZONE,
+      locale: locales.forChat(chatId)
+    });
+    await bot.sendMessage(chatId, text, { parse_mode: 'HTML', disable_web_page_preview: true });
+    console.log(`📰 ${period} digest sent to ${chatId}`);
+  }
+
+  function scheduleDigests() {
+    if (!config.DIGEST_CHAT_ID) {
+      console.log('ℹ️ DIGEST_CHAT_ID is not set, scheduled digests are disabled');
+      return [];
+    }
+
+    const tasks = [];
+    const schedules = { daily: config.DIGEST_DAILY_CRON, weekly: config.DIGEST_WEEKLY_CRON };
+    for (const [period, expression] of Object.entries(schedules)) {
+      if (expression === 'off') continue;
+      if (!cron.validate(expression)) {
+        console.error(`❌ Invalid ${period} digest schedule: ${expression}`);
+        continue;
+      }
+
+      tasks.push(cron.schedule(expression, () => {
+        if (!elector.isLeader()) return;
+        sendDigest(config.DIGEST_CHAT_ID, period).catch(err => {
+          console.error(`❌ Failed to send ${period} digest:`, err.message);
+        });
+      }, { timezone: config.DIGEST_TIMEZONE }));
+      console.log(`📰 ${period} digest scheduled: ${expression} (${config.DIGEST_TIMEZONE})`);
+    }
+    return tasks;
+  }
+
+  // -------------------------------
+  // Основная проверка токенов
+  const pipeline = createPipeline({
+    storage,
+    dex,
+    feeds,
+    moderation,
+    safety,
+    copycats,
+    alerts,
+    tracker,
+    filterState,
+    health,
+    detailsMaxAttempts: config.DETAILS_MAX_ATTEMPTS,
+    sendConcurrency: config.SEND_CONCURRENCY,
+    pollsCounter,
+    tokensCounter
+  });
+
+  // Ручные действия над токенами: /repost, /ban и панель управления
+  const actions = createActions({ storage, dex, alerts, tracker, moderation, safety, copycats });
+
+  // -------------------------------
+  // Команды Telegram
+  const auth = createAuth({
+    adminIds: config.ADMIN_IDS,
+    operatorIds: config.OPERATOR_IDS,
+    permissions: config.COMMAND_PERMISSIONS,
+    auditFile: config.USE_MEMORY_DB ? null : config.AUDIT_LOG_FILE
+  });
+
+  registerCommands({
+    bot,
+    config,
+    auth,
+    storage,
+    dex,
+    elector,
+    pipeline,
+    alerts,
+    tracker,
+    moderation,
+    safety,
+    actions,
+    locales,
+    templates,
+    builtinTemplates,
+    destinations,
+    feeds,
+    filterState,
+    sendDigest,
+    startedAt
+  });
+
+  // -------------------------------
+  // HTTP сервер для Render: корень, мониторинг, панель управления и webhook
+  const httpServer = createHttpServer();
+  httpServer.route('GET', '/', (req, res) => sendText(res, 200, 'OK'));
+
+  const monitoring = registerMonitoring({
+    httpServer,
+    metrics,
+    bot,
+    storage,
+    dex,
+    elector,
+    pipeline,
+    feeds,
+    health,
+    updateMode,
+    startedAt,
+    readyMaxPollAge: config.READY_MAX_POLL_AGE,
+    telegramProbeTtl: config.TELEGRAM_PROBE_TTL
+  });
+
+  if (config.DASHBOARD_PASSWORD) {
+    registerDashboard({
+      httpServer,
+      config,
+      auth,
+      bot,
+      storage,
+      elector,
+      pipeline,
+      alerts,
+      actions,
+      moderation,
+      destinations,
+      templates,
+      feeds,
+      filterState,
+      health,
+      feedPollStatus: monitoring.feedPollStatus,
+      updateMode,
+      startedAt
+    });
+  }
+
+  // -------------------------------
+  // Получение обновлений: polling или webhook.
+  // Режим переключается при старте: webhook регистрируется у Telegram, а в режиме
+  // polling webhook удаляется, иначе getUpdates вернет 409
+
+  if (updateMode === 'webhook') {
+    httpServer.route('POST', config.WEBHOOK_PATH, webhook.createWebhookHandler({
+      secret: webhookSecret,
+      onUpdate: (update) => {
+        health.webhook.lastUpdateAt = new Date().toISOString();
+        bot.processUpdate(update);
+      }
+    }));
+  }
+
+  async function registerWebhook() {
+    await bot.setWebHook(webhookUrl, {
+      secret_token: webhookSecret,
+      allowed_updates: JSON.stringify(['message', 'callback_query'])
+    });
+    health.webhook.active = true;
+    health.webhook.error = null;
+  }
+
+  // Старый экземпляр в режиме polling при деплое может снять наш webhook
+  // (библиотека удаляет webhook, получив 409). Периодически проверяем и восстанавливаем
+  async function verifyWebhook() {
+    try {
+      const info = await bot.getWebHookInfo();
+      if (info.url !== webhookUrl) {
+        console.log(`⚠️ Webhook is ${info.url ? `set to ${info.url}` : 'not set'}, restoring...`);
+        await registerWebhook();
+        console.log('✅ Webhook restored');
+      }
+      health.webhook.active = true;
+      if (info.last_error_message) {
+        health.webhook.error = info.last_error_message;
+      }
+    } catch (err) {
+      health.webhook.active = false;
+      health.webhook.error = err.message;
+      console.error('❌ Webhook check failed:', err.message);
+    }
+  }
+
+  // Webhook принимает обновления на любом экземпляре, а регистрирует его только лидер.
+  // В режиме polling getUpdates вызывает только лидер, иначе Telegram вернет 409
+  async function startUpdates() {
+    if (updateMode === 'webhook') {
+      await registerWebhook();
+      console.log(`🪝 Webhook set: ${webhookUrl}`);
+      return;
+    }
+
+    await bot.deleteWebHook();
+    await bot.startPolling();
+    console.log('📡 Long polling started');
+  }
+
+  async function stopUpdates() {
+    if (updateMode === 'polling' && bot.isPolling()) {
+      await bot.stopPolling();
+      console.log('📡 Long polling stopped');
+    }
+  }
+
+  // Обработка ошибок polling
+  bot.on('polling_error', (error) => {
+    console.error('❌ Polling error:', error.message);
+
+    // Конфликт: getUpdates вызывает другой экземпляр, который не участвует в выборе лидера
+    if (error.message.includes('409 Conflict')) {
+      console.error('🛑 Conflict detected! Shutting down...');
+      onFatal(error);
+    }
+  });
+
+  bot.on('error', (error) => {
+    console.error('❌ Bot error:', error.message);
+  });
+
+  // -------------------------------
+  // Старт и остановка
+
+  // Задачи по таймеру выполняет только лидер
+  function whenLeader(task) {
+    return () => {
+      if (elector.isLeader()) task();
+    };
+  }
+
+  async function startLeaderDuties() {
+    await startUpdates();
+    console.log('🔍 Running initial check...');
+    await pipeline.run();
+  }
+
+  async function stopLeaderDuties() {
+    await stopUpdates();
+  }
+
+  const timers = [];
+  let cronTasks = [];
+
+  // listen: false - без HTTP сервера (тесты и встраивание)
+  async function start({ listen = true } = {}) {
+    console.log('🤖 Starting bot...');
+    console.log(`🤖 Update mode: ${updateMode}`);
+    console.log(`📂 Database path: ${storage.file || 'memory'}`);
+
+    if (listen) {
+      await httpServer.listen(config.PORT);
+      console.log(`Server running on port ${config.PORT}`);
+    }
+
+    loadDatabase();
+
+    timers.push(setInterval(whenLeader(pipeline.run), config.CHECK_INTERVAL));
+    timers.push(setInterval(whenLeader(tracker.runDue), config.TRACK_INTERVAL));
+    timers.push(setInterval(whenLeader(alerts.outbox.processDue), config.OUTBOX_INTERVAL));
+    if (updateMode === 'webhook') {
+      timers.push(setInterval(whenLeader(verifyWebhook), config.WEBHOOK_CHECK_INTERVAL));
+    }
+    cronTasks = scheduleDigests();
+    await elector.start();
+    // Первый цикл проверки лидера; аренда тем временем продлевается по таймеру
+    await elector.settled();
+
+    console.log(`✅ Bot is running!`);
+    console.log(`👑 Leader election: ${config.LEADER_BACKEND}, lease ${config.LEADER_TTL / 1000}s, instance ${elector.owner}`);
+    console.log(`⏰ Check interval: ${config.CHECK_INTERVAL / 1000} seconds`);
+    console.log(`📈 Tracking checkpoints: ${config.TRACK_CHECKPOINTS.map(c => c.label).join(', ') || 'disabled'}`);
+    console.log(`🔐 Safety checks: ${safety.chains.map(messages.getChainName).join(', ') || 'disabled (no RPC_ENDPOINTS)'}`);
+    console.log(`🪞 Copycat detection: ${copycats.enabled ? `${config.COPYCAT_WINDOW_DAYS}d window${config.COPYCAT_SUPPRESS_SAME_CHAIN ? ', same-chain duplicates skipped' : ''}` : 'disabled'}`);
+    console.log(`🖥️ Dashboard: ${config.DASHBOARD_PASSWORD ? `${config.DASHBOARD_PATH} (user ${config.DASHBOARD_USER})` : 'disabled (no DASHBOARD_PASSWORD)'}`);
+    console.log(`📢 Target channels: ${destinations.map(d => `${d.id} (${d.chatId})`).join(', ')}`);
+    console.log(`📊 Current database size: ${storage.countTokens()}`);
+  }
+
+  // Освобождает аренду лидера, чтобы резервный экземпляр подхватил работу сразу
+  async function stop() {
+    timers.splice(0).forEach(clearInterval);
+    cronTasks.splice(0).forEach(task => task.stop());
+    try {
+      await stopUpdates();
+    } catch (err) {
+      console.error('❌ Failed to stop updates:', err.message);
+    }
+    try {
+      await Promise.race([elector.stop(), new Promise(r => setTimeout(r, 5000).unref())]);
+    } catch (err) {
+      console.error('❌ Failed to release leader lease:', err.message);
+    }
+    if (httpServer.server.listening) {
+      await new Promise(resolve => httpServer.server.close(resolve));
+    }
+    if (ownsStorage) {
+      storage.close();
+    }
+  }
+
+  return {
+    config,
+    bot,
+    storage,
+    dex,
+    auth,
+    elector,
+    destinations,
+    alerts,
+    pipeline,
+    tracker,
+    moderation,
+    safety,
+    copycats,
+    locales,
+    metrics,
+    health,
+    httpServer,
+    updateMode,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createTelegramClient,
+  createApp
+};
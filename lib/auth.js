@@ -0,0 +1,126 @@
+const fs = require('fs');
+
+// -------------------------------
+// Роли и права на команды
+const ROLE_LEVELS = {
+  public: 0,
+  operator: 1,
+  admin: 2
+};
+
+// Уровень доступа по умолчанию для каждой команды.
+// Переопределяется через COMMAND_PERMISSIONS="check:admin,stats:public"
+const DEFAULT_COMMAND_PERMISSIONS = {
+  start: 'public',
+  getchatid: 'public',
+  subscribe: 'public',
+  unsubscribe: 'public',
+  mysettings: 'public',
+  lang: 'public',
+  status: 'operator',
+  check: 'operator',
+  stats: 'operator',
+  list: 'operator',
+  token: 'operator',
+  digest: 'operator',
+  routes: 'operator',
+  export: 'admin',
+  filters: 'admin',
+  clear: 'admin',
+  retract: 'admin',
+  repost: 'admin',
+  ban: 'admin',
+  unban: 'admin',
+  banlist: 'admin',
+  ignorechain: 'admin'
+};
+
+function parseIdList(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+function parsePermissions(value) {
+  const permissions = {};
+  for (const pair of String(value || '').split(',')) {
+    const [command, role] = pair.split(':').map(s => (s || '').trim().toLowerCase());
+    if (!command) continue;
+    if (!(role in ROLE_LEVELS)) {
+      console.log(`⚠️ Unknown role "${role}" for /${command} in COMMAND_PERMISSIONS, ignoring`);
+      continue;
+    }
+    permissions[command] = role;
+  }
+  return permissions;
+}
+
+function createAuth({ adminIds = [], operatorIds = [], permissions = {}, auditFile = null } = {}) {
+  const admins = new Set(adminIds.map(String));
+  const operators = new Set(operatorIds.map(String));
+  const commandPermissions = { ...DEFAULT_COMMAND_PERMISSIONS, ...permissions };
+
+  if (!admins.size) {
+    console.log('⚠️ ADMIN_IDS is empty: admin commands are disabled');
+  }
+
+  function getRole(userId) {
+    const id = String(userId);
+    if (admins.has(id)) return 'admin';
+    if (operators.has(id)) return 'operator';
+    return 'public';
+  }
+
+  // Неизвестные команды считаем админскими
+  function requiredRole(command) {
+    return commandPermissions[command] || 'admin';
+  }
+
+  function hasRole(userId, role) {
+    return ROLE_LEVELS[getRole(userId)] >= ROLE_LEVELS[role];
+  }
+
+  function canRun(userId, command) {
+    return hasRole(userId, requiredRole(command));
+  }
+
+  // role - для действий не из Telegram (панель управления), где роль не определяется по ID
+  function audit({ user, chat, command, args, result, role = null }) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      userId: user?.id ?? null,
+      username: user?.username || null,
+      role: role || (user ? getRole(user.id) : null),
+      chatId: chat?.id ?? null,
+      command,
+      args: args || '',
+      result
+    };
+
+    console.log(`📝 Audit: /${command} by ${entry.username || entry.userId} (${entry.role}) - ${result}`);
+
+    if (!auditFile) return;
+    try {
+      fs.appendFileSync(auditFile, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (err) {
+      console.error('❌ Failed to write audit log:', err.message);
+    }
+  }
+
+  return {
+    getRole,
+    requiredRole,
+    hasRole,
+    canRun,
+    audit
+  };
+}
+
+module.exports = {
+  ROLE_LEVELS,
+  DEFAULT_COMMAND_PERMISSIONS,
+  parseIdList,
+  parsePermissions,
+  createAuth
+};
@@ -0,0 +1,53 @@
+const { feedTokenId } = require('./feeds');
+
+// -------------------------------
+// Backfill: токены, которые уже есть в фидах, записываются в хранилище без публикации.
+// Запускается перед первым стартом на новом сервере, чтобы бот не выложил в канал
+// сразу все 30+ токенов из текущего фида
+
+async function backfillFeeds({ storage, dex, feeds, dryRun = false }) {
+  const result = { seen: 0, added: 0, known: 0, failed: [] };
+
+  for (const feed of feeds) {
+    let items;
+    try {
+      items = await feed.fetch(dex);
+    } catch (err) {
+      console.error(`❌ Error fetching ${feed.name}:`, err.message);
+      result.failed.push(feed.id);
+      continue;
+    }
+
+    for (const token of items) {
+      if (!token.chainId || !token.tokenAddress) continue;
+      result.seen++;
+
+      const tokenId = feedTokenId(feed.id, token.chainId, token.tokenAddress);
+      if (storage.hasToken(tokenId)) {
+        result.known++;
+        continue;
+      }
+
+      if (!dryRun) {
+        storage.saveToken({
+          id: tokenId,
+          source: feed.id,
+          chain: token.chainId.toLowerCase(),
+          address: token.tokenAddress,
+          claimDate: token.claimDate || null,
+          cto: token,
+          status: 'backfilled',
+          reasons: ['seeded by backfill, not posted']
+        });
+      }
+      result.added++;
+    }
+    console.log(`📥 ${feed.name}: ${items.length} token(s) in feed`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  backfillFeeds
+};
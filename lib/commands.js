@@ -0,0 +1,790 @@
+const fs = require('fs');
+const filters = require('./filters');
+const messages = require('./messages');
+const lookup = require('./lookup');
+const subscriptions = require('./subscriptions');
+const historyExport = require('./export');
+const { normalizeTokenId, TOKEN_STATUSES } = require('./storage');
+const { normalizeChain } = require('./moderation');
+const i18n = require('./i18n');
+const { formatTimeAgo, formatDateTime } = require('./format');
+const { escapeHtml, localizedTemplate } = require('./templates');
+
+// -------------------------------
+// Команды Telegram. Права проверяет auth (роли из ADMIN_IDS / OPERATOR_IDS,
+// уровни команд из COMMAND_PERMISSIONS), привилегированные вызовы пишутся в audit log.
+// Ответы с разметкой - HTML, подставляемые имена, адреса и ошибки экранируются escapeHtml
+
+// Порядок команд в /start, описания - help.<command> в locales/
+const COMMAND_HELP = [
+  'subscribe', 'mysettings', 'unsubscribe', 'lang', 'status', 'check', 'stats', 'getchatid', 'list', 'token',
+  'digest', 'filters', 'routes', 'export', 'retract', 'repost', 'ban', 'unban', 'banlist', 'ignorechain', 'clear'
+];
+
+const LIST_PAGE_SIZE = 10;
+
+function registerCommands({
+  bot,
+  config,
+  auth,
+  storage,
+  dex,
+  elector,
+  pipeline,
+  alerts,
+  tracker,
+  moderation,
+  safety,
+  actions,
+  locales,
+  templates,
+  builtinTemplates,
+  destinations,
+  feeds,
+  filterState,
+  sendDigest,
+  startedAt
+}) {
+  const { BOT_USERNAME, CHECK_INTERVAL, FILTERS_FILE, LEADER_BACKEND, SQLITE_FILE } = config;
+  const feedsById = Object.fromEntries(feeds.map(feed => [feed.id, feed]));
+
+  // Переводы на языке чата, из которого пришла команда
+  function translatorFor(msg) {
+    return i18n.translator(locales.forMessage(msg));
+  }
+
+  // То же для нажатия inline-кнопки
+  function translatorForQuery(query) {
+    return i18n.translator(locales.forChat(query.message?.chat.id ?? query.from.id, { user: query.from }));
+  }
+
+  function refuse(msg, command) {
+    const t = translatorFor(msg);
+    return bot.sendMessage(msg.chat.id, t('refuse', { command, role: t(`roles.${auth.requiredRole(command)}`) }));
+  }
+
+  // Команда без суффикса или с суффиксом этого бота: "/cmd@OtherBot" в группе адресована другому боту
+  const mention = BOT_USERNAME.replace(/^@/, '');
+
+  // Регистрация команды с проверкой прав и записью в audit log
+  function registerCommand(command, handler) {
+    const pattern = new RegExp(`^\\/${command}(?:@${mention})?(?:\\s+([\\s\\S]+))?$`, 'i');
+
+    bot.onText(pattern, async (msg, match) => {
+      const privileged = auth.requiredRole(command) !== 'public';
+      const args = (match[1] || '').trim();
+
+      if (!auth.canRun(msg.from?.id, command)) {
+        if (privileged) {
+          auth.audit({ user: msg.from, chat: msg.chat, command, args, result: 'denied' });
+        }
+        await refuse(msg, command);
+        return;
+      }
+
+      if (privileged) {
+        auth.audit({ user: msg.from, chat: msg.chat, command, args, result: 'allowed' });
+      }
+
+      try {
+        await handler(msg, args);
+      } catch (err) {
+        console.error(`❌ /${command} failed:`, err.message);
+      }
+    });
+  }
+
+  // Inline-кнопки: callback_data имеет вид "<prefix>:<action>[:<param>]"
+  const callbackHandlers = {};
+
+  function registerCallback(prefix, command, handler) {
+    callbackHandlers[prefix] = { command, handler };
+  }
+
+  bot.on('callback_query', async (query) => {
+    const [prefix, ...parts] = (query.data || '').split(':');
+    const entry = callbackHandlers[prefix];
+    if (!entry) {
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    if (!auth.canRun(query.from.id, entry.command)) {
+      auth.audit({ user: query.from, chat: query.message?.chat, command: entry.command, args: query.data, result: 'denied' });
+      await bot.answerCallbackQuery(query.id, { text: translatorForQuery(query)('callback.denied'), show_alert: true });
+      return;
+    }
+
+    try {
+      await entry.handler(query, parts);
+    } catch (err) {
+      console.error(`❌ Callback ${query.data} failed:`, err.message);
+      await bot.answerCallbackQuery(query.id, { text: translatorForQuery(query)('callback.failed') }).catch(() => {});
+    }
+  });
+
+  registerCommand('start', (msg) => {
+    const t = translatorFor(msg);
+    const available = COMMAND_HELP
+      .filter(command => auth.canRun(msg.from?.id, command))
+      .map(command => t(`help.${command}`));
+
+    return bot.sendMessage(msg.chat.id,
+      `${t('start.title')}\n\n` +
+      `${t('start.available')}\n` +
+      available.join('\n')
+    );
+  });
+
+  function formatUptime(t) {
+    return t('time.minutes', { count: Math.floor((new Date() - startedAt) / 1000 / 60) });
+  }
+
+  registerCommand('status', (msg) => {
+    const t = translatorFor(msg);
+    return bot.sendMessage(msg.chat.id,
+      `${t('status.title')}\n\n` +
+      `${t('status.processed', { count: storage.countTokens() })}\n` +
+      `${t('status.interval', { seconds: CHECK_INTERVAL / 1000 })}\n` +
+      `${t('status.role', { role: t(elector.isLeader() ? 'status.leader' : 'status.standby'), backend: LEADER_BACKEND })}\n` +
+      `${t('status.channels', { channels: destinations.map(d => `<code>${escapeHtml(d.chatId)}</code>`).join(', ') || t('status.none') })}\n` +
+      t('status.uptime', { uptime: formatUptime(t) }),
+      { parse_mode: 'HTML' }
+    );
+  });
+
+  registerCommand('check', async (msg) => {
+    const t = translatorFor(msg);
+    if (!elector.isLeader()) {
+      return bot.sendMessage(msg.chat.id, t('check.standby'));
+    }
+    await bot.sendMessage(msg.chat.id, t(pipeline.isRunning() ? 'check.waiting' : 'check.running'));
+    await pipeline.run();
+    await bot.sendMessage(msg.chat.id, t('check.done'));
+  });
+
+  registerCommand('stats', (msg) => {
+    const t = translatorFor(msg);
+    const apiLines = Object.entries(dex.client.metrics()).map(([endpoint, m]) =>
+      t('stats.api', { endpoint: escapeHtml(endpoint), successes: m.successes, requests: m.requests, retries: m.retries, failures: m.failures }) +
+      (m.lastError ? t('stats.apiLastError', { error: escapeHtml(m.lastError) }) : '')
+    );
+    const dbState = storage.backend === 'memory'
+      ? t('stats.databaseMemory')
+      : t(fs.existsSync(SQLITE_FILE) ? 'stats.databaseExists' : 'stats.databaseMissing');
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+
+    return bot.sendMessage(msg.chat.id,
+      `${t('stats.title')}\n\n` +
+      `${t('stats.storage', { mode: t(storage.backend === 'memory' ? 'stats.memory' : 'stats.sqlite') })}\n` +
+      `${t('stats.processed', { count: storage.countTokens() })}\n` +
+      `${t('stats.alerted', { alerted: storage.countTokens({ status: 'alerted' }), skipped: storage.countTokens({ status: 'skipped' }) })}\n` +
+      `${t('stats.subscribers', { active: storage.countSubscribers({ active: true }), total: storage.countSubscribers() })}\n` +
+      `${t('stats.outbox', { queued: alerts.outbox.pending(), failed: storage.countOutbox('failed') })}\n` +
+      `${t('stats.recent', { count: storage.countTokens({ since: dayAgo }) })}\n` +
+      `${t('stats.since', { date: formatDateTime(startedAt, t.locale) })}\n` +
+      `${t('stats.uptime', { uptime: formatUptime(t) })}\n` +
+      `${t('stats.database', { state: dbState })}\n` +
+      `${t('stats.circuit', { state: dex.client.breaker().state })}\n` +
+      (apiLines.length ? apiLines.join('\n') : t('stats.noApi')),
+      { parse_mode: 'HTML' }
+    );
+  });
+
+  registerCommand('getchatid', (msg) => {
+    const t = translatorFor(msg);
+    return bot.sendMessage(msg.chat.id,
+      `${t('chatInfo.title')}\n\n` +
+      `${t('chatInfo.id', { id: `<code>${msg.chat.id}</code>` })}\n` +
+      t('chatInfo.type', { type: escapeHtml(msg.chat.type) }),
+      { parse_mode: 'HTML' }
+    );
+  });
+
+  // /clear удаляет базу только после подтверждения inline-кнопкой.
+  // Подтвердить может только тот, кто вызвал команду
+  registerCommand('clear', (msg) => {
+    const t = translatorFor(msg);
+    return bot.sendMessage(msg.chat.id, t('clear.prompt', { tokens: t('clear.tokens', { count: storage.countTokens() }) }), {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: t('clear.confirm'), callback_data: `clear:confirm:${msg.from.id}` },
+          { text: t('clear.cancel'), callback_data: `clear:cancel:${msg.from.id}` }
+        ]]
+      }
+    });
+  });
+
+  registerCallback('clear', 'clear', async (query, [action, requesterId]) => {
+    const t = translatorForQuery(query);
+    if (String(query.from.id) !== requesterId) {
+      await bot.answerCallbackQuery(query.id, { text: t('clear.notRequester'), show_alert: true });
+      return;
+    }
+
+    const target = { chat_id: query.message.chat.id, message_id: query.message.message_id };
+
+    if (action !== 'confirm') {
+      auth.audit({ user: query.from, chat: query.message.chat, command: 'clear', args: 'cancel', result: 'cancelled' });
+      await bot.editMessageText(t('clear.cancelled'), target);
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    let cleared;
+    try {
+      cleared = storage.clear();
+    } catch (err) {
+      console.error('❌ Database clear error:', err.message);
+      await bot.editMessageText(t('clear.failed', { error: err.message }), target);
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+    auth.audit({ user: query.from, chat: query.message.chat, command: 'clear', args: 'confirm', result: `cleared ${cleared}` });
+
+    await bot.editMessageText(t('clear.done', { tokens: t('clear.tokens', { count: cleared }) }), target);
+    await bot.answerCallbackQuery(query.id, { text: t('clear.doneShort') });
+  });
+
+  // /list [page] [status] [source] [chain] - аргументы в любом порядке.
+  // Листание inline-кнопками: callback_data "list:<page>:<status>:<source>:<chain>" ('-' - без фильтра)
+  function parseListArgs(input) {
+    const filter = {};
+    let page = 1;
+    for (const arg of input.toLowerCase().split(/\s+/).filter(Boolean)) {
+      if (/^\d+$/.test(arg)) page = Math.max(1, Number(arg));
+      else if (TOKEN_STATUSES.includes(arg)) filter.status = arg;
+      else if (feedsById[arg]) filter.source = arg;
+      else filter.chain = normalizeChain(arg);
+    }
+    return { filter, page };
+  }
+
+  function buildListPage(filter, page, t) {
+    const total = storage.countTokens(filter);
+    const described = [filter.status, filter.source, filter.chain && messages.getChainName(filter.chain)].filter(Boolean).join(', ');
+    if (total === 0) {
+      return { text: described ? t('list.noMatch', { filter: escapeHtml(described) }) : t('list.empty') };
+    }
+
+    const pages = Math.ceil(total / LIST_PAGE_SIZE);
+    const current = Math.min(page, pages);
+    const offset = (current - 1) * LIST_PAGE_SIZE;
+    const tokens = storage.listTokens({ ...filter, limit: LIST_PAGE_SIZE, offset });
+
+    let text = `${t('list.title')}${described ? ` (${escapeHtml(described)})` : ''}\n`;
+    text += `${t('list.page', { page: current, pages, total })}\n\n`;
+    tokens.forEach((token, i) => {
+      const source = token.source === 'cto' ? '' : ` [${escapeHtml(token.source)}]`;
+      text += `${offset + i + 1}. ${escapeHtml(token.chain.toUpperCase())}${source}: <code>${escapeHtml(token.address.slice(0, 10))}...</code>${token.status === 'skipped' ? ' 🚫' : ''}\n`;
+      text += `   ⏰ ${formatTimeAgo(token.firstSeen, t.locale)}\n\n`;
+    });
+
+    const state = [filter.status, filter.source, filter.chain].map(value => value || '-').join(':');
+    const buttons = [];
+    if (current > 1) buttons.push({ text: t('list.prev'), callback_data: `list:${current - 1}:${state}` });
+    if (current < pages) buttons.push({ text: t('list.next'), callback_data: `list:${current + 1}:${state}` });
+
+    return { text, reply_markup: buttons.length ? { inline_keyboard: [buttons] } : undefined };
+  }
+
+  registerCommand('list', (msg, input) => {
+    const t = translatorFor(msg);
+    let parsed;
+    try {
+      parsed = parseListArgs(input);
+    } catch (err) {
+      return bot.sendMessage(msg.chat.id,
+        `❌ ${err.message}\n${t('list.usage', { statuses: TOKEN_STATUSES.join('|'), sources: Object.keys(feedsById).join('|') })}`);
+    }
+    const { filter, page } = parsed;
+    const { text, reply_markup } = buildListPage(filter, page, t);
+    return bot.sendMessage(msg.chat.id, text, { parse_mode: 'HTML', reply_markup });
+  });
+
+  registerCallback('list', 'list', async (query, [page, status, source, chain]) => {
+    const filter = {};
+    if (status && status !== '-') filter.status = status;
+    if (source && source !== '-') filter.source = source;
+    if (chain && chain !== '-') filter.chain = chain;
+
+    const t = translatorForQuery(query);
+    const { text, reply_markup } = buildListPage(filter, Number(page) || 1, t);
+    await bot.editMessageText(text, {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+      parse_mode: 'HTML',
+      reply_markup
+    }).catch(err => {
+      // Та же страница без изменений - не ошибка
+      if (!/message is not modified/.test(err.message)) throw err;
+    });
+    await bot.answerCallbackQuery(query.id);
+  });
+
+  // /lang [code] [destination] - язык чата. В личном чате каждый выбирает свой язык,
+  // язык группы или канала из routes.json (по id или ID чата) меняют операторы
+  registerCommand('lang', (msg, input) => {
+    const t = translatorFor(msg);
+    const [code, target] = input.split(/\s+/).filter(Boolean);
+    const available = i18n.SUPPORTED_LOCALES.join(', ');
+
+    if (!code) {
+      return bot.sendMessage(msg.chat.id,
+        `${t('lang.current', { language: i18n.languageName(t.locale), locale: t.locale })}\n` +
+        `${t('lang.available', { locales: available })}\n${t('lang.usage')}`);
+    }
+
+    const locale = i18n.normalizeLocale(code);
+    if (!locale) {
+      return bot.sendMessage(msg.chat.id, t('lang.unknown', { locale: code, locales: available }));
+    }
+
+    const destination = target && destinations.find(d => d.id === target || d.chatId === target);
+    if (target && !destination) {
+      return bot.sendMessage(msg.chat.id, t('lang.unknownDestination', { destination: target }));
+    }
+    if ((destination || msg.chat.type !== 'private') && !auth.hasRole(msg.from?.id, 'operator')) {
+      return bot.sendMessage(msg.chat.id, t('lang.denied'));
+    }
+
+    const chatId = destination ? destination.chatId : msg.chat.id;
+    storage.setChatLocale(chatId, locale, msg.from?.id ?? null);
+    if (destination || msg.chat.type !== 'private') {
+      auth.audit({ user: msg.from, chat: msg.chat, command: 'lang', args: input, result: `${chatId} -> ${locale}` });
+    }
+    console.log(`🌐 Language for ${chatId} set to ${locale}`);
+
+    // Ответ уже на новом языке, если менялся язык этого чата
+    const reply = i18n.translator(destination ? t.locale : locale);
+    const language = i18n.languageName(locale);
+    return bot.sendMessage(msg.chat.id, destination
+      ? reply('lang.setFor', { destination: destination.id, language })
+      : reply('lang.set', { language }));
+  });
+
+  // /token <address> [chain] - карточка токена по запросу.
+  // Без сети она определяется по формату адреса (EVM hex / Solana base58)
+  // Пары токена для /token и /repost. Если найти не удалось, отвечает пользователю и возвращает null
+  async function findTokenPairs(msg, command, input) {
+    const t = translatorFor(msg);
+    const chatId = msg.chat.id;
+    const [address, chain] = input.split(/\s+/).filter(Boolean);
+    if (!address) {
+      await bot.sendMessage(chatId, t('token.usage', { command }));
+      return null;
+    }
+
+    try {
+      return { address, pairs: await actions.findPairs(address, chain) };
+    } catch (err) {
+      if (err.statusCode === 400) {
+        await bot.sendMessage(chatId, t('token.unknownFormat', { command }));
+      } else if (err.statusCode === 404) {
+        const code = `<code>${escapeHtml(address)}</code>`;
+        await bot.sendMessage(chatId, chain
+          ? t('token.notFoundOnChain', { address: code, chain: escapeHtml(chain) })
+          : t('token.notFound', { address: code }),
+        { parse_mode: 'HTML' });
+      } else {
+        await bot.sendMessage(chatId, t('token.apiFailed'));
+      }
+      return null;
+    }
+  }
+
+  registerCommand('token', async (msg, input) => {
+    const found = await findTokenPairs(msg, 'token', input);
+    if (!found) return;
+    const { address, pairs } = found;
+
+    const locale = locales.forChat(msg.chat.id, { user: msg.from });
+    const pair = pairs[0];
+    await safety.enrich(pair);
+    const tokenId = normalizeTokenId(pair.chainId, pair.baseToken?.address || address);
+    const stored = storage.getToken(tokenId);
+    // Для известного CTO используем сохраненные данные фида (ссылки, баннер)
+    const ctoData = stored?.cto || lookup.buildCtoFromPair(pair);
+
+    // К карточке добавляется HTML блок с историей токена, поэтому шаблон должен быть HTML
+    const custom = localizedTemplate(templates, 'full', locale);
+    const template = custom.parseMode === 'HTML' ? custom : localizedTemplate(builtinTemplates, 'full', locale);
+    const { text, parseMode } = messages.renderMessage(template, ctoData, pair, {
+      locale,
+      title: `🔎 ${i18n.translate(locale, 'token.title', { chain: messages.getChainName(pair.chainId) })}`
+    });
+    const details = lookup.formatLookupDetails({
+      stored,
+      checkpoints: stored ? storage.listCheckpoints(tokenId) : [],
+      pair,
+      pairs,
+      locale
+    });
+    const keyboard = messages.buildKeyboard(messages.DEFAULT_BUTTONS, ctoData, pair);
+
+    return alerts.sendCard(msg.chat.id, {
+      text: text + details,
+      parseMode,
+      keyboard,
+      banner: messages.pickBanner(ctoData, pair)
+    });
+  });
+
+  // /digest [daily|weekly] - дайджест по запросу в текущий чат
+  registerCommand('digest', async (msg, input) => {
+    const t = translatorFor(msg);
+    const period = (input || 'daily').toLowerCase();
+    if (!['daily', 'weekly'].includes(period)) {
+      return bot.sendMessage(msg.chat.id, t('digest.usage'));
+    }
+
+    await bot.sendMessage(msg.chat.id, t(`digest.building.${period}`));
+    try {
+      await sendDigest(msg.chat.id, period);
+    } catch (err) {
+      console.error(`❌ Failed to build ${period} digest:`, err.message);
+      await bot.sendMessage(msg.chat.id, t('digest.failed'));
+    }
+  });
+
+  // -------------------------------
+  // Личные подписки (только в личных сообщениях с ботом)
+  function requirePrivateChat(msg) {
+    if (msg.chat.type === 'private') return true;
+    bot.sendMessage(msg.chat.id, translatorFor(msg)('subscribe.privateOnly', { bot: BOT_USERNAME }));
+    return false;
+  }
+
+  registerCommand('subscribe', (msg) => {
+    if (!requirePrivateChat(msg)) return;
+
+    const subscriber = storage.upsertSubscriber({
+      userId: msg.from.id,
+      chatId: msg.chat.id,
+      username: msg.from.username || null
+    });
+    console.log(`🔔 New subscription: ${msg.from.id}`);
+
+    const t = translatorFor(msg);
+    const menu = subscriptions.buildMainMenu(subscriber, t);
+    return bot.sendMessage(msg.chat.id,
+      `${t('subscribe.done')}\n\n${menu.text}`,
+      { parse_mode: 'HTML', reply_markup: menu.reply_markup }
+    );
+  });
+
+  registerCommand('unsubscribe', (msg) => {
+    if (!requirePrivateChat(msg)) return;
+
+    const subscriber = storage.getSubscriber(msg.from.id);
+    if (!subscriber || !subscriber.active) {
+      return bot.sendMessage(msg.chat.id, translatorFor(msg)('subscribe.notSubscribed'));
+    }
+
+    storage.deactivateSubscriber(msg.from.id, 'unsubscribed');
+    return bot.sendMessage(msg.chat.id, translatorFor(msg)('subscribe.stopped'));
+  });
+
+  registerCommand('mysettings', (msg) => {
+    if (!requirePrivateChat(msg)) return;
+
+    const subscriber = storage.getSubscriber(msg.from.id);
+    if (!subscriber) {
+      return bot.sendMessage(msg.chat.id, translatorFor(msg)('subscribe.notSubscribed'));
+    }
+
+    const menu = subscriptions.buildMainMenu(subscriber, translatorFor(msg));
+    return bot.sendMessage(msg.chat.id, menu.text, { parse_mode: 'HTML', reply_markup: menu.reply_markup });
+  });
+
+  registerCallback('sub', 'subscribe', async (query, parts) => {
+    const t = translatorForQuery(query);
+    const target = { chat_id: query.message.chat.id, message_id: query.message.message_id };
+    const subscriber = storage.getSubscriber(query.from.id);
+    if (!subscriber) {
+      await bot.answerCallbackQuery(query.id, { text: t('subscribe.first'), show_alert: true });
+      return;
+    }
+
+    const [action, key] = parts;
+    if (action === 'done') {
+      await bot.editMessageText(subscriptions.formatSettings(subscriber, t), { ...target, parse_mode: 'HTML' });
+      await bot.answerCallbackQuery(query.id, { text: t('subscribe.saved') });
+      return;
+    }
+
+    let rules;
+    try {
+      rules = subscriptions.applyMenuAction(subscriber.rules, parts);
+    } catch (err) {
+      await bot.answerCallbackQuery(query.id, { text: `❌ ${err.message}` });
+      return;
+    }
+    if (rules) {
+      storage.updateSubscriberRules(subscriber.userId, rules);
+      subscriber.rules = rules;
+    }
+
+    let menu;
+    if (action === 'chains' || action === 'chain') {
+      menu = subscriptions.buildChainsMenu(subscriber, t);
+    } else if (action === 'opt' && subscriptions.RULE_OPTIONS[key]) {
+      menu = subscriptions.buildOptionMenu(subscriber, key, t);
+    } else {
+      menu = subscriptions.buildMainMenu(subscriber, t);
+    }
+
+    await bot.editMessageText(menu.text, { ...target, parse_mode: 'HTML', reply_markup: menu.reply_markup });
+    await bot.answerCallbackQuery(query.id);
+  });
+
+  // /routes - каналы, их правила и статистика доставки
+  registerCommand('routes', (msg) => {
+    const t = translatorFor(msg);
+    if (!destinations.length) {
+      return bot.sendMessage(msg.chat.id, t('routes.none'));
+    }
+
+    let message = `${t('routes.title')}\n\n`;
+    destinations.forEach((dest) => {
+      const stats = storage.deliveryStats(dest.id);
+      const rules = filters.formatRules(dest.rules, t.locale, { setOnly: true }).split('\n').filter(Boolean);
+
+      message += `${dest.enabled ? '🟢' : '⚪'} <b>${escapeHtml(dest.name)}</b> (<code>${escapeHtml(dest.chatId)}</code>)\n`;
+      message += `   ${t('routes.template', { template: escapeHtml(dest.template), banner: t(dest.banner ? 'routes.on' : 'routes.off') })}\n`;
+      message += `   ${t('routes.delivered', { sent: stats.sent, failed: stats.failed })}\n`;
+      message += rules.length ? rules.map(r => `   ${r}`).join('\n') + '\n\n' : `   ${t('routes.allTokens')}\n\n`;
+    });
+
+    return bot.sendMessage(msg.chat.id, message, { parse_mode: 'HTML' });
+  });
+
+  registerCommand('retract', async (msg, input) => {
+    const t = translatorFor(msg);
+    const [address, mode = 'delete', ...reasonParts] = input.split(/\s+/).filter(Boolean);
+    if (!address || !['delete', 'edit'].includes(mode)) {
+      return bot.sendMessage(msg.chat.id, t('retract.usage'));
+    }
+
+    const tokens = storage.findTokensByAddress(address);
+    if (!tokens.length) {
+      return bot.sendMessage(msg.chat.id, t('retract.notFound', { address }));
+    }
+
+    // Пометка в канале - на языке канала
+    const reason = reasonParts.join(' ');
+    const notice = (chatId) => i18n.translate(locales.forChat(chatId), reason ? 'retract.noticeReason' : 'retract.notice', { reason });
+    const result = { deleted: 0, edited: 0, failed: 0, cancelled: 0 };
+
+    for (const token of tokens) {
+      result.cancelled += storage.cancelOutbox(token.id);
+      const sent = storage.listDeliveries(token.id).filter(d => d.status === 'sent' && d.messageId);
+      for (const delivery of sent) {
+        const outcome = await alerts.retractMessage(delivery, mode, notice(delivery.chatId));
+        result[outcome]++;
+        if (outcome !== 'failed') {
+          storage.recordDelivery(token.id, delivery.destination, { status: 'retracted', chatId: delivery.chatId });
+        }
+      }
+    }
+
+    console.log(`↩️ Retracted ${address}: ${JSON.stringify(result)}`);
+    return bot.sendMessage(msg.chat.id,
+      `${t('retract.done', { address })}\n\n` +
+      `${t('retract.result', result)}\n` +
+      t('common.cancelledSends', { count: result.cancelled })
+    );
+  });
+
+  // Выгрузка истории файлом: /export json 2024-05-01 2024-05-31 solana
+  registerCommand('export', async (msg, input) => {
+    const t = translatorFor(msg);
+    let options;
+    try {
+      options = historyExport.parseExportArgs(input.split(/\s+/).filter(Boolean), { sources: Object.keys(feedsById) });
+    } catch (err) {
+      return bot.sendMessage(msg.chat.id, `❌ ${err.message}\n${t('export.usage')}`);
+    }
+
+    const records = historyExport.collectExport(storage, options.filter);
+    if (!records.length) {
+      return bot.sendMessage(msg.chat.id, t('export.empty'));
+    }
+
+    const output = historyExport.formatExport(records, options.format, options.filter);
+    const stamp = new Date().toISOString().slice(0, 10);
+    console.log(`📤 Exported ${records.length} token(s) as ${options.format}`);
+    return bot.sendDocument(msg.chat.id, Buffer.from(output), {
+      caption: `📤 ${t('export.tokens', { count: records.length })}`
+    }, {
+      filename: `cto-export-${stamp}.${options.format}`,
+      contentType: options.format === 'json' ? 'application/json' : 'text/csv'
+    });
+  });
+
+  // Принудительная публикация во все каналы CTO (actions.repost)
+  registerCommand('repost', async (msg, input) => {
+    const t = translatorFor(msg);
+    if (!elector.isLeader()) {
+      return bot.sendMessage(msg.chat.id, t('repost.standby'));
+    }
+
+    const found = await findTokenPairs(msg, 'repost', input);
+    if (!found) return;
+
+    const by = msg.from.username ? `@${msg.from.username}` : msg.from.id;
+    const result = await actions.repost(found.pairs, found.address, { by });
+    if (result.ban) {
+      const { reason } = result.ban;
+      return bot.sendMessage(msg.chat.id, t(reason ? 'repost.bannedReason' : 'repost.banned', { address: result.address, reason }));
+    }
+    if (!result.queued) {
+      return bot.sendMessage(msg.chat.id, t('repost.alreadyPosted', { address: result.address }));
+    }
+
+    return bot.sendMessage(msg.chat.id,
+      `${t('repost.done', { address: result.address, chain: messages.getChainName(result.chain) })}\n\n` +
+      t('repost.result', result)
+    );
+  });
+
+  registerCommand('ban', (msg, input) => {
+    const t = translatorFor(msg);
+    const [address, ...reasonParts] = input.split(/\s+/).filter(Boolean);
+    if (!address) {
+      return bot.sendMessage(msg.chat.id, t('ban.usage'));
+    }
+
+    const reason = reasonParts.join(' ') || null;
+    const banned = actions.ban(address, { reason, createdBy: msg.from.id });
+    if (!banned) {
+      return bot.sendMessage(msg.chat.id, t('ban.already', { address }));
+    }
+
+    return bot.sendMessage(msg.chat.id,
+      `${t(reason ? 'ban.doneReason' : 'ban.done', { address, reason })}\n` +
+      `${t('common.cancelledSends', { count: banned.cancelled })}\n\n` +
+      t('ban.note')
+    );
+  });
+
+  registerCommand('unban', (msg, input) => {
+    const t = translatorFor(msg);
+    const [address] = input.split(/\s+/).filter(Boolean);
+    if (!address) {
+      return bot.sendMessage(msg.chat.id, t('unban.usage'));
+    }
+    if (!moderation.unban(address)) {
+      return bot.sendMessage(msg.chat.id, t('unban.notBanned', { address }));
+    }
+
+    console.log(`✅ Unbanned ${address}`);
+    return bot.sendMessage(msg.chat.id, t('unban.done', { address }));
+  });
+
+  registerCommand('banlist', (msg) => {
+    const t = translatorFor(msg);
+    const bans = moderation.listBans();
+    const chains = moderation.listIgnoredChains();
+    const formatEntry = (entry) => {
+      const date = new Date(entry.createdAt).toISOString().slice(0, 10);
+      return `• ${entry.value}${entry.reason ? ` - ${entry.reason}` : ''} (${date})\n`;
+    };
+
+    let text = `${t('banlist.tokens', { count: bans.length })}\n`;
+    text += bans.length ? bans.map(formatEntry).join('') : `${t('status.none')}\n`;
+    text += `\n${t('banlist.chains', { count: chains.length })}\n`;
+    text += chains.length ? chains.map(formatEntry).join('') : `${t('status.none')}\n`;
+    return bot.sendMessage(msg.chat.id, text);
+  });
+
+  registerCommand('ignorechain', (msg, input) => {
+    const t = translatorFor(msg);
+    const [chainArg, mode] = input.split(/\s+/).filter(Boolean);
+    if (!chainArg) {
+      const chains = moderation.listIgnoredChains().map(entry => entry.value);
+      return bot.sendMessage(msg.chat.id,
+        `${t('ignorechain.list', { chains: chains.length ? chains.join(', ') : t('status.none') })}\n\n${t('ignorechain.usage')}`);
+    }
+
+    let chain;
+    try {
+      chain = normalizeChain(chainArg);
+    } catch (err) {
+      return bot.sendMessage(msg.chat.id, `❌ ${err.message}`);
+    }
+
+    const name = messages.getChainName(chain);
+    if (mode === 'off') {
+      return bot.sendMessage(msg.chat.id, t(moderation.unignoreChain(chain) ? 'ignorechain.restored' : 'ignorechain.notIgnored', { chain: name }));
+    }
+
+    if (!moderation.ignoreChain(chain, { createdBy: msg.from.id })) {
+      return bot.sendMessage(msg.chat.id, t('ignorechain.already', { chain: name }));
+    }
+    console.log(`🙈 Ignoring chain ${chain}`);
+    return bot.sendMessage(msg.chat.id, t('ignorechain.done', { chain: name, id: chain }));
+  });
+
+  // /filters - просмотр и изменение правил фильтрации
+  //   /filters                     - текущие правила
+  //   /filters set <rule> <value>  - изменить правило (off - выключить)
+  //   /filters reset               - перечитать правила из env и файла
+  //   /filters skipped             - последние отфильтрованные токены
+  registerCommand('filters', (msg, input) => {
+    const t = translatorFor(msg);
+    const args = input.split(/\s+/).filter(Boolean);
+    const action = (args[0] || '').toLowerCase();
+
+    if (action === 'set') {
+      const [, key, ...rest] = args;
+      try {
+        filterState.rules[key] = filters.parseRuleValue(key, rest.join(' '));
+      } catch (err) {
+        return bot.sendMessage(msg.chat.id,
+          `❌ ${err.message}\n\n${t('filters.available', { rules: Object.keys(filters.RULE_DEFS).join(', ') })}`);
+      }
+      const saved = filters.saveFilterRules(FILTERS_FILE, filterState.rules);
+      return bot.sendMessage(msg.chat.id,
+        `${t(saved ? 'filters.updated' : 'filters.updatedMemory')}\n\n${filters.formatRules(filterState.rules, t.locale)}`,
+        { parse_mode: 'HTML' }
+      );
+    }
+
+    if (action === 'reset') {
+      if (fs.existsSync(FILTERS_FILE)) {
+        fs.unlinkSync(FILTERS_FILE);
+      }
+      filterState.rules = filters.loadFilterRules({ file: FILTERS_FILE, env: config.env });
+      return bot.sendMessage(msg.chat.id, `${t('filters.reset')}\n\n${filters.formatRules(filterState.rules, t.locale)}`,
+        { parse_mode: 'HTML' });
+    }
+
+    if (action === 'skipped') {
+      const skipped = storage.listTokens({ status: 'skipped', limit: 10 });
+      if (!skipped.length) {
+        return bot.sendMessage(msg.chat.id, t('filters.noSkipped'));
+      }
+      let message = `${t('filters.skipped', { count: skipped.length })}\n\n`;
+      skipped.forEach((token, i) => {
+        const timeAgo = formatTimeAgo(token.firstSeen, t.locale);
+        message += `${i + 1}. ${escapeHtml(token.chain.toUpperCase())}: <code>${escapeHtml(token.address.slice(0, 10))}...</code> (${timeAgo})\n`;
+        message += `   ${escapeHtml(token.reasons.join('; '))}\n\n`;
+      });
+      return bot.sendMessage(msg.chat.id, message, { parse_mode: 'HTML' });
+    }
+
+    return bot.sendMessage(msg.chat.id,
+      `${t('filters.title')}\n\n${filters.formatRules(filterState.rules, t.locale)}\n\n` +
+      `${t('filters.change', { command: '<code>/filters set &lt;rule&gt; &lt;value&gt;</code>' })}\n` +
+      `${t('filters.resetHelp', { command: '<code>/filters reset</code>' })}\n` +
+      t('filters.audit', { command: '<code>/filters skipped</code>' }),
+      { parse_mode: 'HTML' }
+    );
+  });
+}
+
+module.exports = {
+  COMMAND_HELP,
+  registerCommands
+};
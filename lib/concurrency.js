@@ -0,0 +1,53 @@
+// -------------------------------
+// Вспомогательные функции для параллельной обработки
+
+// Выполняет fn для каждого элемента, не более limit одновременно.
+// Результаты в том же порядке, что и items
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Не дает запустить задачу повторно, пока предыдущий запуск не закончился.
+// Повторный вызов получает промис текущего запуска
+function createRunLock(task) {
+  let current = null;
+
+  function run(...args) {
+    if (current) return current;
+    current = Promise.resolve()
+      .then(() => task(...args))
+      .finally(() => { current = null; });
+    return current;
+  }
+
+  return {
+    run,
+    isRunning: () => current !== null
+  };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  mapWithConcurrency,
+  createRunLock,
+  chunk
+};
@@ -0,0 +1,105 @@
+const path = require('path');
+const { parseIdList, parsePermissions } = require('./auth');
+const { parseCheckpoints, parseMultiples } = require('./tracker');
+const { parseRpcEndpoints } = require('./safety');
+const { parseLocale } = require('./i18n');
+
+// -------------------------------
+// Конфигурация бота из переменных окружения.
+// baseDir - каталог для файлов по умолчанию (база, фильтры, маршруты, bot.lock)
+
+// Число из переменной окружения. Пустое, неверное или меньше min значение заменяется на fallback,
+// поэтому 0 проходит там, где min = 0 (API_MAX_RETRIES=0 отключает повторы)
+function parseNumber(value, fallback, { min = 0, float = false } = {}) {
+  const num = float ? parseFloat(value) : parseInt(value);
+  return Number.isNaN(num) || num < min ? fallback : num;
+}
+
+function loadConfig(env = process.env, { baseDir = path.join(__dirname, '..') } = {}) {
+  const CHECK_INTERVAL = parseNumber(env.CHECK_INTERVAL, 20000, { min: 1 });
+  const CHANNEL_ID = env.TELEGRAM_CHANNEL_ID;
+  // USE_MEMORY_DB - если true, использует только память (для Render)
+  const USE_MEMORY_DB = env.USE_MEMORY_DB === 'true';
+
+  return {
+    env,
+    BOT_TOKEN: env.TELEGRAM_BOT_TOKEN,
+    CHANNEL_ID,
+    CHECK_INTERVAL,
+    BOT_USERNAME: env.BOT_USERNAME || '@DAC_CTO_bot',
+    // Старый JSON-массив обработанных токенов, переносится в SQLite при первом запуске
+    DATABASE_FILE: env.DATABASE_PATH || path.join(baseDir, 'database.json'),
+    LOCKFILE: path.join(baseDir, 'bot.lock'),
+    PORT: env.PORT || 3000,
+    FILTERS_FILE: env.FILTERS_PATH || path.join(baseDir, 'filters.json'),
+    ROUTES_FILE: env.ROUTES_PATH || path.join(baseDir, 'routes.json'),
+    FEEDS_FILE: env.FEEDS_PATH || path.join(baseDir, 'feeds.json'),
+    // Каталог с шаблонами <name>.html / <name>.md и подпись под алертом (пустая строка - без подписи)
+    TEMPLATES_DIR: env.TEMPLATES_PATH || path.join(baseDir, 'templates'),
+    MESSAGE_FOOTER: env.MESSAGE_FOOTER ?? 'Powered by @DigitalAssetClubEU',
+    // Лимит Telegram для подписи к фото
+    CAPTION_LIMIT: 1024,
+    SQLITE_FILE: env.SQLITE_PATH || path.join(baseDir, 'cto.db'),
+    AUDIT_LOG_FILE: env.AUDIT_LOG_PATH || path.join(baseDir, 'audit.log'),
+    USE_MEMORY_DB,
+    // DB_BACKEND - 'sqlite' (по умолчанию) или 'memory'
+    DB_BACKEND: USE_MEMORY_DB ? 'memory' : (env.DB_BACKEND || 'sqlite'),
+    // Устойчивость к сбоям DexScreener
+    API_MAX_RETRIES: parseNumber(env.API_MAX_RETRIES, 3),
+    API_BREAKER_THRESHOLD: parseNumber(env.API_BREAKER_THRESHOLD, 5, { min: 1 }),
+    API_BREAKER_COOLDOWN: parseNumber(env.API_BREAKER_COOLDOWN, 60000),
+    // Сколько циклов подряд пытаться загрузить данные токена, прежде чем пропустить его
+    DETAILS_MAX_ATTEMPTS: parseNumber(env.DETAILS_MAX_ATTEMPTS, 5, { min: 1 }),
+    // Сколько алертов отправлять в Telegram одновременно
+    SEND_CONCURRENCY: parseNumber(env.SEND_CONCURRENCY, 2, { min: 1 }),
+    // Очередь исходящих: интервал обработки и число попыток отправки
+    OUTBOX_INTERVAL: parseNumber(env.OUTBOX_INTERVAL, 5000, { min: 1 }),
+    OUTBOX_MAX_ATTEMPTS: parseNumber(env.OUTBOX_MAX_ATTEMPTS, 8, { min: 1 }),
+    // /readyz: максимальный возраст последнего успешного опроса фида и кеш проверки Telegram
+    READY_MAX_POLL_AGE: parseNumber(env.READY_MAX_POLL_AGE, Math.max(CHECK_INTERVAL * 3, 120000), { min: 1 }),
+    TELEGRAM_PROBE_TTL: parseNumber(env.TELEGRAM_PROBE_TTL, 30000),
+    // Получение обновлений: polling | webhook | auto (webhook, если задан WEBHOOK_URL)
+    BOT_MODE: env.BOT_MODE || 'auto',
+    WEBHOOK_URL: env.WEBHOOK_URL,
+    WEBHOOK_PATH: env.WEBHOOK_PATH || '/telegram/webhook',
+    WEBHOOK_SECRET: env.WEBHOOK_SECRET,
+    WEBHOOK_CHECK_INTERVAL: parseNumber(env.WEBHOOK_CHECK_INTERVAL, 60000, { min: 1 }),
+    // Панель управления и JSON API на том же порту (HTTP Basic). Без пароля выключена
+    DASHBOARD_USER: env.DASHBOARD_USER || 'admin',
+    DASHBOARD_PASSWORD: env.DASHBOARD_PASSWORD || '',
+    DASHBOARD_PATH: (env.DASHBOARD_PATH || '/admin').replace(/\/+$/, ''),
+    // Выбор лидера: file (bot.lock, один хост) | sqlite (общий файл БД) | redis
+    LEADER_BACKEND: env.LEADER_BACKEND || 'file',
+    LEADER_TTL: parseNumber(env.LEADER_TTL, 30000, { min: 1 }),
+    LEADER_KEY: env.LEADER_KEY || 'cto-bot:leader',
+    REDIS_URL: env.REDIS_URL,
+    // Отслеживание после алерта
+    TRACK_CHECKPOINTS: parseCheckpoints(env.TRACK_CHECKPOINTS || '15m,1h,6h,24h'),
+    TRACK_MULTIPLES: parseMultiples(env.TRACK_MULTIPLES || '2,5,10'),
+    TRACK_DROP_PERCENT: parseNumber(env.TRACK_DROP_PERCENT, 50, { float: true }),
+    TRACK_INTERVAL: parseNumber(env.TRACK_INTERVAL, 60000, { min: 1 }),
+    // Дайджесты: cron-расписание ('off' - выключить), часовой пояс и чат
+    DIGEST_DAILY_CRON: env.DIGEST_DAILY_CRON || '0 9 * * *',
+    DIGEST_WEEKLY_CRON: env.DIGEST_WEEKLY_CRON || '0 9 * * 1',
+    DIGEST_TIMEZONE: env.DIGEST_TIMEZONE || 'UTC',
+    DIGEST_CHAT_ID: env.DIGEST_CHAT_ID || CHANNEL_ID,
+    // Проверки безопасности: RPC по сетям ("solana=https://...,base=https://..."),
+    // таймаут запроса и порог доли 10 крупнейших держателей (%) для ⚠️
+    RPC_ENDPOINTS: parseRpcEndpoints(env.RPC_ENDPOINTS),
+    SAFETY_TIMEOUT: parseNumber(env.SAFETY_TIMEOUT, 8000, { min: 1 }),
+    SAFETY_MAX_TOP_HOLDERS: parseNumber(env.SAFETY_MAX_TOP_HOLDERS, 30, { float: true }),
+    // Поиск копий: за сколько дней сравнивать с опубликованными токенами (0 - выключить)
+    // и пропускать ли дубли в той же сети вместо пометки в карточке
+    COPYCAT_WINDOW_DAYS: parseNumber(env.COPYCAT_WINDOW_DAYS, 30, { float: true }),
+    COPYCAT_SUPPRESS_SAME_CHAIN: env.COPYCAT_SUPPRESS_SAME_CHAIN === 'true',
+    // Язык карточек и ответов по умолчанию (locales/); каналы и чаты меняют его через routes.json и /lang
+    DEFAULT_LOCALE: parseLocale(env.DEFAULT_LOCALE),
+    ADMIN_IDS: parseIdList(env.ADMIN_IDS),
+    OPERATOR_IDS: parseIdList(env.OPERATOR_IDS),
+    COMMAND_PERMISSIONS: parsePermissions(env.COMMAND_PERMISSIONS)
+  };
+}
+
+module.exports = {
+  loadConfig
+};
@@ -0,0 +1,255 @@
+const { extractSocials } = require('./messages');
+
+// -------------------------------
+// Копии и перезапуски уже опубликованных токенов.
+// Новый токен сравнивается с историей алертов по тикеру, похожему названию,
+// общим ссылкам на Twitter / Telegram и по тому же адресу в другой сети.
+// Признаки опубликованных токенов хранятся в token_fingerprints (storage.addFingerprints).
+// Совпадение добавляется к данным пары (details.copycat): его видят шаблоны и pipeline
+
+// Вес признака при выборе оригинала: общий адрес и соцсети надежнее тикера и названия
+const SIGNAL_WEIGHTS = { address: 4, twitter: 3, telegram: 3, symbol: 2, name: 1 };
+
+// Порог похожести названий (коэффициент Дайса по биграммам)
+const NAME_SIMILARITY = 0.85;
+
+// Служебные пути x.com / t.me, а не аккаунты
+const TWITTER_RESERVED = ['i', 'intent', 'home', 'search', 'hashtag', 'share'];
+const TELEGRAM_RESERVED = ['s', 'share', 'joinchat'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function normalizeSymbol(symbol) {
+  const value = String(symbol || '').trim().replace(/^\$/, '').toUpperCase();
+  return value || null;
+}
+
+// "Moon Cat!" -> "mooncat". Слишком короткие названия не сравниваются
+function normalizeName(name) {
+  const value = String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  return value.length >= 3 ? value : null;
+}
+
+function parseUrl(url) {
+  try {
+    return new URL(/^[a-z]+:\/\//i.test(url) ? url : `https://${url}`);
+  } catch (err) {
+    return null;
+  }
+}
+
+// https://x.com/MoonCat_CTO/status/1 -> "mooncat_cto", x.com/i/communities/123 -> "communities/123"
+function twitterHandle(url) {
+  const parts = parseUrl(url)?.pathname.split('/').filter(Boolean) || [];
+  if (parts[0] === 'i' && parts[1] === 'communities' && parts[2]) return `communities/${parts[2]}`;
+  if (!parts[0] || TWITTER_RESERVED.includes(parts[0].toLowerCase())) return null;
+  return parts[0].replace(/^@/, '').toLowerCase();
+}
+
+// https://t.me/mooncat_cto -> "mooncat_cto", t.me/joinchat/AbC -> "joinchat/abc"
+function telegramHandle(url) {
+  const parts = parseUrl(url)?.pathname.split('/').filter(Boolean) || [];
+  if (!parts[0]) return null;
+  const first = parts[0].toLowerCase();
+  if (first === 'joinchat' && parts[1]) return `joinchat/${parts[1].toLowerCase()}`;
+  if (first === 's' && parts[1]) return parts[1].toLowerCase();
+  if (TELEGRAM_RESERVED.includes(first)) return null;
+  return first;
+}
+
+// Признаки токена: ссылки из фида и из пары DexScreener, тикер и название
+function fingerprintToken(ctoData, details) {
+  const links = [...(ctoData?.links || []), ...(details?.info?.socials || [])];
+  const fingerprints = [];
+  const add = (kind, value) => {
+    if (value && !fingerprints.some(f => f.kind === kind && f.value === value)) {
+      fingerprints.push({ kind, value });
+    }
+  };
+
+  for (const social of extractSocials({ links })) {
+    if (social.type === '🐦') add('twitter', twitterHandle(social.url));
+    if (social.type === '📱') add('telegram', telegramHandle(social.url));
+  }
+  add('symbol', normalizeSymbol(details?.baseToken?.symbol));
+  add('name', normalizeName(details?.baseToken?.name));
+  return fingerprints;
+}
+
+function bigrams(value) {
+  const counts = new Map();
+  for (let i = 0; i < value.length - 1; i++) {
+    const pair = value.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return counts;
+}
+
+// Коэффициент Дайса: 1 - одинаковые строки, 0 - нет общих биграмм
+function nameSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let common = 0;
+  for (const [pair, count] of left) {
+    common += Math.min(count, right.get(pair) || 0);
+  }
+  return (2 * common) / (a.length - 1 + b.length - 1);
+}
+
+function sameToken(a, b) {
+  return a.chain.toLowerCase() === b.chain.toLowerCase() && a.address.toLowerCase() === b.address.toLowerCase();
+}
+
+// -------------------------------
+
+function createCopycatDetector({
+  storage,
+  dex = null,
+  windowDays = 30,
+  nameThreshold = NAME_SIMILARITY,
+  suppressSameChain = false
+}) {
+  const enabled = windowDays > 0;
+
+  // Опубликованные токены с общими признаками: ключ сеть+адрес -> { token, signals }.
+  // Один токен из нескольких источников (cto, profiles) - один оригинал, самый ранний
+  function collectOriginals(ctoData, details) {
+    const since = Date.now() - windowDays * DAY;
+    const current = { chain: ctoData.chainId, address: ctoData.tokenAddress };
+    const originals = new Map();
+
+    function add(token, signal) {
+      if (!token || token.status !== 'alerted' || sameToken(token, current)) return;
+      const key = `${token.chain}:${token.address.toLowerCase()}`;
+      const entry = originals.get(key);
+      if (!entry) {
+        originals.set(key, { token, signals: new Set([signal]) });
+        return;
+      }
+      entry.signals.add(signal);
+      if (token.firstSeen < entry.token.firstSeen) entry.token = token;
+    }
+
+    const fingerprints = fingerprintToken(ctoData, details);
+    const exact = fingerprints.filter(f => f.kind !== 'name');
+    for (const row of storage.findFingerprints(exact, since)) {
+      add(storage.getToken(row.tokenId), row.kind);
+    }
+
+    const name = fingerprints.find(f => f.kind === 'name');
+    if (name) {
+      for (const row of storage.listFingerprints('name', since)) {
+        if (nameSimilarity(name.value, row.value) >= nameThreshold) {
+          add(storage.getToken(row.tokenId), 'name');
+        }
+      }
+    }
+
+    // Тот же адрес в другой сети: перезапуск или мост
+    for (const token of storage.findTokensByAddress(ctoData.tokenAddress)) {
+      if (token.chain !== current.chain.toLowerCase() && token.firstSeen >= since) add(token, 'address');
+    }
+
+    return [...originals.values()];
+  }
+
+  function score(signals) {
+    return [...signals].reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0);
+  }
+
+  // Лучшее совпадение (больший вес признаков, при равенстве - более ранний алерт) или null
+  function find(ctoData, details) {
+    if (!enabled) return null;
+    const [best] = collectOriginals(ctoData, details).sort((a, b) =>
+      score(b.signals) - score(a.signals) || a.token.firstSeen - b.token.firstSeen);
+    if (!best) return null;
+
+    const { token } = best;
+    return {
+      tokenId: token.id,
+      chain: token.chain,
+      address: token.address,
+      symbol: token.snapshot?.symbol || null,
+      name: token.snapshot?.name || null,
+      alertedAt: token.firstSeen,
+      marketCap: null,
+      signals: Object.keys(SIGNAL_WEIGHTS).filter(signal => best.signals.has(signal)),
+      sameChain: token.chain === ctoData.chainId.toLowerCase()
+    };
+  }
+
+  // Текущая капитализация оригинала. Если данные не загрузились,
+  // строка в карточке выходит без капитализации
+  async function loadMarketCap(match) {
+    try {
+      const pairs = await dex.fetchTokensBatch(match.chain, [match.address]);
+      const pair = pairs.get(match.address.toLowerCase());
+      if (pair) match.marketCap = pair.marketCap ?? pair.fdv ?? null;
+    } catch (err) {
+      console.error(`❌ Error fetching copycat original ${match.tokenId}:`, err.message);
+    }
+  }
+
+  // details.copycat: совпадение или null. Пары без данных не проверяются -
+  // без тикера и названия остаются только ссылки, а карточке некуда добавить строку.
+  // Одна пара может достаться нескольким источникам - проверяется один раз
+  async function annotate(ctoData, details) {
+    if (!enabled || !details) return null;
+    if (details.copycat !== undefined) return details.copycat;
+    details.copycat = find(ctoData, details);
+    if (details.copycat && dex) await loadMarketCap(details.copycat);
+    return details.copycat;
+  }
+
+  // Запоминает признаки опубликованного токена
+  function remember(tokenId, ctoData, details) {
+    if (!enabled) return 0;
+    return storage.addFingerprints(tokenId, fingerprintToken(ctoData, details));
+  }
+
+  // Признаки токенов, опубликованных до появления проверки (один раз, отметка в meta).
+  // Тикер и название берутся из снимка на момент алерта
+  function indexHistory() {
+    if (!enabled || storage.getMeta('fingerprints_indexed')) return 0;
+    let indexed = 0;
+    const pageSize = 500;
+    for (let offset = 0; ; offset += pageSize) {
+      const tokens = storage.listTokens({ status: 'alerted', limit: pageSize, offset });
+      for (const token of tokens) {
+        const details = token.snapshot && { baseToken: { name: token.snapshot.name, symbol: token.snapshot.symbol } };
+        if (storage.addFingerprints(token.id, fingerprintToken(token.cto, details), token.firstSeen)) indexed++;
+      }
+      if (tokens.length < pageSize) break;
+    }
+    storage.setMeta('fingerprints_indexed', new Date().toISOString());
+    return indexed;
+  }
+
+  // Причина для записи токена: пропуск дубля в той же сети (если включен) или пометка для аудита
+  function describe(match) {
+    const suppressed = suppressSameChain && match.sameChain;
+    return {
+      suppressed,
+      reason: `${suppressed ? 'same-chain duplicate' : 'possible copycat'} of ${match.tokenId} (${match.signals.join(', ')})`
+    };
+  }
+
+  return {
+    enabled,
+    find,
+    annotate,
+    remember,
+    indexHistory,
+    describe
+  };
+}
+
+module.exports = {
+  fingerprintToken,
+  nameSimilarity,
+  twitterHandle,
+  telegramHandle,
+  createCopycatDetector
+};
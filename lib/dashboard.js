@@ -0,0 +1,323 @@
+const { sendText, sendJson, readJson } = require('./server');
+const { secretsMatch } = require('./webhook');
+const filters = require('./filters');
+const historyExport = require('./export');
+const { TOKEN_STATUSES } = require('./storage');
+const { normalizeChain } = require('./moderation');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, translate } = require('./i18n');
+const { serializeDestination, updateDestination, saveRoutes } = require('./router');
+const { renderDashboardPage } = require('./dashboardPage');
+
+// -------------------------------
+// Панель управления: HTML страница и JSON API под одним паролем (HTTP Basic).
+// Маршруты от DASHBOARD_PATH (по умолчанию /admin):
+//   GET    /                        - страница
+//   GET    /api/status              - лидер и аренда, опрос фидов, очередь
+//   GET    /api/feed                - последние токены с причинами пропуска (?status&source&chain&limit&offset)
+//   GET    /api/history             - опубликованные токены с результатами (?q&from&to&chain&source&limit&offset)
+//   GET    /api/routes              - каналы; POST { id, ...изменения }
+//   GET    /api/filters             - общие фильтры; POST { rules: { minMarketCap: "50k" } }
+//   POST   /api/repost              - { address, chain }
+//   GET    /api/bans                - баны и игнорируемые сети; POST { address, reason }; DELETE ?address=
+//   POST   /api/ignored-chains      - { chain }; DELETE ?chain=
+// Изменяющие запросы принимаются только с Content-Type: application/json - такой запрос
+// браузер не отправит с чужого сайта без CORS, и сохраненным паролем нельзя воспользоваться извне
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// "Basic base64(user:password)" -> { user, password }
+function parseBasicAuth(header) {
+  const match = /^Basic\s+(\S+)$/i.exec(header || '');
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return null;
+  return { user: decoded.slice(0, separator), password: decoded.slice(separator + 1) };
+}
+
+function parseLimit(url) {
+  const limit = parseInt(url.searchParams.get('limit')) || DEFAULT_LIMIT;
+  const offset = parseInt(url.searchParams.get('offset')) || 0;
+  return { limit: Math.min(Math.max(limit, 1), MAX_LIMIT), offset: Math.max(offset, 0) };
+}
+
+function toIso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function registerDashboard({
+  httpServer,
+  config,
+  auth,
+  bot,
+  storage,
+  elector,
+  pipeline,
+  alerts,
+  actions,
+  moderation,
+  destinations,
+  templates,
+  feeds,
+  filterState,
+  health,
+  feedPollStatus,
+  updateMode,
+  startedAt
+}) {
+  const { DASHBOARD_USER, DASHBOARD_PASSWORD, DASHBOARD_PATH, FILTERS_FILE, ROUTES_FILE } = config;
+  const feedIds = feeds.map(feed => feed.id);
+
+  // Проверка пароля, затем обработчик. Ошибки со statusCode уходят клиенту JSON-ом
+  function protect(handler, { write = false } = {}) {
+    return async (req, res, url) => {
+      const credentials = parseBasicAuth(req.headers.authorization);
+      const valid = credentials &&
+        secretsMatch(DASHBOARD_USER, credentials.user) &&
+        secretsMatch(DASHBOARD_PASSWORD, credentials.password);
+      if (!valid) {
+        if (req.headers.authorization) {
+          console.log(`⚠️ Rejected dashboard login from ${req.socket.remoteAddress}`);
+        }
+        res.setHeader('WWW-Authenticate', 'Basic realm="CTO bot dashboard", charset="UTF-8"');
+        return sendText(res, 401, 'Unauthorized');
+      }
+
+      if (write && !/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+        return sendJson(res, 415, { error: 'Expected Content-Type: application/json' });
+      }
+
+      res.setHeader('Cache-Control', 'no-store');
+      try {
+        await handler(req, res, url, credentials.user);
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        sendJson(res, err.statusCode, { error: err.message });
+      }
+    };
+  }
+
+  function route(method, pathname, handler) {
+    httpServer.route(method, `${DASHBOARD_PATH}${pathname}`, protect(handler, { write: method !== 'GET' }));
+  }
+
+  // Действия из панели пишутся в тот же audit log, что и команды Telegram
+  function audit(user, command, args, result) {
+    auth.audit({ user: { id: null, username: `dashboard:${user}` }, command, args, result, role: 'admin' });
+  }
+
+  // Ошибка проверки значения -> 400
+  function validate(fn) {
+    try {
+      return fn();
+    } catch (err) {
+      throw err.statusCode ? err : httpError(400, err.message);
+    }
+  }
+
+  function tokenSummary(token) {
+    return {
+      id: token.id,
+      source: token.source,
+      chain: token.chain,
+      address: token.address,
+      name: token.snapshot?.name ?? null,
+      symbol: token.snapshot?.symbol ?? null,
+      marketCap: token.snapshot?.marketCap ?? token.snapshot?.fdv ?? null,
+      url: token.cto?.url ?? null,
+      status: token.status,
+      reasons: token.reasons,
+      firstSeen: toIso(token.firstSeen),
+      deliveries: storage.listDeliveries(token.id).map(d => ({ destination: d.destination, status: d.status, error: d.error }))
+    };
+  }
+
+  // Фильтр списка токенов из параметров запроса
+  function parseTokenFilter(url) {
+    const filter = {};
+    const status = url.searchParams.get('status');
+    const source = url.searchParams.get('source');
+    const chain = url.searchParams.get('chain');
+    if (status) {
+      if (!TOKEN_STATUSES.includes(status)) throw httpError(400, `Unknown status "${status}", expected one of ${TOKEN_STATUSES.join(', ')}`);
+      filter.status = status;
+    }
+    if (source) {
+      if (!feedIds.includes(source)) throw httpError(400, `Unknown source "${source}", expected one of ${feedIds.join(', ')}`);
+      filter.source = source;
+    }
+    if (chain) filter.chain = validate(() => normalizeChain(chain));
+    return filter;
+  }
+
+  // -------------------------------
+  // Страница
+
+  httpServer.route('GET', DASHBOARD_PATH, protect((req, res) => {
+    res.setHeader('X-Frame-Options', 'DENY');
+    sendText(res, 200, renderDashboardPage({ basePath: DASHBOARD_PATH }), 'text/html; charset=utf-8');
+  }));
+
+  // -------------------------------
+  // Состояние: лидер и аренда, получение обновлений, опрос фидов
+
+  route('GET', '/api/status', async (req, res) => {
+    const lease = await elector.status();
+    sendJson(res, 200, {
+      role: lease.leader ? 'leader' : 'standby',
+      lease: { ...lease, lastRenewAt: toIso(lease.lastRenewAt) },
+      updates: updateMode === 'webhook'
+        ? { mode: updateMode, active: health.webhook.active, lastUpdateAt: health.webhook.lastUpdateAt, error: health.webhook.error }
+        : { mode: updateMode, polling: bot.isPolling() },
+      check: { running: pipeline.isRunning(), intervalSeconds: config.CHECK_INTERVAL / 1000 },
+      feeds: feedPollStatus(),
+      outbox: { queued: alerts.outbox.pending(), failed: storage.countOutbox('failed') },
+      tokens: Object.fromEntries(TOKEN_STATUSES.map(status => [status, storage.countTokens({ status })])),
+      startedAt: startedAt.toISOString(),
+      uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000)
+    });
+  });
+
+  // -------------------------------
+  // Лента и история
+
+  route('GET', '/api/feed', (req, res, url) => {
+    const filter = parseTokenFilter(url);
+    const { limit, offset } = parseLimit(url);
+    sendJson(res, 200, {
+      total: storage.countTokens(filter),
+      limit,
+      offset,
+      tokens: storage.listTokens({ ...filter, limit, offset }).map(tokenSummary)
+    });
+  });
+
+  // Поиск по адресу, тикеру и названию; по умолчанию только опубликованные токены, новые первыми
+  route('GET', '/api/history', (req, res, url) => {
+    const filter = { status: 'alerted', ...parseTokenFilter(url) };
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+    if (from) filter.since = validate(() => historyExport.parseDate(from));
+    if (to) filter.until = validate(() => historyExport.parseDate(to, { endOfDay: true }));
+
+    const query = (url.searchParams.get('q') || '').trim().toLowerCase();
+    const records = historyExport.collectExport(storage, filter).reverse().filter(record => !query ||
+      [record.id, record.snapshot?.name, record.snapshot?.symbol].some(value => value && value.toLowerCase().includes(query)));
+
+    const { limit, offset } = parseLimit(url);
+    sendJson(res, 200, { total: records.length, limit, offset, records: records.slice(offset, offset + limit) });
+  });
+
+  // -------------------------------
+  // Настройки: каналы и общие фильтры
+
+  route('GET', '/api/routes', (req, res) => {
+    sendJson(res, 200, {
+      destinations: destinations.map(dest => ({
+        ...serializeDestination(dest),
+        locale: dest.locale,
+        delivered: storage.deliveryStats(dest.id)
+      })),
+      templates: Object.keys(templates).filter(name => !name.includes('.')),
+      sources: feedIds,
+      locales: SUPPORTED_LOCALES,
+      rules: Object.keys(filters.RULE_DEFS)
+    });
+  });
+
+  route('POST', '/api/routes', async (req, res, url, user) => {
+    const { id, ...changes } = await readJson(req);
+    const destination = validate(() => updateDestination(destinations, String(id), changes, templates));
+    const saved = saveRoutes(ROUTES_FILE, destinations);
+    audit(user, 'routes', JSON.stringify({ id, ...changes }), saved ? 'saved' : 'in memory only');
+    sendJson(res, 200, { destination: { ...serializeDestination(destination), locale: destination.locale }, saved });
+  });
+
+  route('GET', '/api/filters', (req, res) => {
+    sendJson(res, 200, {
+      rules: filterState.rules,
+      definitions: Object.fromEntries(Object.entries(filters.RULE_DEFS).map(([key, def]) => [key, { type: def.type, label: translate(DEFAULT_LOCALE, `filters.rules.${key}`) }]))
+    });
+  });
+
+  // Все значения проверяются до изменения: при ошибке правила остаются прежними
+  route('POST', '/api/filters', async (req, res, url, user) => {
+    const { rules } = await readJson(req);
+    if (!rules || typeof rules !== 'object') throw httpError(400, 'Expected { "rules": { "<rule>": <value> } }');
+
+    const parsed = validate(() => Object.fromEntries(Object.entries(rules).map(([key, value]) => [key, filters.parseRuleValue(key, value)])));
+    Object.assign(filterState.rules, parsed);
+    const saved = filters.saveFilterRules(FILTERS_FILE, filterState.rules);
+    audit(user, 'filters', JSON.stringify(rules), saved ? 'saved' : 'in memory only');
+    sendJson(res, 200, { rules: filterState.rules, saved });
+  });
+
+  // -------------------------------
+  // Действия: публикация и модерация
+
+  route('POST', '/api/repost', async (req, res, url, user) => {
+    const { address, chain } = await readJson(req);
+    if (!address) throw httpError(400, 'Expected { "address": "...", "chain": "..." }');
+    if (!elector.isLeader()) throw httpError(503, 'This instance is on standby, alerts are posted by the leader');
+
+    const pairs = await actions.findPairs(String(address).trim(), chain ? String(chain).trim() : undefined);
+    const result = await actions.repost(pairs, String(address).trim(), { by: `dashboard:${user}` });
+    if (result.ban) {
+      throw httpError(409, `${result.address} is banned${result.ban.reason ? ` (${result.ban.reason})` : ''}, unban it first`);
+    }
+
+    audit(user, 'repost', address, `queued ${result.queued}`);
+    sendJson(res, 200, { ...result, alreadyPosted: result.queued === 0 });
+  });
+
+  route('GET', '/api/bans', (req, res) => {
+    sendJson(res, 200, { bans: moderation.listBans(), ignoredChains: moderation.listIgnoredChains() });
+  });
+
+  route('POST', '/api/bans', async (req, res, url, user) => {
+    const { address, reason } = await readJson(req);
+    if (!address) throw httpError(400, 'Expected { "address": "...", "reason": "..." }');
+
+    const banned = actions.ban(String(address).trim(), { reason: reason || null, createdBy: `dashboard:${user}` });
+    if (!banned) throw httpError(409, `${address} is already banned`);
+    audit(user, 'ban', address, `cancelled ${banned.cancelled}`);
+    sendJson(res, 200, banned);
+  });
+
+  route('DELETE', '/api/bans', (req, res, url, user) => {
+    const address = url.searchParams.get('address');
+    if (!address) throw httpError(400, 'Expected ?address=');
+    if (!moderation.unban(address)) throw httpError(404, `${address} is not banned`);
+    console.log(`✅ Unbanned ${address}`);
+    audit(user, 'unban', address, 'allowed');
+    sendJson(res, 200, { address, unbanned: true });
+  });
+
+  route('POST', '/api/ignored-chains', async (req, res, url, user) => {
+    const { chain } = await readJson(req);
+    const value = validate(() => normalizeChain(chain));
+    if (!moderation.ignoreChain(value, { createdBy: `dashboard:${user}` })) throw httpError(409, `${value} is already ignored`);
+    console.log(`🙈 Ignoring chain ${value}`);
+    audit(user, 'ignorechain', value, 'allowed');
+    sendJson(res, 200, { chain: value, ignored: true });
+  });
+
+  route('DELETE', '/api/ignored-chains', (req, res, url, user) => {
+    const value = validate(() => normalizeChain(url.searchParams.get('chain')));
+    if (!moderation.unignoreChain(value)) throw httpError(404, `${value} is not ignored`);
+    audit(user, 'ignorechain', `${value} off`, 'allowed');
+    sendJson(res, 200, { chain: value, ignored: false });
+  });
+}
+
+module.exports = {
+  parseBasicAuth,
+  registerDashboard
+};
@@ -0,0 +1,302 @@
+// -------------------------------
+// Страница панели управления: одна HTML страница без зависимостей,
+// все данные загружаются из JSON API панели (lib/dashboard.js).
+// Разделы: лента, история, настройки, модерация, состояние
+
+const STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 0; background: #f5f6f8; color: #1d2330; }
+header { background: #1d2330; color: #fff; padding: 10px 20px; display: flex; gap: 16px; align-items: center; flex-wrap: wrap; }
+header h1 { font-size: 16px; margin: 0 12px 0 0; }
+nav button { background: none; border: 0; color: #aab3c5; font: inherit; cursor: pointer; padding: 4px 8px; }
+nav button.active { color: #fff; border-bottom: 2px solid #4f8cff; }
+main { padding: 16px 20px; }
+section { display: none; }
+section.active { display: block; }
+form { display: flex; gap: 8px; flex-wrap: wrap; align-items: center; margin-bottom: 12px; }
+input, select, textarea, button { font: inherit; padding: 4px 6px; }
+table { border-collapse: collapse; width: 100%; background: #fff; margin-bottom: 16px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e3e6ec; vertical-align: top; }
+th { background: #eef0f4; font-weight: 600; }
+code { font-size: 12px; }
+.skipped { color: #9a3412; }
+.alerted { color: #166534; }
+.muted { color: #6b7280; font-size: 12px; }
+.card { background: #fff; padding: 12px; margin-bottom: 12px; border: 1px solid #e3e6ec; }
+#notice { margin-left: auto; }
+#notice.error { color: #fca5a5; }
+`;
+
+const SCRIPT = `
+const api = async (path, options = {}) => {
+  const response = await fetch(BASE + '/api/' + path, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'same-origin'
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || response.statusText);
+  return data;
+};
+const post = (path, body, method = 'POST') => api(path, { method, body: JSON.stringify(body) });
+const $ = (selector) => document.querySelector(selector);
+const esc = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const money = (value) => value == null ? '-' : '$' + Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+const time = (iso) => iso ? new Date(iso).toLocaleString() : '-';
+const ratio = (value) => value == null ? '-' : value.toFixed(2) + 'x';
+
+function notify(text, error = false) {
+  const notice = $('#notice');
+  notice.textContent = text;
+  notice.className = error ? 'error' : '';
+}
+
+// Обработчик с выводом ошибки в шапку
+const guarded = (fn) => (...args) => Promise.resolve(fn(...args)).catch(err => notify(err.message, true));
+
+function table(headers, rows) {
+  return '<table><tr>' + headers.map(h => '<th>' + esc(h) + '</th>').join('') + '</tr>' +
+    (rows.length ? rows.join('') : '<tr><td colspan="' + headers.length + '" class="muted">Nothing here yet</td></tr>') + '</table>';
+}
+
+function tokenLabel(token) {
+  const name = token.symbol ? esc(token.symbol) + ' <span class="muted">' + esc(token.name) + '</span>' : '';
+  const address = '<code>' + esc(token.address) + '</code>';
+  return (token.url ? '<a href="' + esc(token.url) + '" target="_blank" rel="noopener">' + (name || address) + '</a>' : name || address) +
+    (name ? '<br>' + address : '');
+}
+
+// -------------------------------
+// Лента: обновляется каждые 10 секунд, пока раздел открыт
+async function loadFeed() {
+  const params = new URLSearchParams(new FormData($('#feed-form')));
+  [...params.keys()].forEach(key => { if (!params.get(key)) params.delete(key); });
+  const data = await api('feed?' + params);
+  $('#feed-table').innerHTML = '<p class="muted">' + data.total + ' token(s)</p>' + table(
+    ['Seen', 'Chain', 'Token', 'Source', 'Market cap', 'Status', 'Reasons / deliveries'],
+    data.tokens.map(t => '<tr><td>' + time(t.firstSeen) + '</td><td>' + esc(t.chain) + '</td><td>' + tokenLabel(t) +
+      '</td><td>' + esc(t.source) + '</td><td>' + money(t.marketCap) + '</td><td class="' + esc(t.status) + '">' + esc(t.status) +
+      '</td><td>' + esc(t.reasons.join('; ')) +
+      (t.deliveries.length ? '<br><span class="muted">' + t.deliveries.map(d => esc(d.destination + ': ' + d.status)).join(', ') + '</span>' : '') +
+      '</td></tr>')
+  );
+}
+
+async function loadHistory() {
+  const params = new URLSearchParams(new FormData($('#history-form')));
+  [...params.keys()].forEach(key => { if (!params.get(key)) params.delete(key); });
+  const data = await api('history?' + params);
+  $('#history-table').innerHTML = '<p class="muted">' + data.total + ' alert(s)</p>' + table(
+    ['Alerted', 'Chain', 'Token', 'Market cap at alert', 'Checkpoints', 'Milestones', 'Peak'],
+    data.records.map(r => '<tr><td>' + time(r.firstSeen) + '</td><td>' + esc(r.chain) + '</td><td>' +
+      tokenLabel({ ...r, ...(r.snapshot || {}) }) + '</td><td>' + money(r.snapshot?.marketCap) + '</td><td>' +
+      r.checkpoints.map(c => esc(c.label) + ': ' + (c.checkedAt ? ratio(c.ratio) : '<span class="muted">due</span>')).join('<br>') +
+      '</td><td>' + r.milestones.map(m => esc(m.kind) + ' ' + ratio(m.ratio)).join('<br>') + '</td><td>' + ratio(r.peakRatio) + '</td></tr>')
+  );
+}
+
+// -------------------------------
+// Настройки
+async function loadSettings() {
+  const [routes, filters] = await Promise.all([api('routes'), api('filters')]);
+
+  $('#filters-table').innerHTML = table(['Rule', 'Value'],
+    Object.entries(filters.definitions).map(([key, def]) => {
+      const value = filters.rules[key];
+      const text = Array.isArray(value) ? value.join(', ') : value ?? '';
+      return '<tr><td>' + esc(def.label) + ' <span class="muted">' + esc(key) + '</span></td><td><input name="' + esc(key) +
+        '" value="' + esc(text) + '" placeholder="off"></td></tr>';
+    }));
+
+  $('#routes-list').innerHTML = routes.destinations.map(d => {
+    const options = (list, current) => list.map(v => '<option' + (v === current ? ' selected' : '') + '>' + esc(v) + '</option>').join('');
+    return '<form class="card" data-id="' + esc(d.id) + '"><b>' + esc(d.name) + '</b> <code>' + esc(d.chatId) + '</code>' +
+      '<span class="muted">delivered ' + d.delivered.sent + ', failed ' + d.delivered.failed + '</span><br>' +
+      '<label><input type="checkbox" name="enabled"' + (d.enabled ? ' checked' : '') + '> enabled</label>' +
+      '<label><input type="checkbox" name="banner"' + (d.banner ? ' checked' : '') + '> banner</label>' +
+      '<label>template <select name="template">' + options(routes.templates, d.template) + '</select></label>' +
+      '<label>locale <select name="locale"><option value="">default</option>' + options(routes.locales, d.locale) + '</select></label>' +
+      '<label>sources <input name="sources" value="' + esc(d.sources.join(', ')) + '"></label>' +
+      '<label>rules <textarea name="rules" rows="3" cols="50">' + esc(JSON.stringify(d.rules)) + '</textarea></label>' +
+      '<button>Save</button></form>';
+  }).join('') || '<p class="muted">No destinations configured</p>';
+
+  document.querySelectorAll('#routes-list form').forEach(form => form.addEventListener('submit', guarded(async (event) => {
+    event.preventDefault();
+    const data = new FormData(form);
+    // Правила, которых нет в поле, выключаются
+    const rules = Object.fromEntries(routes.rules.map(key => [key, null]));
+    Object.assign(rules, JSON.parse(data.get('rules') || '{}'));
+    const result = await post('routes', {
+      id: form.dataset.id,
+      enabled: data.has('enabled'),
+      banner: data.has('banner'),
+      template: data.get('template'),
+      locale: data.get('locale') || null,
+      sources: data.get('sources').split(/[\\s,]+/).filter(Boolean),
+      rules
+    });
+    notify('Saved ' + form.dataset.id + (result.saved ? '' : ' (in memory only)'));
+    await loadSettings();
+  })));
+}
+
+// -------------------------------
+// Модерация
+async function loadModeration() {
+  const data = await api('bans');
+  $('#bans-table').innerHTML = table(['Address', 'Reason', 'Since', ''],
+    data.bans.map(b => '<tr><td><code>' + esc(b.value) + '</code></td><td>' + esc(b.reason) + '</td><td>' + time(b.createdAt) +
+      '</td><td><button data-unban="' + esc(b.value) + '">Unban</button></td></tr>'));
+  $('#chains-table').innerHTML = table(['Chain', 'Since', ''],
+    data.ignoredChains.map(c => '<tr><td>' + esc(c.value) + '</td><td>' + time(c.createdAt) +
+      '</td><td><button data-unignore="' + esc(c.value) + '">Process again</button></td></tr>'));
+}
+
+// -------------------------------
+// Состояние
+async function loadStatus() {
+  const s = await api('status');
+  const rows = [
+    ['Role', s.role + ' (' + s.lease.backend + ' lease, instance ' + s.lease.owner + ')'],
+    ['Lease holder', s.lease.holder ? JSON.stringify(s.lease.holder) : '-'],
+    ['Last renewal', time(s.lease.lastRenewAt) + (s.lease.lastError ? ' - ' + s.lease.lastError : '')],
+    ['Updates', s.updates.mode + (s.updates.mode === 'polling' ? (s.updates.polling ? ', polling' : ', not polling') :
+      (s.updates.active ? ', active' : ', inactive') + (s.updates.error ? ' - ' + s.updates.error : ''))],
+    ['Check', (s.check.running ? 'running' : 'idle') + ', every ' + s.check.intervalSeconds + 's'],
+    ...s.feeds.map(f => ['Feed ' + f.feed, (f.ok ? '🟢 ' : '🔴 ') + time(f.lastSuccessAt) + (f.lastError ? ' - ' + f.lastError : '')]),
+    ['Outbox', s.outbox.queued + ' queued, ' + s.outbox.failed + ' failed'],
+    ['Tokens', Object.entries(s.tokens).map(([status, count]) => status + ' ' + count).join(', ')],
+    ['Running since', time(s.startedAt)]
+  ];
+  $('#status-table').innerHTML = table(['', ''], rows.map(([key, value]) => '<tr><th>' + esc(key) + '</th><td>' + esc(value) + '</td></tr>'));
+}
+
+const loaders = { feed: loadFeed, history: loadHistory, settings: loadSettings, moderation: loadModeration, status: loadStatus };
+let current = 'feed';
+
+function show(name) {
+  current = loaders[name] ? name : 'feed';
+  document.querySelectorAll('section').forEach(s => s.classList.toggle('active', s.id === current));
+  document.querySelectorAll('nav button').forEach(b => b.classList.toggle('active', b.dataset.section === current));
+  guarded(loaders[current])();
+}
+
+document.querySelectorAll('nav button').forEach(b => b.addEventListener('click', () => { location.hash = b.dataset.section; }));
+window.addEventListener('hashchange', () => show(location.hash.slice(1)));
+setInterval(() => { if (current === 'feed' || current === 'status') guarded(loaders[current])(); }, 10000);
+
+$('#feed-form').addEventListener('change', guarded(loadFeed));
+$('#history-form').addEventListener('submit', guarded(async (event) => { event.preventDefault(); await loadHistory(); }));
+
+$('#filters-form').addEventListener('submit', guarded(async (event) => {
+  event.preventDefault();
+  const rules = Object.fromEntries(new FormData(event.target));
+  const result = await post('filters', { rules });
+  notify('Filters saved' + (result.saved ? '' : ' (in memory only)'));
+  await loadSettings();
+}));
+
+$('#repost-form').addEventListener('submit', guarded(async (event) => {
+  event.preventDefault();
+  const result = await post('repost', Object.fromEntries(new FormData(event.target)));
+  notify(result.alreadyPosted ? result.address + ' is already posted to all destinations'
+    : 'Reposted ' + result.address + ': ' + result.queued + ' queued, ' + result.sent + ' delivered');
+}));
+
+$('#ban-form').addEventListener('submit', guarded(async (event) => {
+  event.preventDefault();
+  const result = await post('bans', Object.fromEntries(new FormData(event.target)));
+  notify('Banned ' + result.address + ', cancelled ' + result.cancelled + ' queued send(s)');
+  event.target.reset();
+  await loadModeration();
+}));
+
+$('#chain-form').addEventListener('submit', guarded(async (event) => {
+  event.preventDefault();
+  const result = await post('ignored-chains', Object.fromEntries(new FormData(event.target)));
+  notify('Ignoring ' + result.chain);
+  event.target.reset();
+  await loadModeration();
+}));
+
+$('#moderation').addEventListener('click', guarded(async (event) => {
+  const { unban, unignore } = event.target.dataset;
+  if (unban) await api('bans?address=' + encodeURIComponent(unban), { method: 'DELETE' });
+  else if (unignore) await api('ignored-chains?chain=' + encodeURIComponent(unignore), { method: 'DELETE' });
+  else return;
+  notify(unban ? 'Unbanned ' + unban : 'Processing ' + unignore + ' again');
+  await loadModeration();
+}));
+
+show(location.hash.slice(1));
+`;
+
+function renderDashboardPage({ basePath }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>CTO bot dashboard</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>🤖 CTO bot</h1>
+  <nav>
+    <button data-section="feed">Live feed</button>
+    <button data-section="history">History</button>
+    <button data-section="settings">Settings</button>
+    <button data-section="moderation">Moderation</button>
+    <button data-section="status">Status</button>
+  </nav>
+  <span id="notice"></span>
+</header>
+<main>
+  <section id="feed">
+    <form id="feed-form">
+      <select name="status"><option value="">all statuses</option><option>alerted</option><option>skipped</option><option>pending</option></select>
+      <input name="chain" placeholder="chain">
+      <select name="limit"><option>50</option><option>100</option><option>200</option></select>
+    </form>
+    <div id="feed-table"></div>
+  </section>
+  <section id="history">
+    <form id="history-form">
+      <input name="q" placeholder="address, ticker or name" size="30">
+      <input name="from" placeholder="from (YYYY-MM-DD or 7d)">
+      <input name="to" placeholder="to">
+      <input name="chain" placeholder="chain">
+      <button>Search</button>
+    </form>
+    <div id="history-table"></div>
+  </section>
+  <section id="settings">
+    <h3>Filters</h3>
+    <form id="filters-form"><div id="filters-table"></div><button>Save filters</button></form>
+    <h3>Destinations</h3>
+    <div id="routes-list"></div>
+  </section>
+  <section id="moderation">
+    <h3>Repost</h3>
+    <form id="repost-form"><input name="address" placeholder="token address" size="50" required><input name="chain" placeholder="chain (optional)"><button>Repost</button></form>
+    <h3>Banned tokens</h3>
+    <form id="ban-form"><input name="address" placeholder="token address" size="50" required><input name="reason" placeholder="reason"><button>Ban</button></form>
+    <div id="bans-table"></div>
+    <h3>Ignored chains</h3>
+    <form id="chain-form"><input name="chain" placeholder="chain" required><button>Ignore</button></form>
+    <div id="chains-table"></div>
+  </section>
+  <section id="status"><div id="status-table"></div></section>
+</main>
+<script>
+const BASE = ${JSON.stringify(basePath).replace(/</g, '\\u003c')};
+${SCRIPT}
+</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  renderDashboardPage
+};
@@ -0,0 +1,114 @@
+const { createApiClient } = require('./apiClient');
+
+// -------------------------------
+// DexScreener API. Ошибки запросов пробрасываются: вызывающий код
+// решает, повторить позже или пропустить
+
+// Максимум адресов в одном запросе /tokens/v1
+const BATCH_SIZE = 30;
+
+// Лимиты DexScreener: 60 запросов в минуту для фидов, 300 - для токенов и пар
+const DEFAULT_LIMITS = {
+  ctos: { capacity: 60, interval: 60000 },
+  profiles: { capacity: 60, interval: 60000 },
+  boosts: { capacity: 60, interval: 60000 },
+  tokens: { capacity: 300, interval: 60000 }
+};
+
+function createDexScreener({ client, ...clientOptions } = {}) {
+  const api = client || createApiClient({
+    baseURL: 'https://api.dexscreener.com',
+    headers: { 
+      'Accept': 'application/json', 
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    },
+    limits: DEFAULT_LIMITS,
+    ...clientOptions
+  });
+
+  async function fetchLatestCTOs() {
+    const data = await api.get('ctos', '/community-takeovers/latest/v1');
+    return Array.isArray(data) ? data : [];
+  }
+
+  // Новые и обновленные платные профили токенов
+  async function fetchLatestProfiles() {
+    const data = await api.get('profiles', '/token-profiles/latest/v1');
+    return Array.isArray(data) ? data : [];
+  }
+
+  // Последние бусты: amount - размер буста, totalAmount - сумма активных бустов токена
+  async function fetchLatestBoosts() {
+    const data = await api.get('boosts', '/token-boosts/latest/v1');
+    return Array.isArray(data) ? data : [];
+  }
+
+  // Все пары токена на всех сетях
+  async function fetchTokenPairs(tokenAddress) {
+    const data = await api.get('tokens', `/latest/dex/tokens/${encodeURIComponent(tokenAddress)}`);
+    const pairs = data?.pairs || [];
+    pairs.forEach(pair => {
+      // Приоритет: header -> imageUrl -> icon
+      pair.banner = pair.info?.header || pair.info?.imageUrl || pair.info?.icon || null;
+    });
+    return pairs;
+  }
+
+  // Основная пара токена на нужной сети. null - пар нет вообще
+  async function fetchTokenDetails(chainId, tokenAddress) {
+    const pairs = await fetchTokenPairs(tokenAddress);
+    const pair = pairs.find(p => p.chainId && p.chainId.toLowerCase() === chainId.toLowerCase()) || pairs[0];
+    
+    if (pair) {
+      // Число пар на той же сети - используется в оценке риска
+      pair.pairsCount = pairs.filter(p => p.chainId === pair.chainId).length;
+    }
+    
+    return pair || null;
+  }
+
+  // Пакетный запрос: до BATCH_SIZE адресов одной сети за один вызов.
+  // Возвращает Map адрес (в нижнем регистре) -> основная пара (с наибольшей ликвидностью)
+  async function fetchTokensBatch(chainId, tokenAddresses) {
+    if (tokenAddresses.length > BATCH_SIZE) {
+      throw new Error(`Batch size ${tokenAddresses.length} exceeds ${BATCH_SIZE}`);
+    }
+
+    const path = `/tokens/v1/${encodeURIComponent(chainId)}/${tokenAddresses.map(encodeURIComponent).join(',')}`;
+    const data = await api.get('tokens', path);
+    const pairs = Array.isArray(data) ? data : [];
+    const byAddress = new Map();
+
+    for (const pair of pairs) {
+      const address = pair.baseToken?.address?.toLowerCase();
+      if (!address) continue;
+      pair.banner = pair.info?.header || pair.info?.imageUrl || pair.info?.icon || null;
+
+      const best = byAddress.get(address);
+      if (!best || (pair.liquidity?.usd || 0) > (best.liquidity?.usd || 0)) {
+        byAddress.set(address, pair);
+      }
+    }
+
+    for (const [address, pair] of byAddress) {
+      pair.pairsCount = pairs.filter(p => p.baseToken?.address?.toLowerCase() === address).length;
+    }
+
+    return byAddress;
+  }
+
+  return {
+    client: api,
+    fetchLatestCTOs,
+    fetchLatestProfiles,
+    fetchLatestBoosts,
+    fetchTokenPairs,
+    fetchTokenDetails,
+    fetchTokensBatch
+  };
+}
+
+module.exports = {
+  BATCH_SIZE,
+  createDexScreener
+};
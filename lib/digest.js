@@ -0,0 +1,140 @@
+const { formatNumber, escapeHtml } = require('./format');
+const { getChainName } = require('./messages');
+const { getRatio, formatRatio } = require('./tracker');
+const { BATCH_SIZE } = require('./dexscreener');
+const { chunk } = require('./concurrency');
+const { translate } = require('./i18n');
+
+// -------------------------------
+// Дайджест за день / неделю: алерты периода, капитализация при алерте и сейчас,
+// лучшие и худшие токены, разбивка по сетям и доля токенов, сделавших 2x.
+// Текст в HTML на языке чата (digest.* в locales/): тикеры экранируются, символы _ * ` [ в них не ломают разметку
+
+const PERIODS = {
+  daily: { duration: 24 * 60 * 60 * 1000 },
+  weekly: { duration: 7 * 24 * 60 * 60 * 1000 }
+};
+
+const MAX_LISTED_TOKENS = 15;
+const TOP_COUNT = 3;
+
+// Текущие пары токенов: запросы пачками по BATCH_SIZE адресов одной сети.
+// Возвращает Map tokenId -> пара; токены из неудавшейся пачки в ней отсутствуют
+async function fetchCurrentPairs(tokens, fetchTokensBatch) {
+  const byChain = new Map();
+  for (const token of tokens) {
+    if (!byChain.has(token.chain)) byChain.set(token.chain, []);
+    byChain.get(token.chain).push(token);
+  }
+
+  const current = new Map();
+  for (const [chain, chainTokens] of byChain) {
+    for (const batch of chunk(chainTokens, BATCH_SIZE)) {
+      try {
+        const pairs = await fetchTokensBatch(chain, batch.map(token => token.address));
+        for (const token of batch) {
+          const pair = pairs.get(token.address.toLowerCase());
+          if (pair) current.set(token.id, pair);
+        }
+      } catch (err) {
+        console.error(`❌ Digest fetch failed for ${batch.length} ${chain} token(s):`, err.message);
+      }
+    }
+  }
+  return current;
+}
+
+async function collectDigest({ storage, fetchTokensBatch, period = 'daily', now = Date.now() }) {
+  const config = PERIODS[period];
+  if (!config) {
+    throw new Error(`Unknown digest period: ${period}`);
+  }
+
+  const since = now - config.duration;
+  const tokens = storage.listTokens({ status: 'alerted', source: 'cto', since, until: now, limit: 1000 });
+  const pairs = await fetchCurrentPairs(tokens, fetchTokensBatch);
+  const entries = [];
+
+  for (const token of tokens) {
+    const details = pairs.get(token.id);
+    let current = details
+      ? { marketCap: details.marketCap ?? details.fdv ?? null, priceUsd: details.priceUsd ? parseFloat(details.priceUsd) : null }
+      : null;
+
+    // Если API недоступен, берем последний чекпоинт отслеживания
+    if (!current) {
+      const checked = storage.listCheckpoints(token.id).filter(c => c.checkedAt && !c.error);
+      current = checked.length ? checked[checked.length - 1] : null;
+    }
+
+    const ratio = current ? getRatio(token.snapshot, current) : null;
+    entries.push({
+      token,
+      symbol: token.snapshot?.symbol || token.address.slice(0, 8),
+      alertCap: token.snapshot?.marketCap ?? null,
+      currentCap: current?.marketCap ?? null,
+      ratio,
+      hit2x: (ratio !== null && ratio >= 2) || storage.hasMilestone(token.id, 'x2')
+    });
+  }
+
+  return { period, since, now, entries };
+}
+
+function formatDigest({ period, since, now, entries }, { timeZone = 'UTC', locale = 'en' } = {}) {
+  const t = (key, params) => translate(locale, key, params);
+  const money = (value) => formatNumber(value, locale);
+  const date = new Intl.DateTimeFormat(t('digest.dateLocale'), { timeZone, dateStyle: 'short', timeStyle: 'short' });
+  let msg = `📰 <b>${t(`digest.title.${period}`)}</b>\n${date.format(since)} → ${date.format(now)} (${timeZone})\n\n`;
+
+  if (!entries.length) {
+    return msg + t('digest.empty');
+  }
+
+  const byChain = {};
+  entries.forEach(e => {
+    const chain = getChainName(e.token.chain);
+    byChain[chain] = (byChain[chain] || 0) + 1;
+  });
+  const hits = entries.filter(e => e.hit2x).length;
+
+  msg += `${t('digest.alerts', { count: entries.length })}\n`;
+  msg += `⛓ ${Object.entries(byChain).sort((a, b) => b[1] - a[1]).map(([chain, count]) => `${chain}: ${count}`).join(' | ')}\n`;
+  msg += `${t('digest.hitRate', { percent: ((hits / entries.length) * 100).toFixed(0), hits, total: entries.length })}\n`;
+
+  const ranked = entries.filter(e => e.ratio !== null).sort((a, b) => b.ratio - a.ratio);
+  const line = (e) => `${escapeHtml(e.symbol)} (${getChainName(e.token.chain)}) <b>${formatRatio(e.ratio)}</b> ${money(e.alertCap)} → ${money(e.currentCap)}`;
+
+  const gainers = ranked.filter(e => e.ratio >= 1).slice(0, TOP_COUNT);
+  const losers = ranked.filter(e => e.ratio < 1).reverse().slice(0, TOP_COUNT);
+
+  if (gainers.length) {
+    msg += `\n${t('digest.gainers')}\n`;
+    gainers.forEach((e, i) => { msg += `${i + 1}. ${line(e)}\n`; });
+  }
+  if (losers.length) {
+    msg += `\n${t('digest.losers')}\n`;
+    losers.forEach((e, i) => { msg += `${i + 1}. ${line(e)}\n`; });
+  }
+
+  msg += `\n${t('digest.all')}\n`;
+  entries.slice(0, MAX_LISTED_TOKENS).forEach(e => {
+    msg += `• ${escapeHtml(e.symbol)} (${getChainName(e.token.chain)}): ${money(e.alertCap)} → ${money(e.currentCap)}${e.ratio !== null ? ` (${formatRatio(e.ratio)})` : ''}\n`;
+  });
+  if (entries.length > MAX_LISTED_TOKENS) {
+    msg += `${t('digest.more', { count: entries.length - MAX_LISTED_TOKENS })}\n`;
+  }
+
+  return msg.trimEnd();
+}
+
+async function buildDigest(options) {
+  return formatDigest(await collectDigest(options), { timeZone: options.timeZone, locale: options.locale });
+}
+
+module.exports = {
+  PERIODS,
+  collectDigest,
+  formatDigest,
+  buildDigest
+};
@@ -0,0 +1,186 @@
+const { getRatio } = require('./tracker');
+const { parseDuration } = require('./format');
+const { normalizeChain } = require('./moderation');
+
+// -------------------------------
+// Выгрузка истории: обработанные токены со снимком метрик на момент обнаружения,
+// чекпоинтами отслеживания и достигнутыми иксами. Форматы CSV и JSON.
+// Используется командой /export и CLI (node cli.js export)
+
+const FORMATS = ['csv', 'json'];
+const PAGE_SIZE = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+Z?)?$/;
+
+// "2024-05-01", ISO дата со временем или длительность назад от now ("7d", "12h").
+// endOfDay - для даты без времени берется конец дня (граница "по" включительно)
+function parseDate(value, { endOfDay = false, now = Date.now() } = {}) {
+  const text = String(value || '').trim();
+  const duration = parseDuration(text);
+  if (!isNaN(duration)) return now - duration;
+
+  if (!DATE_PATTERN.test(text)) {
+    throw new Error(`Invalid date "${value}", expected YYYY-MM-DD or a duration like 7d`);
+  }
+  const dateOnly = text.length === 10;
+  const timestamp = Date.parse(dateOnly ? `${text}T00:00:00Z` : text);
+  if (isNaN(timestamp)) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+  return dateOnly && endOfDay ? timestamp + 24 * 60 * 60 * 1000 - 1 : timestamp;
+}
+
+function isDateArg(value) {
+  return DATE_PATTERN.test(value) || !isNaN(parseDuration(value));
+}
+
+// Аргументы /export в любом порядке: формат, до двух дат (с / по), сеть, источник
+function parseExportArgs(words, { sources = [] } = {}) {
+  const options = { format: 'csv', filter: {} };
+  const dates = [];
+  for (const word of words.map(w => w.toLowerCase())) {
+    if (FORMATS.includes(word)) options.format = word;
+    else if (isDateArg(word)) dates.push(word);
+    else if (sources.includes(word)) options.filter.source = word;
+    else options.filter.chain = normalizeChain(word);
+  }
+
+  if (dates.length > 2) {
+    throw new Error('At most two dates are allowed: from and to');
+  }
+  if (dates[0]) options.filter.since = parseDate(dates[0]);
+  if (dates[1]) options.filter.until = parseDate(dates[1], { endOfDay: true });
+  if (options.filter.since && options.filter.until && options.filter.since > options.filter.until) {
+    throw new Error('The start date is after the end date');
+  }
+  return options;
+}
+
+function toIso(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+function buildRecord(storage, token) {
+  const checkpoints = storage.listCheckpoints(token.id).map(c => ({
+    label: c.label,
+    dueAt: toIso(c.dueAt),
+    checkedAt: toIso(c.checkedAt),
+    marketCap: c.marketCap,
+    priceUsd: c.priceUsd,
+    ratio: c.checkedAt && !c.error ? getRatio(token.snapshot, c) : null,
+    error: c.error
+  }));
+  const milestones = storage.listMilestones(token.id).map(m => ({
+    kind: m.kind,
+    ratio: m.ratio,
+    marketCap: m.marketCap,
+    reachedAt: toIso(m.reachedAt)
+  }));
+  const ratios = [...checkpoints, ...milestones].map(entry => entry.ratio).filter(ratio => ratio !== null);
+
+  return {
+    id: token.id,
+    source: token.source,
+    chain: token.chain,
+    address: token.address,
+    status: token.status,
+    reasons: token.reasons,
+    firstSeen: toIso(token.firstSeen),
+    claimDate: token.claimDate,
+    snapshot: token.snapshot,
+    checkpoints,
+    milestones,
+    peakRatio: ratios.length ? Math.max(...ratios) : null
+  };
+}
+
+// Все токены под фильтром (since / until / chain / source / status), старые первыми
+function collectExport(storage, filter = {}) {
+  const tokens = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = storage.listTokens({ ...filter, limit: PAGE_SIZE, offset });
+    tokens.push(...page);
+    if (page.length < PAGE_SIZE) break;
+  }
+  return tokens.reverse().map(token => buildRecord(storage, token));
+}
+
+// Значения, начинающиеся с = + - @, экранируются: иначе таблица выполнит их как формулу
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const SNAPSHOT_COLUMNS = [
+  ['name', 'name'],
+  ['symbol', 'symbol'],
+  ['price_usd', 'priceUsd'],
+  ['market_cap', 'marketCap'],
+  ['fdv', 'fdv'],
+  ['liquidity', 'liquidity'],
+  ['volume_24h', 'volume24h'],
+  ['price_change_24h', 'priceChange24h'],
+  ['pair_created_at', 'pairCreatedAt'],
+  ['dex', 'dexId'],
+  ['pair_address', 'pairAddress']
+];
+
+// Одна строка на токен; для каждого чекпоинта (15m, 1h, ...) - колонки капитализации и иксов
+function toCsv(records) {
+  const labels = [];
+  records.forEach(record => record.checkpoints.forEach(c => {
+    if (!labels.includes(c.label)) labels.push(c.label);
+  }));
+
+  const header = [
+    'id', 'source', 'chain', 'address', 'status', 'first_seen', 'claim_date',
+    ...SNAPSHOT_COLUMNS.map(([column]) => column),
+    ...labels.flatMap(label => [`${label}_market_cap`, `${label}_ratio`]),
+    'peak_ratio', 'milestones', 'reasons'
+  ];
+
+  const rows = records.map(record => {
+    const byLabel = Object.fromEntries(record.checkpoints.map(c => [c.label, c]));
+    return [
+      record.id, record.source, record.chain, record.address, record.status, record.firstSeen, record.claimDate,
+      ...SNAPSHOT_COLUMNS.map(([, field]) => record.snapshot?.[field] ?? null),
+      ...labels.flatMap(label => [byLabel[label]?.marketCap ?? null, byLabel[label]?.ratio ?? null]),
+      record.peakRatio,
+      record.milestones.map(m => m.kind).join(' '),
+      record.reasons.join('; ')
+    ];
+  });
+
+  return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+function toJson(records, filter = {}) {
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    filter: {
+      ...filter,
+      since: toIso(filter.since),
+      until: toIso(filter.until)
+    },
+    count: records.length,
+    tokens: records
+  }, null, 2);
+}
+
+function formatExport(records, format, filter) {
+  if (format === 'json') return toJson(records, filter);
+  if (format === 'csv') return toCsv(records);
+  throw new Error(`Unknown export format "${format}", expected ${FORMATS.join(' or ')}`);
+}
+
+module.exports = {
+  FORMATS,
+  parseDate,
+  parseExportArgs,
+  collectExport,
+  toCsv,
+  toJson,
+  formatExport
+};
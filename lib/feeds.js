@@ -0,0 +1,84 @@
+const fs = require('fs');
+const filters = require('./filters');
+const { normalizeTokenId } = require('./storage');
+
+// -------------------------------
+// Источники токенов. Источник - { id, name, fetch(dex) }: возвращает элементы
+// с chainId и tokenAddress (формат фидов DexScreener). У каждого источника
+// свое пространство дедупликации, свои правила фильтра и свой тип сообщения.
+// Пример feeds.json:
+// {
+//   "feeds": {
+//     "cto": { "enabled": true },
+//     "boosts": { "enabled": true, "rules": { "minLiquidity": "20k" } },
+//     "profiles": { "enabled": false }
+//   }
+// }
+
+const SOURCES = {
+  cto: {
+    id: 'cto',
+    name: 'Community takeovers',
+    fetch: (dex) => dex.fetchLatestCTOs()
+  },
+  profiles: {
+    id: 'profiles',
+    name: 'Token profiles',
+    fetch: (dex) => dex.fetchLatestProfiles()
+  },
+  boosts: {
+    id: 'boosts',
+    name: 'Token boosts',
+    fetch: (dex) => dex.fetchLatestBoosts()
+  }
+};
+
+const DEFAULT_FEEDS = ['cto'];
+
+// ID токена в пространстве источника. У CTO префикса нет - это ID из прежних версий
+function feedTokenId(source, chain, address) {
+  const id = normalizeTokenId(chain, address);
+  return source === 'cto' ? id : `${source}:${id}`;
+}
+
+function parseFeedList(value) {
+  return String(value || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// FEEDS="cto,boosts" включает источники, feeds.json задает правила и переопределяет env
+function loadFeeds({ file, env = process.env } = {}) {
+  const enabled = new Set(env.FEEDS ? parseFeedList(env.FEEDS) : DEFAULT_FEEDS);
+  let config = {};
+
+  if (file && fs.existsSync(file)) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    config = parsed.feeds || parsed;
+    console.log(`✅ Loaded feed config from ${file}`);
+  }
+
+  for (const id of [...enabled, ...Object.keys(config)]) {
+    if (!SOURCES[id]) {
+      throw new Error(`Unknown feed "${id}", expected ${Object.keys(SOURCES).join(', ')}`);
+    }
+  }
+
+  return Object.values(SOURCES).map(source => {
+    const entry = config[source.id] || {};
+    return {
+      ...source,
+      enabled: entry.enabled ?? enabled.has(source.id),
+      rules: filters.normalizeRules(entry.rules, `feed ${source.id}`)
+    };
+  });
+}
+
+module.exports = {
+  SOURCES,
+  DEFAULT_FEEDS,
+  feedTokenId,
+  parseFeedList,
+  loadFeeds
+};
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const { formatNumber, formatPercent, parseAmount } = require('./format');
+const { scoreRisk } = require('./risk');
+const { escapeHtml } = require('./templates');
+const { translate } = require('./i18n');
+
+// -------------------------------
+// Описание правил фильтрации
+// type: 'chains' - список сетей, 'number' - граница (min/max) для метрики.
+// Названия правил - filters.rules.<key> в locales/
+const RULE_DEFS = {
+  allowChains: { type: 'chains', env: 'FILTER_ALLOW_CHAINS' },
+  denyChains: { type: 'chains', env: 'FILTER_DENY_CHAINS' },
+  minMarketCap: { type: 'number', env: 'FILTER_MIN_MCAP', metric: 'marketCap', bound: 'min' },
+  maxMarketCap: { type: 'number', env: 'FILTER_MAX_MCAP', metric: 'marketCap', bound: 'max' },
+  minLiquidity: { type: 'number', env: 'FILTER_MIN_LIQUIDITY', metric: 'liquidity', bound: 'min' },
+  maxLiquidity: { type: 'number', env: 'FILTER_MAX_LIQUIDITY', metric: 'liquidity', bound: 'max' },
+  minVolume24h: { type: 'number', env: 'FILTER_MIN_VOLUME_24H', metric: 'volume24h', bound: 'min' },
+  maxVolume24h: { type: 'number', env: 'FILTER_MAX_VOLUME_24H', metric: 'volume24h', bound: 'max' },
+  minAgeHours: { type: 'number', env: 'FILTER_MIN_AGE_HOURS', metric: 'ageHours', bound: 'min' },
+  maxAgeHours: { type: 'number', env: 'FILTER_MAX_AGE_HOURS', metric: 'ageHours', bound: 'max' },
+  minPriceChange24h: { type: 'number', env: 'FILTER_MIN_PRICE_CHANGE_24H', metric: 'priceChange24h', bound: 'min' },
+  maxPriceChange24h: { type: 'number', env: 'FILTER_MAX_PRICE_CHANGE_24H', metric: 'priceChange24h', bound: 'max' },
+  maxRiskScore: { type: 'number', env: 'FILTER_MAX_RISK_SCORE', metric: 'riskScore', bound: 'max' },
+  maxSafetyWarnings: { type: 'number', env: 'FILTER_MAX_SAFETY_WARNINGS', metric: 'safetyWarnings', bound: 'max' },
+  maxTopHolders: { type: 'number', env: 'FILTER_MAX_TOP_HOLDERS', metric: 'topHoldersPercent', bound: 'max' }
+};
+
+// Метрики берутся из пары DexScreener (результат fetchTokenDetails) и данных CTO.
+// applies - правило проверяется, только если метрика есть для этой сети
+// (проверки безопасности выполняются лишь для сетей с настроенным RPC).
+// Ошибка RPC или недоступные данные о держателях не пропускают токен навсегда: правило не применяется
+// Проверка безопасности прошла и вернула значение поля
+function safetyKnown(details, field) {
+  const safety = details?.safety;
+  return !!safety && !safety.error && safety[field] !== undefined && safety[field] !== null;
+}
+
+const METRICS = {
+  marketCap: {
+    label: 'market cap',
+    get: (details) => details?.marketCap ?? details?.fdv,
+    format: formatNumber
+  },
+  liquidity: {
+    label: 'liquidity',
+    get: (details) => details?.liquidity?.usd,
+    format: formatNumber
+  },
+  volume24h: {
+    label: '24h volume',
+    get: (details) => details?.volume?.h24,
+    format: formatNumber
+  },
+  ageHours: {
+    label: 'token age',
+    get: (details) => details?.pairCreatedAt ? (Date.now() - details.pairCreatedAt) / (1000 * 60 * 60) : undefined,
+    format: (hours) => `${hours.toFixed(1)}h`
+  },
+  priceChange24h: {
+    label: '24h price change',
+    get: (details) => details?.priceChange?.h24,
+    format: formatPercent
+  },
+  riskScore: {
+    label: 'risk score',
+    get: (details, ctoData) => details ? scoreRisk(details, ctoData).score : undefined,
+    format: (score) => `${Math.round(score)}/100`
+  },
+  safetyWarnings: {
+    label: 'safety warnings',
+    get: (details) => details?.safety?.warnings,
+    format: (count) => String(Math.round(count)),
+    applies: (details) => safetyKnown(details, 'warnings')
+  },
+  topHoldersPercent: {
+    label: 'top 10 holders share',
+    get: (details) => details?.safety?.topHoldersPercent,
+    format: (percent) => `${percent.toFixed(1)}%`,
+    applies: (details) => details?.safety?.family === 'solana' && safetyKnown(details, 'topHoldersPercent')
+  }
+};
+
+function createEmptyRules() {
+  const rules = {};
+  for (const [key, def] of Object.entries(RULE_DEFS)) {
+    rules[key] = def.type === 'chains' ? [] : null;
+  }
+  return rules;
+}
+
+function parseChains(value) {
+  if (Array.isArray(value)) value = value.join(',');
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map(c => c.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Приводит значение к типу правила. Бросает ошибку при неверном значении
+function parseRuleValue(key, value) {
+  const def = RULE_DEFS[key];
+  if (!def) {
+    throw new Error(`Unknown filter rule: ${key}`);
+  }
+
+  if (def.type === 'chains') {
+    return parseChains(value);
+  }
+
+  if (value === null || value === undefined || ['', 'off', 'none', 'null'].includes(String(value).toLowerCase())) {
+    return null;
+  }
+
+  const num = typeof value === 'number' ? value : parseAmount(value);
+  if (isNaN(num)) {
+    throw new Error(`Invalid number for ${key}: ${value}`);
+  }
+  return num;
+}
+
+function applyRules(target, source, origin) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (!RULE_DEFS[key]) {
+      console.log(`⚠️ Unknown filter rule "${key}" in ${origin}, ignoring`);
+      continue;
+    }
+    try {
+      target[key] = parseRuleValue(key, value);
+    } catch (err) {
+      console.error(`❌ ${err.message} (${origin})`);
+    }
+  }
+  return target;
+}
+
+function readEnvRules(env) {
+  const rules = {};
+  for (const [key, def] of Object.entries(RULE_DEFS)) {
+    if (env[def.env] !== undefined && env[def.env] !== '') {
+      rules[key] = env[def.env];
+    }
+  }
+  return rules;
+}
+
+// Правила из произвольного объекта (например, из конфига маршрута)
+function normalizeRules(source, origin) {
+  return applyRules(createEmptyRules(), source, origin);
+}
+
+// Загрузка правил: сначала env, затем файл конфигурации.
+// Файл имеет приоритет, потому что в него сохраняются изменения из /filters
+function loadFilterRules({ file, env = process.env } = {}) {
+  const rules = createEmptyRules();
+  applyRules(rules, readEnvRules(env), 'env');
+
+  if (file && fs.existsSync(file)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      applyRules(rules, parsed, file);
+      console.log(`✅ Loaded filter rules from ${file}`);
+    } catch (err) {
+      console.error('❌ Filter config load error:', err.message);
+    }
+  }
+
+  return rules;
+}
+
+function saveFilterRules(file, rules) {
+  try {
+    fs.writeFileSync(file, JSON.stringify(rules, null, 2), 'utf8');
+    console.log(`💾 Filter rules saved to ${file}`);
+    return true;
+  } catch (err) {
+    console.error('❌ Filter config save error:', err.message);
+    return false;
+  }
+}
+
+// Проверка токена по правилам. Возвращает { passed, reasons }
+function evaluateFilters(rules, ctoData, details) {
+  const reasons = [];
+  const chain = (ctoData.chainId || '').toLowerCase();
+
+  if (rules.allowChains?.length && !rules.allowChains.includes(chain)) {
+    reasons.push(`chain ${chain} is not in allow list`);
+  }
+  if (rules.denyChains?.length && rules.denyChains.includes(chain)) {
+    reasons.push(`chain ${chain} is denied`);
+  }
+
+  for (const [key, def] of Object.entries(RULE_DEFS)) {
+    if (def.type !== 'number' || rules[key] === null || rules[key] === undefined) continue;
+
+    const metric = METRICS[def.metric];
+    if (metric.applies && !metric.applies(details)) continue;
+    const raw = metric.get(details, ctoData);
+    const value = raw === null || raw === undefined ? NaN : parseFloat(raw);
+
+    if (isNaN(value)) {
+      reasons.push(`${metric.label} unknown (${def.bound} ${metric.format(rules[key])})`);
+    } else if (def.bound === 'min' && value < rules[key]) {
+      reasons.push(`${metric.label} ${metric.format(value)} < min ${metric.format(rules[key])}`);
+    } else if (def.bound === 'max' && value > rules[key]) {
+      reasons.push(`${metric.label} ${metric.format(value)} > max ${metric.format(rules[key])}`);
+    }
+  }
+
+  return { passed: reasons.length === 0, reasons };
+}
+
+// Правила для ответов бота (HTML) на языке locale, названия - filters.rules.<key> в locales/.
+// setOnly - только заданные правила
+function formatRules(rules, locale = 'en', { setOnly = false } = {}) {
+  return Object.entries(RULE_DEFS).flatMap(([key, def]) => {
+    const value = rules[key];
+    const unset = def.type === 'chains' ? !value?.length : value === null || value === undefined;
+    if (unset && setOnly) return [];
+
+    let shown;
+    if (def.type === 'chains') {
+      shown = unset ? translate(locale, 'filters.any') : value.join(', ');
+    } else {
+      shown = unset ? translate(locale, 'filters.off') : METRICS[def.metric].format(value, locale);
+    }
+    return [`${translate(locale, `filters.rules.${key}`)} (<code>${key}</code>): <b>${escapeHtml(shown)}</b>`];
+  }).join('\n');
+}
+
+module.exports = {
+  RULE_DEFS,
+  createEmptyRules,
+  parseRuleValue,
+  normalizeRules,
+  loadFilterRules,
+  saveFilterRules,
+  evaluateFilters,
+  formatRules
+};
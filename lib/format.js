@@ -0,0 +1,96 @@
+const { translate } = require('./i18n');
+
+// -------------------------------
+// Форматирование чисел, процентов, дат и возраста токена.
+// locale - язык из locales/ (разделитель дробной части, единицы, подписи)
+
+const decimalFormats = {};
+
+function formatDecimal(value, digits, locale) {
+  const key = `${locale}:${digits}`;
+  decimalFormats[key] = decimalFormats[key] ||
+    new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false });
+  return decimalFormats[key].format(value);
+}
+
+function formatNumber(num, locale = 'en') {
+  if (!num || isNaN(num)) return translate(locale, 'na');
+  num = parseFloat(num);
+  const [value, unit] =
+    num >= 1e9 ? [num / 1e9, 'billion'] :
+    num >= 1e6 ? [num / 1e6, 'million'] :
+    num >= 1e3 ? [num / 1e3, 'thousand'] :
+    [num, null];
+  return translate(locale, 'number.currency', {
+    value: formatDecimal(value, unit ? 1 : 2, locale),
+    unit: unit ? translate(locale, `number.${unit}`) : ''
+  });
+}
+
+function formatPercent(percent, locale = 'en') {
+  if (percent === null || percent === undefined || isNaN(percent)) return translate(locale, 'na');
+  const num = parseFloat(percent);
+  return `${num >= 0 ? '+' : ''}${num.toFixed(0)}%`;
+}
+
+function getTokenAge(timestamp, locale = 'en') {
+  if (!timestamp) return translate(locale, 'na');
+  try {
+    const diff = new Date() - new Date(timestamp);
+    const days = Math.floor(diff / (1000*60*60*24));
+    if (isNaN(days)) return translate(locale, 'na');
+    return days === 0 ? translate(locale, 'age.lessThanDay') : translate(locale, 'age.days', { count: days });
+  } catch (err) {
+    return translate(locale, 'na');
+  }
+}
+
+// "5m ago" / "3h ago" / "2d ago"
+function formatTimeAgo(timestamp, locale = 'en', now = Date.now()) {
+  const minutes = Math.max(0, Math.floor((now - timestamp) / 1000 / 60));
+  if (minutes < 60) return translate(locale, 'time.minutesAgo', { count: minutes });
+  if (minutes < 24 * 60) return translate(locale, 'time.hoursAgo', { count: Math.floor(minutes / 60) });
+  return translate(locale, 'time.daysAgo', { count: Math.floor(minutes / 60 / 24) });
+}
+
+// Дата и время в формате языка
+function formatDateTime(date, locale = 'en') {
+  return new Date(date).toLocaleString(translate(locale, 'dateLocale'));
+}
+
+// Экранирование значений для parse_mode: 'HTML'
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "50k", "1.5m", "2b" -> число
+function parseAmount(value) {
+  if (value === null || value === undefined) return NaN;
+  const match = String(value).trim().toLowerCase().replace(/[$,_]/g, '').match(/^(-?\d+(?:\.\d+)?)([kmb])?$/);
+  if (!match) return NaN;
+  const multipliers = { k: 1e3, m: 1e6, b: 1e9 };
+  return parseFloat(match[1]) * (match[2] ? multipliers[match[2]] : 1);
+}
+
+// "15m", "1h", "6h", "1d" -> миллисекунды
+function parseDuration(value) {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)(s|m|h|d)$/);
+  if (!match) return NaN;
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return parseFloat(match[1]) * units[match[2]];
+}
+
+module.exports = {
+  formatNumber,
+  formatPercent,
+  getTokenAge,
+  formatTimeAgo,
+  formatDateTime,
+  escapeHtml,
+  parseAmount,
+  parseDuration
+};
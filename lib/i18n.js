@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+// -------------------------------
+// Переводы. Файлы locales/<locale>.json, ключи через точку ("list.title").
+// Параметры подставляются как {name}. Множественное число - объект
+// { "one": ..., "few": ..., "many": ..., "other": ... }, форма выбирается по параметру count.
+// Нет ключа в языке - берется английский текст, нет и там - сам ключ
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+
+// { "a": { "b": "text" } } -> { "a.b": "text" }. Формы множественного числа остаются объектом
+function flatten(tree, prefix = '', result = {}) {
+  for (const [key, value] of Object.entries(tree)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !('other' in value)) {
+      flatten(value, name, result);
+    } else {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+function loadLocales(dir = LOCALES_DIR) {
+  const locales = {};
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    locales[path.basename(file, '.json')] = flatten(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+  return locales;
+}
+
+const LOCALES = loadLocales();
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+// "ru-RU", "RU" -> "ru". null - язык не поддерживается
+function normalizeLocale(value) {
+  const locale = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES[locale] ? locale : null;
+}
+
+// Язык по умолчанию из DEFAULT_LOCALE
+function parseLocale(value) {
+  if (!value) return DEFAULT_LOCALE;
+  const locale = normalizeLocale(value);
+  if (!locale) {
+    throw new Error(`Unknown locale "${value}", expected one of ${SUPPORTED_LOCALES.join(', ')}`);
+  }
+  return locale;
+}
+
+const pluralRules = {};
+
+function pluralForm(locale, count) {
+  pluralRules[locale] = pluralRules[locale] || new Intl.PluralRules(locale);
+  return pluralRules[locale].select(count);
+}
+
+function translate(locale, key, params = {}) {
+  locale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  let text = LOCALES[locale][key] ?? LOCALES[DEFAULT_LOCALE][key] ?? key;
+  if (typeof text === 'object') {
+    text = text[pluralForm(locale, params.count ?? 0)] ?? text.other;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// t(key, params) для одного языка
+function translator(locale) {
+  const t = (key, params) => translate(locale, key, params);
+  t.locale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+  return t;
+}
+
+// Название языка на нем самом: "English", "Русский"
+function languageName(locale) {
+  return translate(locale, 'language');
+}
+
+// -------------------------------
+// Язык чата: выбранный командой /lang -> язык канала из routes.json ->
+// для личного чата язык пользователя в Telegram -> DEFAULT_LOCALE
+
+function createLocaleResolver({ storage, destinations = [], defaultLocale = DEFAULT_LOCALE }) {
+  function forChat(chatId, { locale = null, user = null } = {}) {
+    const stored = storage.getChatLocale(chatId);
+    if (stored && LOCALES[stored]) return stored;
+
+    const destination = destinations.find(dest => dest.chatId === String(chatId));
+    return normalizeLocale(locale) ||
+      normalizeLocale(destination?.locale) ||
+      (user && String(user.id) === String(chatId) ? normalizeLocale(user.language_code) : null) ||
+      defaultLocale;
+  }
+
+  function forDestination(destination) {
+    return forChat(destination.chatId, { locale: destination.locale });
+  }
+
+  function forMessage(msg) {
+    return forChat(msg.chat.id, { user: msg.from });
+  }
+
+  return {
+    defaultLocale,
+    forChat,
+    forDestination,
+    forMessage
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  parseLocale,
+  translate,
+  translator,
+  languageName,
+  createLocaleResolver
+};
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const os = require('os');
+
+// -------------------------------
+// Выбор лидера: опрашивает фид и публикует только экземпляр, владеющий арендой.
+// Лидер продлевает аренду каждые renewInterval, резервные экземпляры пытаются
+// захватить ее и становятся лидером, когда аренда истекает.
+// Бэкенд: { name, acquire(owner, ttl), release(owner), current(), close() }
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: процесс есть, но принадлежит другому пользователю
+    return err.code === 'EPERM';
+  }
+}
+
+// Локальный файл. Подходит для одного хоста: если процесс-владелец на этом хосте
+// завершился, аренда освобождается сразу, не дожидаясь истечения
+function createFileLeaseBackend({ file, hostname = os.hostname() }) {
+  function read() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.log('⚠️ Invalid lock file, ignoring');
+      }
+      return null;
+    }
+  }
+
+  function canTake(lease, owner, now) {
+    if (!lease || lease.owner === owner) return true;
+    // Старый формат bot.lock ({ timestamp, pid }) без владельца
+    if (!lease.owner) return true;
+    if (!(lease.expiresAt > now)) return true;
+    if (lease.hostname === hostname) {
+      // Тот же PID, но другой владелец - запись от прошлого запуска (перезапуск контейнера)
+      if (lease.pid === process.pid) return true;
+      return !isProcessAlive(lease.pid);
+    }
+    return false;
+  }
+
+  async function acquire(owner, ttl) {
+    const now = Date.now();
+    if (!canTake(read(), owner, now)) return false;
+
+    // Запись через временный файл и rename, чтобы другой процесс не прочитал половину файла
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ owner, pid: process.pid, hostname, expiresAt: now + ttl, timestamp: now }));
+    fs.renameSync(tmp, file);
+
+    // Если два процесса записали файл одновременно, остается запись последнего
+    return read()?.owner === owner;
+  }
+
+  async function release(owner) {
+    if (read()?.owner === owner) {
+      fs.unlinkSync(file);
+    }
+  }
+
+  async function current() {
+    const lease = read();
+    return lease?.owner ? { owner: lease.owner, expiresAt: lease.expiresAt } : null;
+  }
+
+  return {
+    name: 'file',
+    acquire,
+    release,
+    current,
+    close: async () => {}
+  };
+}
+
+// Таблица leases в SQLite. Для нескольких экземпляров файл БД должен быть общим
+function createSqliteLeaseBackend({ storage, key }) {
+  return {
+    name: 'sqlite',
+    acquire: async (owner, ttl) => storage.acquireLease(key, owner, ttl),
+    release: async (owner) => { storage.releaseLease(key, owner); },
+    current: async () => storage.getLease(key),
+    close: async () => {}
+  };
+}
+
+// Redis (или совместимый: Valkey, KeyDB, Dragonfly). Захват и продление - один Lua-скрипт,
+// освобождение удаляет ключ, только если он принадлежит владельцу
+const ACQUIRE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if current == false or current == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return 1
+end
+return 0
+`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+function createRedisLeaseBackend({ url, key, client }) {
+  let redis = client;
+  if (!redis) {
+    const Redis = require('ioredis');
+    redis = new Redis(url, { maxRetriesPerRequest: 1 });
+    redis.on('error', (err) => console.error('❌ Redis error:', err.message));
+  }
+
+  async function current() {
+    const [owner, ttl] = await Promise.all([redis.get(key), redis.pttl(key)]);
+    return owner ? { owner, expiresAt: ttl > 0 ? Date.now() + ttl : null } : null;
+  }
+
+  return {
+    name: 'redis',
+    acquire: async (owner, ttl) => (await redis.eval(ACQUIRE_SCRIPT, 1, key, owner, ttl)) === 1,
+    release: async (owner) => { await redis.eval(RELEASE_SCRIPT, 1, key, owner); },
+    current,
+    close: async () => { await redis.quit(); }
+  };
+}
+
+function createLeaseBackend({ backend = 'file', file, storage, redisUrl, key }) {
+  switch (backend) {
+    case 'file':
+      return createFileLeaseBackend({ file });
+    case 'sqlite':
+      return createSqliteLeaseBackend({ storage, key });
+    case 'redis':
+      if (!redisUrl) {
+        throw new Error('LEADER_BACKEND=redis requires REDIS_URL');
+      }
+      return createRedisLeaseBackend({ url: redisUrl, key });
+    default:
+      throw new Error(`Unknown leader backend "${backend}", expected file, sqlite or redis`);
+  }
+}
+
+function createInstanceId() {
+  return `${os.hostname()}:${process.pid}:${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function createLeaderElector({
+  backend,
+  owner = createInstanceId(),
+  ttl = 30000,
+  renewInterval = Math.floor(ttl / 3),
+  onElected = async () => {},
+  onDemoted = async () => {}
+}) {
+  let leader = false;
+  let lastRenewAt = null;
+  let lastError = null;
+  let timer = null;
+  let running = false;
+  let duties = Promise.resolve();
+
+  // onElected (запуск получения обновлений и первый цикл проверки) может идти дольше ttl,
+  // поэтому он не ждется: аренда продолжает продлеваться по таймеру
+  function elect() {
+    leader = true;
+    console.log(`👑 Became leader (${backend.name} lease, owner ${owner})`);
+    duties = Promise.resolve()
+      .then(onElected)
+      .catch(err => console.error('❌ Leader start-up failed:', err.message));
+  }
+
+  async function demote(reason) {
+    leader = false;
+    console.log(`⏸️ Lost leadership: ${reason}`);
+    try {
+      await onDemoted();
+    } catch (err) {
+      console.error('❌ Leader shutdown failed:', err.message);
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const acquired = await backend.acquire(owner, ttl);
+      lastError = null;
+      if (acquired) {
+        lastRenewAt = Date.now();
+        if (!leader) elect();
+      } else if (leader) {
+        await demote('lease is held by another instance');
+      }
+    } catch (err) {
+      lastError = err.message;
+      console.error('❌ Leader lease renewal failed:', err.message);
+      // Без продления уступаем заранее, до того как аренду сможет захватить другой экземпляр
+      if (leader && Date.now() - lastRenewAt >= ttl - renewInterval) {
+        await demote('lease could not be renewed');
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  // Таймер продления запускается до первой попытки и не зависит от onElected
+  async function start() {
+    timer = setInterval(tick, renewInterval);
+    await tick();
+    if (!leader) {
+      console.log(`🕒 Standing by: another instance holds the ${backend.name} lease`);
+    }
+  }
+
+  async function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (leader) {
+      leader = false;
+      await backend.release(owner);
+    }
+    await backend.close();
+  }
+
+  async function status() {
+    let holder = null;
+    try {
+      holder = await backend.current();
+    } catch (err) {
+      lastError = err.message;
+    }
+    return { owner, leader, backend: backend.name, lastRenewAt, lastError, holder };
+  }
+
+  return {
+    owner,
+    start,
+    stop,
+    status,
+    isLeader: () => leader,
+    // Завершение onElected последнего избрания (тесты и start() приложения)
+    settled: () => duties
+  };
+}
+
+module.exports = {
+  isProcessAlive,
+  createFileLeaseBackend,
+  createSqliteLeaseBackend,
+  createRedisLeaseBackend,
+  createLeaseBackend,
+  createLeaderElector
+};
@@ -0,0 +1,114 @@
+const { formatNumber, getTokenAge } = require('./format');
+const { getChainName } = require('./messages');
+const { escapeHtml } = require('./templates');
+const { getRatio, formatRatio } = require('./tracker');
+const { translate } = require('./i18n');
+
+// -------------------------------
+// Поиск токена по адресу для /token
+
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const MAX_LISTED_PAIRS = 10;
+
+// 'evm' | 'solana' | null - по формату адреса
+function detectAddressFamily(address) {
+  if (EVM_ADDRESS.test(address)) return 'evm';
+  if (BASE58_ADDRESS.test(address)) return 'solana';
+  return null;
+}
+
+// Пары, подходящие под явно указанную сеть или под формат адреса.
+// Сортировка по ликвидности, первая пара - основная
+function selectPairs(pairs, address, chain) {
+  const family = detectAddressFamily(address);
+  const selected = pairs.filter(pair => {
+    const pairChain = (pair.chainId || '').toLowerCase();
+    if (chain) return pairChain === chain.toLowerCase();
+    if (family === 'solana') return pairChain === 'solana';
+    if (family === 'evm') return pairChain !== 'solana';
+    return true;
+  });
+
+  return selected.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
+}
+
+// Данные в формате CTO фида из пары DexScreener, чтобы использовать ту же карточку
+function buildCtoFromPair(pair) {
+  const links = [
+    ...(pair.info?.websites || []).map(w => ({ type: 'website', url: w.url })),
+    ...(pair.info?.socials || []).map(s => ({ type: s.type, url: s.url }))
+  ];
+
+  return {
+    chainId: pair.chainId,
+    tokenAddress: pair.baseToken?.address,
+    url: pair.url,
+    header: pair.info?.header || null,
+    links
+  };
+}
+
+// Дополнительный блок карточки (HTML) на языке locale: известен ли токен как CTO и как он показал себя с тех пор
+function formatLookupDetails({ stored, checkpoints = [], pair, pairs, locale = 'en' }) {
+  const t = (key, params) => translate(locale, key, params);
+  let msg = '\n\n';
+
+  if (!stored) {
+    msg += `${t('lookup.unknown')}\n`;
+  } else {
+    const seen = t('lookup.firstSeen', {
+      age: escapeHtml(getTokenAge(stored.firstSeen, locale)),
+      date: new Date(stored.firstSeen).toISOString().slice(0, 10)
+    });
+    if (stored.status === 'skipped') {
+      msg += `${t('lookup.filteredOut', { reasons: escapeHtml(stored.reasons.join('; ')) })}\n🕐 ${seen}\n`;
+    } else {
+      msg += `${t('lookup.known', { status: t(`lookup.status.${stored.status}`) })}\n🕐 ${seen}\n`;
+    }
+
+    const current = {
+      marketCap: pair.marketCap ?? pair.fdv ?? null,
+      priceUsd: pair.priceUsd ? parseFloat(pair.priceUsd) : null
+    };
+    const ratio = getRatio(stored.snapshot, current);
+    if (ratio) {
+      msg += `${t('lookup.sinceFirstSeen', {
+        ratio: formatRatio(ratio),
+        from: formatNumber(stored.snapshot.marketCap, locale),
+        to: formatNumber(current.marketCap, locale)
+      })}\n`;
+    }
+
+    const checked = checkpoints
+      .filter(c => c.checkedAt && !c.error)
+      .map(c => {
+        const r = getRatio(stored.snapshot, c);
+        return `${c.label}: ${r ? formatRatio(r) : t('na')}`;
+      });
+    if (checked.length) {
+      msg += `⏱ ${checked.join(' | ')}\n`;
+    }
+  }
+
+  if (pairs.length > 1) {
+    msg += `\n${t('lookup.pairs', { count: pairs.length })}\n`;
+    pairs.slice(0, MAX_LISTED_PAIRS).forEach(p => {
+      const quote = p.quoteToken?.symbol ? `/${p.quoteToken.symbol}` : '';
+      const liquidity = t('lookup.liquidity', { value: formatNumber(p.liquidity?.usd, locale) });
+      msg += `• ${getChainName(p.chainId)} ${escapeHtml(p.dexId || 'dex')}${escapeHtml(quote)} · ${liquidity} · <a href="${escapeHtml(p.url)}">${t('lookup.view')}</a>\n`;
+    });
+    if (pairs.length > MAX_LISTED_PAIRS) {
+      msg += `${t('lookup.more', { count: pairs.length - MAX_LISTED_PAIRS })}\n`;
+    }
+  }
+
+  return msg.trimEnd();
+}
+
+module.exports = {
+  detectAddressFamily,
+  selectPairs,
+  buildCtoFromPair,
+  formatLookupDetails
+};
@@ -0,0 +1,263 @@
+const { formatNumber, formatPercent, getTokenAge } = require('./format');
+const { scoreRisk } = require('./risk');
+const { render, createTemplate } = require('./templates');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, translate, translator } = require('./i18n');
+
+// -------------------------------
+// Оформление сообщений об алертах: поля для шаблонов, встроенные шаблоны и кнопки
+
+// Известные сети. Для них же можно настроить RPC проверок безопасности (lib/safety.js)
+const CHAIN_NAMES = {
+  'ethereum': 'ETH',
+  'bsc': 'BSC',
+  'polygon': 'POLYGON',
+  'arbitrum': 'ARBITRUM',
+  'solana': 'SOLANA',
+  'base': 'BASE',
+  'avalanche': 'AVAX',
+  'fantom': 'FTM'
+};
+
+function getChainName(chainId) {
+  return CHAIN_NAMES[chainId.toLowerCase()] || chainId.toUpperCase();
+}
+
+function extractSocials(ctoData) {
+  const socials = [];
+  if (!ctoData || !ctoData.links || !Array.isArray(ctoData.links)) return socials;
+  
+  ctoData.links.forEach(link => {
+    if (!link || !link.url) return;
+    const url = link.url.toLowerCase();
+    if (url.includes('twitter.com') || url.includes('x.com')) {
+      socials.push({ type: '🐦', url: link.url });
+    } else if (url.includes('t.me') || url.includes('telegram')) {
+      socials.push({ type: '📱', url: link.url });
+    } else if (url.includes('discord')) {
+      socials.push({ type: '💬', url: link.url });
+    } else {
+      socials.push({ type: '🌐', url: link.url });
+    }
+  });
+  
+  return socials;
+}
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Строки проверок безопасности (lib/safety.js) для шаблона: ✅ пройдена, ⚠️ нет.
+// Проверки без key (сохраненные до переводов) выводятся как есть
+function buildSafety(safety, locale) {
+  if (!safety) return null;
+  return {
+    checks: safety.checks.map(c => ({
+      icon: c.ok ? '✅' : '⚠️',
+      text: c.key ? translate(locale, `safety.${c.key}`, c.params) : c.text
+    })),
+    warnings: safety.warnings ?? null,
+    error: safety.error
+  };
+}
+
+// Строка о возможной копии (lib/copycats.js): оригинал из другой сети - с названием сети
+function buildCopycat(copycat, chain, locale) {
+  if (!copycat) return null;
+  const label = copycat.symbol || copycat.name || `${copycat.address.slice(0, 6)}…${copycat.address.slice(-4)}`;
+  return {
+    label: copycat.chain === chain ? label : translate(locale, 'card.onChain', { label, chain: getChainName(copycat.chain) }),
+    alerted: getTokenAge(copycat.alertedAt, locale),
+    marketCap: copycat.marketCap ? formatNumber(copycat.marketCap, locale) : null,
+    signals: copycat.signals.map(signal => translate(locale, `copycat.signals.${signal}`)).join(', ')
+  };
+}
+
+// Поля для шаблонов. Все значения уже отформатированы, N/A - если данных нет.
+// extra.source - источник (cto, boosts, profiles), от него зависит заголовок карточки;
+// extra.locale - язык чисел и возраста (locales/)
+function buildContext(ctoData, tokenDetails, extra = {}) {
+  const source = extra.source || 'cto';
+  const locale = extra.locale || 'en';
+  const na = translate(locale, 'na');
+  const money = (value) => formatNumber(value, locale);
+  const description = ctoData.description && ctoData.description.length > MAX_DESCRIPTION_LENGTH
+    ? `${ctoData.description.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…`
+    : ctoData.description || null;
+  const volume = tokenDetails?.volume;
+  const change = tokenDetails?.priceChange;
+  const risk = tokenDetails ? scoreRisk(tokenDetails, ctoData) : null;
+  const socials = extractSocials(ctoData).map(s => ({ icon: s.type, url: s.url }));
+
+  return {
+    source,
+    locale,
+    isCto: source === 'cto',
+    isBoost: source === 'boosts',
+    isProfile: source === 'profiles',
+    boost: source === 'boosts' && ctoData.amount ? { amount: ctoData.amount, totalAmount: ctoData.totalAmount ?? ctoData.amount } : null,
+    chain: ctoData.chainId.toLowerCase(),
+    chainName: getChainName(ctoData.chainId),
+    address: ctoData.tokenAddress,
+    hasDetails: !!tokenDetails?.baseToken,
+    name: tokenDetails?.baseToken?.name || 'Unknown',
+    symbol: tokenDetails?.baseToken?.symbol || na,
+    marketCap: tokenDetails?.marketCap ? money(tokenDetails.marketCap) : na,
+    fdv: tokenDetails?.fdv ? money(tokenDetails.fdv) : na,
+    liquidity: tokenDetails?.liquidity?.usd ? money(tokenDetails.liquidity.usd) : na,
+    price: tokenDetails?.priceUsd ? `$${tokenDetails.priceUsd}` : na,
+    age: tokenDetails?.pairCreatedAt ? getTokenAge(tokenDetails.pairCreatedAt, locale) : na,
+    volume: {
+      m5: volume ? money(volume.m5 || 0) : na,
+      h1: volume ? money(volume.h1 || 0) : na,
+      h6: volume ? money(volume.h6 || 0) : na,
+      h24: volume ? money(volume.h24 || 0) : na
+    },
+    change: {
+      m5: change ? formatPercent(change.m5, locale) : na,
+      h1: change ? formatPercent(change.h1, locale) : na,
+      h6: change ? formatPercent(change.h6, locale) : na,
+      h24: change ? formatPercent(change.h24, locale) : na
+    },
+    risk: risk && {
+      score: risk.score,
+      level: risk.level,
+      icon: risk.icon,
+      flags: risk.flags.map(flag => translate(locale, `risk.${flag}`)).join(', ')
+    },
+    safety: buildSafety(tokenDetails?.safety, locale),
+    copycat: buildCopycat(tokenDetails?.copycat, ctoData.chainId.toLowerCase(), locale),
+    hasSocials: socials.length > 0,
+    socials,
+    description,
+    dexUrl: ctoData.url || tokenDetails?.url || `https://dexscreener.com/${ctoData.chainId.toLowerCase()}/${ctoData.tokenAddress}`,
+    pairAddress: tokenDetails?.pairAddress || null,
+    dexId: tokenDetails?.dexId || null,
+    title: null,
+    footer: null,
+    ...extra
+  };
+}
+
+// Встроенные шаблоны (HTML) на языке t. Текст карточки - ключи card.* из locales/,
+// разметка и поля шаблона передаются в перевод параметрами
+function buildCardTemplates(t) {
+  const chain = '<b>{{chainName}}</b>';
+  const period = (key) => t(`card.period.${key}`);
+  return {
+    full: {
+      parseMode: 'HTML',
+      source: `{{#title}}{{title}}{{/title}}{{^title}}{{#isCto}}🕵️‍♂️ ${t('card.title.cto', { chain })}{{/isCto}}\
+{{#isBoost}}⚡ ${t('card.title.boost', { chain })}{{/isBoost}}\
+{{#isProfile}}📝 ${t('card.title.profile', { chain })}{{/isProfile}}{{/title}}
+
+{{#hasDetails}}🪙 {{name}} ({{symbol}}){{/hasDetails}}{{^hasDetails}}🪙 ${t('card.detailsUnavailable')}{{/hasDetails}}
+{{#copycat}}⚠️ ${t('card.copycat.label', { label: '<b>{{label}}</b>' })} (${t('card.copycat.alerted', { alerted: '{{alerted}}' })}\
+{{#marketCap}}, ${t('card.copycat.marketCap', { marketCap: '{{marketCap}}' })}{{/marketCap}})
+{{/copycat}}🏦 ${t('card.marketCap')}: <b>{{marketCap}}</b>
+🌱 ${t('card.age')}: <b>{{age}}</b>
+{{#boost}}⚡ ${t('card.boost', { amount: '<b>+{{amount}}</b>', total: '{{totalAmount}}' })}
+{{/boost}}{{#isProfile}}{{#description}}📝 {{description}}
+{{/description}}{{/isProfile}}{{#hasSocials}}👥 ${t('card.socials')}: {{#socials}}<a href="{{url}}">{{icon}}</a> {{/socials}}
+
+{{/hasSocials}}CA: <code>{{address}}</code>
+➖➖➖➖➖➖
+💸 ${period('m5')}: <b>{{volume.m5}}</b> | ${period('h1')}: <b>{{volume.h1}}</b> | ${period('h6')}: <b>{{volume.h6}}</b> | ${period('h24')}: <b>{{volume.h24}}</b>
+📈 ${period('m5')}: <b>{{change.m5}}</b> | ${period('h1')}: <b>{{change.h1}}</b> | ${period('h6')}: <b>{{change.h6}}</b> | ${period('h24')}: <b>{{change.h24}}</b>
+{{#risk}}🛡 ${t('card.risk')}: {{icon}} <b>{{score}}/100</b>{{#flags}} · {{flags}}{{/flags}}{{/risk}}{{#safety}}{{#checks}}
+{{icon}} {{text}}{{/checks}}{{#error}}
+⚠️ ${t('card.checksUnavailable')}{{/error}}{{/safety}}
+{{#footer}}➖➖➖➖➖➖
+{{footer}}{{/footer}}`
+    },
+    // Короткая карточка: без объемов и изменений цены
+    compact: {
+      parseMode: 'HTML',
+      source: `{{#isCto}}🕵️‍♂️ ${t('card.compact.cto', { chain })}{{/isCto}}{{#isBoost}}⚡ ${t('card.compact.boost', { chain })}{{/isBoost}}\
+{{#isProfile}}📝 ${t('card.compact.profile', { chain })}{{/isProfile}}: {{name}} ({{symbol}})
+{{#copycat}}⚠️ ${t('card.copycat.label', { label: '<b>{{label}}</b>' })}
+{{/copycat}}🏦 ${t('card.compact.marketCap')}: <b>{{marketCap}}</b> | 💧 ${t('card.compact.liquidity')}: <b>{{liquidity}}</b>\
+{{#risk}} | 🛡 {{icon}} {{score}}/100{{/risk}}
+CA: <code>{{address}}</code>`
+    }
+  };
+}
+
+// Шаблоны на языке по умолчанию и варианты <name>.<locale> для остальных языков
+// (full.ru; заменяются файлами full.ru.html / full.html из каталога шаблонов)
+const TEMPLATES = {};
+for (const locale of SUPPORTED_LOCALES) {
+  for (const [name, template] of Object.entries(buildCardTemplates(translator(locale)))) {
+    TEMPLATES[locale === DEFAULT_LOCALE ? name : `${name}.${locale}`] = template;
+  }
+}
+
+function renderMessage(template, ctoData, tokenDetails, extra) {
+  return { text: render(template, buildContext(ctoData, tokenDetails, extra)), parseMode: template.parseMode };
+}
+
+// Кнопки под сообщением. В конфиге маршрута можно указать ключ из BUTTONS
+// или свою кнопку { text, url, urls }: urls - ссылки по сетям, url - для остальных сетей.
+// В ссылках доступны те же поля, что и в шаблонах ({{address}}, {{chain}}, {{pairAddress}}...).
+// Если для сети нет ссылки или она пустая, кнопка не показывается
+const BUTTONS = {
+  dexscreener: { text: '📊 DexScreener', url: '{{dexUrl}}' },
+  axiom: { text: '🪙 Axiom', urls: { solana: 'https://axiom.trade/meme/{{pairAddress}}' } },
+  maestro: { text: '🤖 Maestro', url: 'https://t.me/maestro?start={{address}}' }
+};
+
+const DEFAULT_BUTTONS = ['dexscreener', 'axiom', 'maestro'];
+
+// Старый формат подстановок {address} / {chain}
+function upgradePlaceholders(value) {
+  return value.replace(/(?<!\{)\{(address|chain)\}(?!\})/g, '{{$1}}');
+}
+
+function renderButton(button, context) {
+  const source = upgradePlaceholders(button.urls?.[context.chain] ?? button.url ?? '');
+  if (!button.text || !source) return null;
+
+  // Ссылка без нужного поля (например, без адреса пары) была бы битой
+  const fields = [...source.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(m => m[1]);
+  const missing = fields.some(field => {
+    const value = field.split('.').reduce((v, part) => (v === null || v === undefined ? v : v[part]), context);
+    return value === null || value === undefined || value === '';
+  });
+  if (missing) return null;
+
+  const url = render(createTemplate('button', source, 'none'), context);
+  if (!/^(https?|tg):\/\/\S+$/.test(url)) return null;
+  return { text: render(createTemplate('button', upgradePlaceholders(button.text), 'none'), context), url };
+}
+
+function buildKeyboard(buttons, ctoData, tokenDetails = null) {
+  const context = buildContext(ctoData, tokenDetails);
+  const row = (buttons || DEFAULT_BUTTONS)
+    .map(button => (typeof button === 'string' ? BUTTONS[button] : button))
+    .filter(Boolean)
+    .map(button => renderButton(button, context))
+    .filter(Boolean);
+
+  return { inline_keyboard: row.length ? [row] : [] };
+}
+
+// Приоритет: header из CTO данных -> header из token details -> другие изображения
+function pickBanner(ctoData, tokenDetails) {
+  return ctoData.header || 
+         tokenDetails?.info?.header || 
+         tokenDetails?.banner || 
+         ctoData.banner || 
+         ctoData.image || 
+         null;
+}
+
+module.exports = {
+  CHAIN_NAMES,
+  getChainName,
+  extractSocials,
+  buildContext,
+  TEMPLATES,
+  renderMessage,
+  BUTTONS,
+  DEFAULT_BUTTONS,
+  buildKeyboard,
+  pickBanner
+};
@@ -0,0 +1,96 @@
+// -------------------------------
+// Метрики в текстовом формате Prometheus (text exposition 0.0.4).
+// Счетчики накапливаются в памяти, gauge считаются в момент запроса /metrics
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, collect) {
+    metrics.push({ type, name: prefix + name, help, collect });
+  }
+
+  // Счетчик с метками: inc({ chain: 'solana' }).
+  // Если передан collect, значения берутся из него (счетчики, которые ведет другой модуль)
+  function counter(name, help, collect) {
+    if (collect) {
+      register('counter', name, help, collect);
+      return null;
+    }
+
+    const values = new Map();
+    register('counter', name, help, () => [...values.values()]);
+
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = JSON.stringify(labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      }
+    };
+  }
+
+  // collect() возвращает число или массив { labels, value }
+  function gauge(name, help, collect) {
+    register('gauge', name, help, collect);
+  }
+
+  // Готовые значения в формате summary: collect() возвращает массив { labels, sum, count }
+  function summary(name, help, collect) {
+    register('summary', name, help, collect);
+  }
+
+  function render() {
+    let text = '';
+    for (const metric of metrics) {
+      let samples;
+      try {
+        samples = metric.collect();
+      } catch (err) {
+        console.error(`❌ Metric ${metric.name} failed:`, err.message);
+        continue;
+      }
+      if (typeof samples === 'number') samples = [{ labels: {}, value: samples }];
+      if (!samples || !samples.length) continue;
+
+      text += `# HELP ${metric.name} ${metric.help}\n# TYPE ${metric.name} ${metric.type}\n`;
+      for (const sample of samples) {
+        if (metric.type === 'summary') {
+          text += `${metric.name}_sum${formatLabels(sample.labels)} ${formatValue(sample.sum)}\n`;
+          text += `${metric.name}_count${formatLabels(sample.labels)} ${formatValue(sample.count)}\n`;
+        } else {
+          text += `${metric.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}\n`;
+        }
+      }
+    }
+    return text;
+  }
+
+  return {
+    counter,
+    gauge,
+    summary,
+    render
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  createMetricsRegistry
+};
@@ -0,0 +1,64 @@
+// -------------------------------
+// Ручная модерация: забаненные адреса и игнорируемые сети (/ban, /ignorechain).
+// Списки хранятся в таблице moderation и проверяются до загрузки данных токена
+
+const CHAIN_PATTERN = /^[a-z0-9-]{2,32}$/;
+
+function normalizeChain(chain) {
+  const value = String(chain || '').trim().toLowerCase();
+  if (!CHAIN_PATTERN.test(value)) {
+    throw new Error(`Invalid chain "${chain}"`);
+  }
+  return value;
+}
+
+function createModeration({ storage }) {
+  function ban(address, { reason = null, createdBy = null } = {}) {
+    return storage.addModeration('address', address.trim(), { reason, createdBy });
+  }
+
+  function unban(address) {
+    return storage.removeModeration('address', address.trim());
+  }
+
+  function getBan(address) {
+    return storage.getModeration('address', address.trim());
+  }
+
+  function ignoreChain(chain, { reason = null, createdBy = null } = {}) {
+    return storage.addModeration('chain', normalizeChain(chain), { reason, createdBy });
+  }
+
+  function unignoreChain(chain) {
+    return storage.removeModeration('chain', normalizeChain(chain));
+  }
+
+  // Причина блокировки токена из фида или null
+  function check(token) {
+    const chain = String(token.chainId || '').toLowerCase();
+    if (storage.getModeration('chain', chain)) {
+      return `chain ${chain} is ignored`;
+    }
+    const ban = storage.getModeration('address', token.tokenAddress);
+    if (ban) {
+      return `address is banned${ban.reason ? `: ${ban.reason}` : ''}`;
+    }
+    return null;
+  }
+
+  return {
+    ban,
+    unban,
+    getBan,
+    ignoreChain,
+    unignoreChain,
+    check,
+    listBans: () => storage.listModeration('address'),
+    listIgnoredChains: () => storage.listModeration('chain')
+  };
+}
+
+module.exports = {
+  normalizeChain,
+  createModeration
+};
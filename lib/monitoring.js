@@ -0,0 +1,124 @@
+const { sendText, sendJson } = require('./server');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { TOKEN_STATUSES } = require('./storage');
+
+// -------------------------------
+// Мониторинг: /healthz, /readyz, /metrics
+
+function registerMonitoring({
+  httpServer,
+  metrics,
+  bot,
+  storage,
+  dex,
+  elector,
+  pipeline,
+  feeds,
+  health,
+  updateMode,
+  startedAt,
+  readyMaxPollAge,
+  telegramProbeTtl
+}) {
+  // Доступность Telegram проверяется через getMe, результат кешируется на telegramProbeTtl
+  async function probeTelegram() {
+    if (health.telegram.checkedAt && Date.now() - health.telegram.checkedAt < telegramProbeTtl) {
+      return health.telegram;
+    }
+    try {
+      await bot.getMe();
+      health.telegram = { checkedAt: Date.now(), ok: true, error: null };
+    } catch (err) {
+      health.telegram = { checkedAt: Date.now(), ok: false, error: err.message };
+    }
+    return health.telegram;
+  }
+
+  // Процесс жив и отвечает
+  httpServer.route('GET', '/healthz', (req, res) => {
+    sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000) });
+  });
+
+  // Состояние опроса включенных источников
+  function feedPollStatus() {
+    return feeds.filter(feed => feed.enabled).map(feed => {
+      const state = health.feeds[feed.id] || {};
+      const age = state.lastPollAt ? Date.now() - state.lastPollAt : null;
+      return {
+        feed: feed.id,
+        ok: age !== null && age <= readyMaxPollAge,
+        lastSuccessAt: state.lastPollAt ? new Date(state.lastPollAt).toISOString() : null,
+        ageSeconds: age === null ? null : Math.floor(age / 1000),
+        lastError: state.lastError || null
+      };
+    });
+  }
+
+  // Бот реально работает: фиды опрашивались недавно, polling или webhook активен, Telegram доступен.
+  // Резервный экземпляр не опрашивает фиды и не регистрирует webhook, для него эти проверки не применяются
+  httpServer.route('GET', '/readyz', async (req, res) => {
+    const leader = elector.isLeader();
+    const polls = feedPollStatus();
+    const telegram = await probeTelegram();
+    const checks = {
+      poll: {
+        ok: !leader || polls.every(poll => poll.ok),
+        maxAgeSeconds: Math.floor(readyMaxPollAge / 1000),
+        feeds: polls
+      },
+      updates: updateMode === 'webhook'
+        ? { ok: !leader || health.webhook.active, mode: updateMode, lastUpdateAt: health.webhook.lastUpdateAt, error: health.webhook.error }
+        : { ok: !leader || bot.isPolling(), mode: updateMode },
+      telegram: { ok: telegram.ok, error: telegram.error }
+    };
+    const ready = Object.values(checks).every(check => check.ok);
+    sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not ready', role: leader ? 'leader' : 'standby', checks });
+  });
+
+  httpServer.route('GET', '/metrics', (req, res) => {
+    sendText(res, 200, metrics.render(), METRICS_CONTENT_TYPE);
+  });
+
+  // Метрики DexScreener API и состояния хранилища считаются в момент запроса
+  function apiSamples(field) {
+    return Object.entries(dex.client.metrics()).map(([endpoint, m]) => ({ labels: { endpoint }, value: m[field] }));
+  }
+
+  metrics.gauge('uptime_seconds', 'Seconds since the bot started', () => Math.floor((Date.now() - startedAt) / 1000));
+  metrics.gauge('last_poll_timestamp_seconds', 'Unix time of the last successful feed poll', () =>
+    Object.entries(health.feeds).map(([feed, state]) => ({
+      labels: { feed },
+      value: state.lastPollAt ? Math.floor(state.lastPollAt / 1000) : 0
+    }))
+  );
+  metrics.gauge('leader', 'Whether this instance holds the leader lease', () => (elector.isLeader() ? 1 : 0));
+  metrics.gauge('check_running', 'Whether a check cycle is in progress', () => (pipeline.isRunning() ? 1 : 0));
+  metrics.gauge('dedup_store_tokens', 'Tokens in the dedup store by status', () =>
+    TOKEN_STATUSES.map(status => ({ labels: { status }, value: storage.countTokens({ status }) }))
+  );
+  metrics.gauge('subscribers', 'Active DM subscribers', () => storage.countSubscribers({ active: true }));
+  metrics.gauge('outbox_messages', 'Outbound queue messages by status', () =>
+    ['queued', 'failed'].map(status => ({ labels: { status }, value: storage.countOutbox(status) }))
+  );
+  metrics.counter('api_requests_total', 'DexScreener HTTP requests including retries', () => apiSamples('requests'));
+  metrics.counter('api_errors_total', 'DexScreener requests that failed after all retries', () => apiSamples('failures'));
+  metrics.counter('api_retries_total', 'DexScreener request retries', () => apiSamples('retries'));
+  metrics.counter('api_rate_limited_total', 'DexScreener 429 responses', () => apiSamples('rateLimited'));
+  metrics.summary('api_request_duration_seconds', 'DexScreener request latency', () =>
+    Object.entries(dex.client.metrics()).map(([endpoint, m]) => ({
+      labels: { endpoint },
+      sum: m.totalLatencyMs / 1000,
+      count: m.requests
+    }))
+  );
+  metrics.gauge('api_circuit_state', 'DexScreener circuit breaker state (1 for the current state)', () => {
+    const { state } = dex.client.breaker();
+    return ['closed', 'half-open', 'open'].map(s => ({ labels: { state: s }, value: s === state ? 1 : 0 }));
+  });
+
+  return { probeTelegram, feedPollStatus };
+}
+
+module.exports = {
+  registerMonitoring
+};
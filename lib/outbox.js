@@ -0,0 +1,124 @@
+const { mapWithConcurrency, createRunLock } = require('./concurrency');
+
+// -------------------------------
+// Постоянная очередь исходящих алертов (таблица outbox).
+// Сообщение остается в очереди, пока не отправится: 429 ждет retry_after,
+// сетевые ошибки и 5xx повторяются с экспоненциальной задержкой.
+// Если не отправилось фото (битый баннер, неподходящий размер), сообщение уходит текстом.
+// payload: { text, parseMode, keyboard, banner, source, chain }
+
+function getErrorCode(err) {
+  return err?.response?.body?.error_code || err?.response?.statusCode || null;
+}
+
+function describeError(err) {
+  return err?.response?.body?.description || err?.message || String(err);
+}
+
+// retryAfter - мс из parameters.retry_after ответа Telegram (только для 429)
+function classifySendError(err) {
+  const code = getErrorCode(err);
+  if (code === 429) {
+    const seconds = err.response?.body?.parameters?.retry_after;
+    return { retryable: true, retryAfter: seconds ? seconds * 1000 : null };
+  }
+  if (!code || code >= 500) {
+    return { retryable: true, retryAfter: null };
+  }
+  return { retryable: false, retryAfter: null };
+}
+
+// Telegram отвечает 400 на баннер, который не удалось скачать или обработать
+function isPhotoError(err) {
+  return getErrorCode(err) === 400;
+}
+
+function createOutbox({
+  storage,
+  send,
+  onSent = () => {},
+  onFailed = () => {},
+  maxAttempts = 5,
+  baseDelay = 5000,
+  maxDelay = 10 * 60 * 1000,
+  batchSize = 20,
+  concurrency = 2
+}) {
+  // После 429 вся очередь ждет retry_after: лимит Telegram общий для бота
+  let pausedUntil = 0;
+
+  function enqueue({ tokenId, destination, chatId, payload, replace = false }) {
+    const queued = storage.enqueueOutbox({ tokenId, destination, chatId, payload, replace });
+    if (queued) {
+      storage.recordDelivery(tokenId, destination, { status: 'queued', chatId });
+    }
+    return queued;
+  }
+
+  async function sendWithFallback(item) {
+    try {
+      return { message: await send(item.chatId, item.payload), payload: item.payload };
+    } catch (err) {
+      if (!item.payload.banner || !isPhotoError(err)) throw err;
+      console.log(`🖼️ Photo send to ${item.destination} failed (${describeError(err)}), falling back to text`);
+      const payload = { ...item.payload, banner: null };
+      return { message: await send(item.chatId, payload), payload };
+    }
+  }
+
+  async function deliver(item) {
+    if (Date.now() < pausedUntil) return;
+    const attempts = item.attempts + 1;
+
+    try {
+      const { message, payload } = await sendWithFallback(item);
+      storage.updateOutbox(item.id, { status: 'sent', attempts, payload });
+      storage.recordDelivery(item.tokenId, item.destination, {
+        status: 'sent',
+        chatId: item.chatId,
+        messageId: message?.message_id ?? null,
+        kind: message?.photo ? 'photo' : 'text'
+      });
+      console.log(`✅ Sent message about ${item.tokenId} to ${item.destination}`);
+      onSent(item, message);
+    } catch (err) {
+      const error = describeError(err);
+      const { retryable, retryAfter } = classifySendError(err);
+
+      if (retryable && attempts < maxAttempts) {
+        const delay = retryAfter ?? Math.min(maxDelay, baseDelay * 2 ** (attempts - 1));
+        if (retryAfter) pausedUntil = Date.now() + retryAfter;
+        storage.updateOutbox(item.id, { attempts, nextAttemptAt: Date.now() + delay, lastError: error });
+        storage.recordDelivery(item.tokenId, item.destination, { status: 'queued', chatId: item.chatId, error });
+        console.log(`🔁 Send to ${item.destination} failed (${error}), retry ${attempts}/${maxAttempts - 1} in ${Math.round(delay / 1000)}s`);
+        return;
+      }
+
+      storage.updateOutbox(item.id, { status: 'failed', attempts, lastError: error });
+      storage.recordDelivery(item.tokenId, item.destination, { status: 'failed', chatId: item.chatId, error });
+      console.error(`❌ Failed to send message to ${item.destination} after ${attempts} attempt(s):`, error);
+      onFailed(item, err);
+    }
+  }
+
+  async function processDue() {
+    if (Date.now() < pausedUntil) return;
+    const due = storage.listDueOutbox(Date.now(), batchSize);
+    if (!due.length) return;
+    await mapWithConcurrency(due, concurrency, deliver);
+  }
+
+  const run = createRunLock(processDue);
+
+  return {
+    enqueue,
+    processDue: run.run,
+    pending: () => storage.countOutbox('queued')
+  };
+}
+
+module.exports = {
+  classifySendError,
+  isPhotoError,
+  createOutbox
+};
@@ -0,0 +1,278 @@
+const filters = require('./filters');
+const { createSnapshot } = require('./storage');
+const { BATCH_SIZE } = require('./dexscreener');
+const { feedTokenId } = require('./feeds');
+const { mapWithConcurrency, createRunLock, chunk } = require('./concurrency');
+
+// -------------------------------
+// Основная проверка токенов: опрос фидов, загрузка данных и проверок безопасности,
+// поиск копий уже опубликованных токенов, фильтр, постановка алертов в очередь и личные уведомления подписчикам.
+// filterState.rules - общие правила фильтра (меняются командой /filters)
+
+function createPipeline({
+  storage,
+  dex,
+  feeds,
+  moderation,
+  safety,
+  copycats,
+  alerts,
+  tracker,
+  filterState,
+  health,
+  detailsMaxAttempts = 5,
+  sendConcurrency = 2,
+  safetyConcurrency = 4,
+  pollsCounter,
+  tokensCounter
+}) {
+  const feedsById = Object.fromEntries(feeds.map(feed => [feed.id, feed]));
+
+  // Данные для всех кандидатов: уникальные адреса группируются по сети и запрашиваются
+  // пачками по BATCH_SIZE. Возвращает Map tokenId -> { details } или { error }
+  async function loadTokenDetails(candidates) {
+    const results = new Map();
+    const byChain = new Map();
+    for (const [tokenId, { token }] of candidates) {
+      const chain = token.chainId.toLowerCase();
+      if (!byChain.has(chain)) byChain.set(chain, { addresses: new Map(), tokens: [] });
+      const group = byChain.get(chain);
+      group.addresses.set(token.tokenAddress.toLowerCase(), token.tokenAddress);
+      group.tokens.push([tokenId, token.tokenAddress.toLowerCase()]);
+    }
+
+    for (const [chain, group] of byChain) {
+      const found = new Map();
+      const failed = new Map();
+      for (const batch of chunk([...group.addresses.values()], BATCH_SIZE)) {
+        try {
+          const pairs = await dex.fetchTokensBatch(chain, batch);
+          pairs.forEach((pair, address) => found.set(address, pair));
+        } catch (err) {
+          console.error(`❌ Error fetching ${batch.length} ${chain} token(s):`, err.message);
+          batch.forEach(address => failed.set(address.toLowerCase(), err));
+        }
+      }
+
+      for (const [tokenId, address] of group.tokens) {
+        results.set(tokenId, failed.has(address) ? { error: failed.get(address) } : { details: found.get(address) || null });
+      }
+    }
+
+    return results;
+  }
+
+  // Фильтр и сохранение токена. Если данные не загрузились, токен остается в очереди
+  // 'pending' и повторяется в следующих циклах, а не публикуется без данных.
+  // Правила источника проверяются вместе с общими правилами фильтра.
+  // Возвращает запись для рассылки или null
+  function evaluateToken({ feed, token, existing }, tokenId, { details = null, error = null }) {
+    const attempts = (existing?.attempts || 0) + 1;
+    const record = {
+      id: tokenId,
+      source: feed.id,
+      chain: token.chainId.toLowerCase(),
+      address: token.tokenAddress,
+      claimDate: token.claimDate || null,
+      cto: token,
+      attempts
+    };
+    let decision;
+
+    if (error) {
+      if (attempts < detailsMaxAttempts) {
+        storage.saveToken({ ...record, status: 'pending', reasons: [`token details unavailable: ${error.message}`] });
+        tokensCounter.inc({ source: feed.id, status: 'pending' });
+        console.log(`⏳ Queued for retry (${attempts}/${detailsMaxAttempts}): ${tokenId}`);
+        return null;
+      }
+      decision = { passed: false, reasons: [`token details unavailable after ${attempts} attempts`] };
+    } else {
+      console.log(`📸 Banner URL for ${token.tokenAddress}:`, details?.banner || null);
+      const global = filters.evaluateFilters(filterState.rules, token, details);
+      const own = filters.evaluateFilters(feed.rules, token, details);
+      decision = {
+        passed: global.passed && own.passed,
+        reasons: [...global.reasons, ...own.reasons.map(reason => `${feed.id}: ${reason}`)]
+      };
+
+      // Копия опубликованного токена: пометка в причинах, дубль в той же сети - пропуск (если включено)
+      if (details?.copycat) {
+        const { suppressed, reason } = copycats.describe(details.copycat);
+        console.log(`🪞 ${reason}: ${token.tokenAddress}`);
+        decision = { passed: decision.passed && !suppressed, reasons: [...decision.reasons, reason] };
+      }
+    }
+
+    // Токен сохраняется до отправки, чтобы статусы доставки ссылались на существующую запись.
+    // Отфильтрованные токены тоже записываются, вместе с причиной - для аудита фильтра
+    try {
+      storage.saveToken({
+        ...record,
+        status: decision.passed ? 'alerted' : 'skipped',
+        reasons: decision.reasons,
+        snapshot: createSnapshot(details)
+      });
+      if (decision.passed) copycats.remember(tokenId, token, details);
+    } catch (err) {
+      console.error(`❌ Failed to save token: ${tokenId}`, err.message);
+      return null;
+    }
+    tokensCounter.inc({ source: feed.id, status: decision.passed ? 'alerted' : 'skipped' });
+
+    if (!decision.passed) {
+      console.log(`🚫 Filtered out: ${token.tokenAddress} (${decision.reasons.join('; ')})`);
+    }
+    return { tokenId, feed, token, details, decision };
+  }
+
+  // Постановка в очередь каналов
+  function queueToken({ tokenId, feed, token, details, decision }) {
+    if (!decision.passed) return;
+    const delivery = alerts.queueAlert(tokenId, token, details, feed.id);
+    if (delivery.queued) {
+      tracker.schedule(tokenId);
+    }
+  }
+
+  // Личные подписки - только на CTO. У подписчиков свои правила,
+  // поэтому они получают токен независимо от фильтра канала
+  async function notifySubscribers({ tokenId, feed, token, details }) {
+    if (details && feed.id === 'cto') {
+      await alerts.fanOutToSubscribers(tokenId, token, details);
+    }
+  }
+
+  // Опрос одного источника. Ошибка источника не мешает остальным
+  async function pollFeed(feed) {
+    const state = health.feeds[feed.id] || (health.feeds[feed.id] = { lastPollAt: null, lastError: null });
+    try {
+      const items = await feed.fetch(dex);
+      state.lastPollAt = Date.now();
+      state.lastError = null;
+      pollsCounter.inc({ feed: feed.id, result: 'ok' });
+      console.log(`📋 ${feed.name}: ${items.length} token(s) in feed`);
+      return items;
+    } catch (err) {
+      state.lastError = err.message;
+      pollsCounter.inc({ feed: feed.id, result: 'error' });
+      console.error(`❌ Error fetching ${feed.name}:`, err.message);
+      return [];
+    }
+  }
+
+  // Забаненные адреса и игнорируемые сети отсекаются до загрузки данных:
+  // токен сохраняется как 'skipped' с причиной и больше не проверяется
+  function addCandidate(candidates, tokenId, candidate) {
+    const { feed, token, existing } = candidate;
+    const blocked = moderation.check(token);
+    if (!blocked) {
+      candidates.set(tokenId, candidate);
+      return;
+    }
+
+    try {
+      storage.saveToken({
+        id: tokenId,
+        source: feed.id,
+        chain: token.chainId.toLowerCase(),
+        address: token.tokenAddress,
+        claimDate: token.claimDate || null,
+        cto: token,
+        status: 'skipped',
+        reasons: [blocked],
+        attempts: existing?.attempts || 0
+      });
+    } catch (err) {
+      console.error(`❌ Failed to save token: ${tokenId}`, err.message);
+      return;
+    }
+    tokensCounter.inc({ source: feed.id, status: 'skipped' });
+    console.log(`⛔ Blocked ${feed.id} token: ${token.tokenAddress} (${blocked})`);
+  }
+
+  async function checkForNewTokens() {
+    const enabled = feeds.filter(feed => feed.enabled);
+    console.log(`🔍 Looking for new tokens (${enabled.map(feed => feed.id).join(', ')})...`);
+    console.log(`📊 Current database size: ${storage.countTokens()}`);
+
+    // Новые токены из фидов и токены, ожидающие повторной загрузки данных.
+    // Один токен в разных источниках - разные кандидаты (свое пространство дедупликации)
+    const candidates = new Map();
+    for (const feed of enabled) {
+      for (const token of await pollFeed(feed)) {
+        if (!token.chainId || !token.tokenAddress) {
+          console.log('⚠️ Invalid token data, skipping');
+          continue;
+        }
+
+        // ID нормализуется с учетом сети: EVM адреса в нижнем регистре, base58 как есть
+        const tokenId = feedTokenId(feed.id, token.chainId, token.tokenAddress);
+        if (candidates.has(tokenId)) continue;
+        const existing = storage.getToken(tokenId);
+
+        if (!existing || existing.status === 'pending') {
+          addCandidate(candidates, tokenId, { feed, token, existing });
+        }
+      }
+    }
+
+    for (const pending of storage.listTokens({ status: 'pending', limit: 100 })) {
+      const feed = feedsById[pending.source];
+      if (!candidates.has(pending.id) && pending.cto && feed?.enabled) {
+        addCandidate(candidates, pending.id, { feed, token: pending.cto, existing: pending });
+      }
+    }
+
+    if (!candidates.size) {
+      console.log('ℹ️ All tokens already processed');
+      return;
+    }
+
+    for (const [tokenId, { feed, token, existing }] of candidates) {
+      console.log(`${existing ? '🔁 Retrying' : '🆕 New'} ${feed.id} token: ${token.tokenAddress} (${token.chainId})`);
+      console.log(`   Token ID: ${tokenId}`);
+      if (token.claimDate) console.log(`   Claim Date: ${token.claimDate}`);
+    }
+
+    const details = await loadTokenDetails(candidates);
+
+    // Проверки on-chain до фильтра: их результат участвует в правилах (maxSafetyWarnings).
+    // Одна пара может достаться нескольким источникам - проверяется один раз
+    if (safety.chains.length) {
+      const pairs = new Set([...details.values()].map(entry => entry.details).filter(pair => pair && safety.supports(pair.chainId)));
+      await mapWithConcurrency([...pairs], safetyConcurrency, safety.enrich);
+    }
+
+    // Поиск копий - по одному токену: опубликованный в этом же цикле уже участвует в сравнении
+    const ready = [];
+    for (const [tokenId, candidate] of candidates) {
+      const loaded = details.get(tokenId);
+      await copycats.annotate(candidate.token, loaded.details);
+      const entry = evaluateToken(candidate, tokenId, loaded);
+      if (entry) ready.push(entry);
+    }
+
+    // Сначала каналы, затем личные сообщения подписчикам
+    ready.forEach(queueToken);
+    await alerts.outbox.processDue();
+    await mapWithConcurrency(ready, sendConcurrency, notifySubscribers);
+
+    console.log(`✨ Processed ${ready.length} new token(s)`);
+    console.log(`📊 Final database size: ${storage.countTokens()}`);
+  }
+
+  // Два цикла (по таймеру и /check) не выполняются одновременно:
+  // повторный вызов дожидается текущего цикла
+  const checkRun = createRunLock(checkForNewTokens);
+
+  return {
+    checkForNewTokens,
+    run: checkRun.run,
+    isRunning: checkRun.isRunning
+  };
+}
+
+module.exports = {
+  createPipeline
+};
@@ -0,0 +1,100 @@
+// -------------------------------
+// Оценка риска по данным пары DexScreener.
+// 0 - минимальный риск, 100 - максимальный. Каждый фактор добавляет баллы и флаг.
+// Флаги - ключи risk.<flag> в locales/
+
+const LEVELS = [
+  { max: 29, level: 'low', icon: '🟢' },
+  { max: 59, level: 'medium', icon: '🟡' },
+  { max: 100, level: 'high', icon: '🔴' }
+];
+
+const HOUR = 60 * 60 * 1000;
+
+function collectLinks(pair, ctoData) {
+  const links = [
+    ...(pair?.info?.socials || []).map(s => ({ type: (s.type || '').toLowerCase(), url: s.url || '' })),
+    ...(pair?.info?.websites || []).map(w => ({ type: 'website', url: w.url || '' })),
+    ...(ctoData?.links || []).map(l => ({ type: (l.type || '').toLowerCase(), url: l.url || '' }))
+  ];
+
+  const hasSocials = links.some(l =>
+    ['twitter', 'telegram', 'discord'].includes(l.type) ||
+    /twitter\.com|x\.com|t\.me|discord/i.test(l.url)
+  );
+  const hasWebsite = links.some(l =>
+    l.type === 'website' ||
+    (l.url && !/twitter\.com|x\.com|t\.me|telegram|discord/i.test(l.url))
+  );
+
+  return { hasSocials, hasWebsite };
+}
+
+// options.pairsCount - число пар токена на его сети (если известно)
+function scoreRisk(pair, ctoData = null, { pairsCount = pair?.pairsCount, now = Date.now() } = {}) {
+  const flags = [];
+  let score = 0;
+  const add = (points, flag) => {
+    score += points;
+    flags.push(flag);
+  };
+
+  if (!pair) {
+    return { score: 100, level: 'high', icon: '🔴', flags: ['noMarketData'] };
+  }
+
+  // Ликвидность относительно капитализации
+  const liquidity = pair.liquidity?.usd;
+  const marketCap = pair.marketCap ?? pair.fdv;
+  if (!liquidity) {
+    add(20, 'noLiquidityData');
+  } else if (marketCap) {
+    const ratio = liquidity / marketCap;
+    if (ratio < 0.02) add(25, 'thinLiquidity');
+    else if (ratio < 0.05) add(15, 'lowLiquidity');
+  }
+
+  // Возраст пары
+  if (pair.pairCreatedAt) {
+    const age = now - pair.pairCreatedAt;
+    if (age < HOUR) add(20, 'brandNewPair');
+    else if (age < 24 * HOUR) add(10, 'newPair');
+  }
+
+  // Вся ликвидность в одном пуле
+  if (pairsCount === 1) {
+    add(5, 'singlePool');
+  }
+
+  // Дисбаланс покупок и продаж за последний час (или за сутки, если за час мало сделок)
+  const txns = (pair.txns?.h1?.buys || 0) + (pair.txns?.h1?.sells || 0) >= 10 ? pair.txns.h1 : pair.txns?.h24;
+  const buys = txns?.buys || 0;
+  const sells = txns?.sells || 0;
+  if (buys + sells >= 10) {
+    const sellShare = sells / (buys + sells);
+    if (sellShare > 0.65) add(15, 'sellHeavy');
+    else if (sellShare < 0.05) add(10, 'noSells');
+  }
+
+  // Всплески объема относительно суточного
+  const volume = pair.volume || {};
+  if (volume.h24 > 0) {
+    if (volume.m5 / volume.h24 > 0.2) add(10, 'volumeSpike5m');
+    else if (volume.h1 / volume.h24 > 0.5) add(10, 'volumeSpike1h');
+  } else {
+    add(10, 'noVolume');
+  }
+
+  // Соцсети и сайт
+  const { hasSocials, hasWebsite } = collectLinks(pair, ctoData);
+  if (!hasSocials) add(15, 'noSocials');
+  if (!hasWebsite) add(5, 'noWebsite');
+
+  score = Math.min(100, score);
+  const { level, icon } = LEVELS.find(l => score <= l.max);
+  return { score, level, icon, flags };
+}
+
+module.exports = {
+  scoreRisk
+};
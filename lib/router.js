@@ -0,0 +1,164 @@
+const fs = require('fs');
+const filters = require('./filters');
+const { TEMPLATES, DEFAULT_BUTTONS } = require('./messages');
+const { SOURCES, DEFAULT_FEEDS } = require('./feeds');
+const { normalizeLocale, SUPPORTED_LOCALES } = require('./i18n');
+
+// -------------------------------
+// Таблица маршрутизации: каждый CTO может уйти в 0..N каналов.
+// Пример routes.json:
+// {
+//   "destinations": [
+//     { "id": "solana", "chatId": "-100123", "rules": { "allowChains": ["solana"] } },
+//     { "id": "boosts", "chatId": "-100789", "sources": ["boosts", "profiles"] },
+//     { "id": "ru", "chatId": "-100321", "locale": "ru" },
+//     { "id": "premium", "chatId": "-100456", "template": "compact", "banner": false,
+//       "rules": { "minMarketCap": "1m" }, "buttons": ["dexscreener",
+//         { "text": "🐸 Photon", "urls": { "solana": "https://photon-sol.tinyastro.io/en/lp/{{pairAddress}}" } }] }
+//   ]
+// }
+function normalizeDestination(raw, index, origin, templates) {
+  if (!raw || !raw.chatId) {
+    throw new Error(`Destination #${index + 1} in ${origin} has no chatId`);
+  }
+
+  const template = raw.template || 'full';
+  if (!templates[template]) {
+    throw new Error(`Unknown template "${template}" for destination #${index + 1} in ${origin}`);
+  }
+
+  // Язык карточек канала; /lang в канале его переопределяет
+  const locale = raw.locale ? normalizeLocale(raw.locale) : null;
+  if (raw.locale && !locale) {
+    throw new Error(`Unknown locale "${raw.locale}" for destination #${index + 1} in ${origin}, expected one of ${SUPPORTED_LOCALES.join(', ')}`);
+  }
+
+  // Без sources канал получает только CTO, как раньше
+  const sources = Array.isArray(raw.sources) ? raw.sources.map(s => String(s).toLowerCase()) : DEFAULT_FEEDS;
+  const unknown = sources.find(s => !SOURCES[s]);
+  if (unknown) {
+    throw new Error(`Unknown source "${unknown}" for destination #${index + 1} in ${origin}`);
+  }
+
+  return {
+    id: String(raw.id || `dest${index + 1}`),
+    name: raw.name || raw.id || `Destination ${index + 1}`,
+    chatId: String(raw.chatId),
+    enabled: raw.enabled !== false,
+    template,
+    locale,
+    buttons: Array.isArray(raw.buttons) ? raw.buttons : DEFAULT_BUTTONS,
+    banner: raw.banner !== false,
+    sources,
+    rules: filters.normalizeRules(raw.rules, `${origin} (${raw.id || index + 1})`)
+  };
+}
+
+// Без routes.json все алерты уходят в TELEGRAM_CHANNEL_ID, как раньше
+// templates - доступные шаблоны сообщений (встроенные и из каталога шаблонов)
+function loadRoutes({ file, defaultChatId, templates = TEMPLATES }) {
+  if (file && fs.existsSync(file)) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const list = Array.isArray(parsed) ? parsed : parsed.destinations;
+    if (!Array.isArray(list)) {
+      throw new Error(`${file} must contain a "destinations" array`);
+    }
+
+    const destinations = list.map((raw, i) => normalizeDestination(raw, i, file, templates));
+    const ids = new Set();
+    for (const dest of destinations) {
+      if (ids.has(dest.id)) throw new Error(`Duplicate destination id "${dest.id}" in ${file}`);
+      ids.add(dest.id);
+    }
+
+    console.log(`✅ Loaded ${destinations.length} destination(s) from ${file}`);
+    return destinations;
+  }
+
+  if (!defaultChatId) return [];
+  return [normalizeDestination({ id: 'main', name: 'Main channel', chatId: defaultChatId }, 0, 'env', templates)];
+}
+
+// -------------------------------
+// Изменение каналов из панели управления. Новые значения проверяются так же,
+// как при загрузке, и сохраняются в routes.json. Без файла он будет создан
+// с каналом из TELEGRAM_CHANNEL_ID
+const EDITABLE_FIELDS = ['name', 'enabled', 'template', 'locale', 'banner', 'sources', 'rules'];
+
+// Канал в формате routes.json: выключенные правила не записываются
+function serializeDestination(dest) {
+  const rules = Object.fromEntries(Object.entries(dest.rules)
+    .filter(([, value]) => value !== null && !(Array.isArray(value) && !value.length)));
+  return {
+    id: dest.id,
+    name: dest.name,
+    chatId: dest.chatId,
+    enabled: dest.enabled,
+    template: dest.template,
+    ...(dest.locale ? { locale: dest.locale } : {}),
+    buttons: dest.buttons,
+    banner: dest.banner,
+    sources: dest.sources,
+    rules
+  };
+}
+
+// changes.rules дополняет текущие правила; null или "off" выключает правило.
+// Канал меняется на месте: его уже держат alerts и выбор языка
+function updateDestination(destinations, id, changes, templates = TEMPLATES) {
+  const index = destinations.findIndex(dest => dest.id === id);
+  if (index === -1) {
+    throw new Error(`Unknown destination "${id}"`);
+  }
+
+  const unknown = Object.keys(changes).find(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown) {
+    throw new Error(`Field "${unknown}" cannot be changed, editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  if (changes.sources !== undefined && !Array.isArray(changes.sources)) {
+    throw new Error('Field "sources" must be an array of feed ids');
+  }
+
+  const raw = { ...serializeDestination(destinations[index]), ...changes };
+  if (changes.rules) {
+    raw.rules = { ...destinations[index].rules };
+    for (const [key, value] of Object.entries(changes.rules)) {
+      raw.rules[key] = filters.parseRuleValue(key, value);
+    }
+  }
+
+  Object.assign(destinations[index], normalizeDestination(raw, index, 'dashboard', templates));
+  return destinations[index];
+}
+
+function saveRoutes(file, destinations) {
+  try {
+    fs.writeFileSync(file, JSON.stringify({ destinations: destinations.map(serializeDestination) }, null, 2), 'utf8');
+    console.log(`💾 Routes saved to ${file}`);
+    return true;
+  } catch (err) {
+    console.error('❌ Routes save error:', err.message);
+    return false;
+  }
+}
+
+// Возвращает включенные каналы, подписанные на источник, правила которых пропускают токен
+function matchDestinations(destinations, ctoData, details, source = 'cto') {
+  return destinations.filter(dest => {
+    if (!dest.enabled || !dest.sources.includes(source)) return false;
+    const decision = filters.evaluateFilters(dest.rules, ctoData, details);
+    if (!decision.passed) {
+      console.log(`↪️ ${dest.id}: skipped ${ctoData.tokenAddress} (${decision.reasons.join('; ')})`);
+    }
+    return decision.passed;
+  });
+}
+
+module.exports = {
+  loadRoutes,
+  matchDestinations,
+  serializeDestination,
+  updateDestination,
+  saveRoutes
+};
@@ -0,0 +1,220 @@
+const axios = require('axios');
+const { CHAIN_NAMES } = require('./messages');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+// -------------------------------
+// Проверки безопасности токена через JSON-RPC сети.
+// Solana: отозваны ли mint и freeze authority, доля крупнейших держателей.
+// EVM: есть ли код контракта, отказался ли владелец от прав (owner()).
+// RPC задается по сетям: RPC_ENDPOINTS="solana=https://...,base=https://..."
+// Для сети без RPC проверки не выполняются, карточка выходит без них.
+// Результат: { family, checks: [{ id, ok, key, params, text }], warnings, topHoldersPercent, error }
+
+const SOLANA_CHAINS = ['solana'];
+
+// Адреса, на которые переводят владение при отказе от прав
+const BURN_OWNERS = [
+  '0x0000000000000000000000000000000000000000',
+  '0x000000000000000000000000000000000000dead'
+];
+
+// Селектор owner() (Ownable)
+const OWNER_SELECTOR = '0x8da5cb5b';
+
+// Сколько крупнейших счетов считать при оценке концентрации
+const TOP_HOLDERS = 10;
+
+function chainFamily(chain) {
+  return SOLANA_CHAINS.includes(chain) ? 'solana' : 'evm';
+}
+
+// "solana=https://api.mainnet-beta.solana.com,base=https://mainnet.base.org" -> { solana, base }
+function parseRpcEndpoints(value) {
+  const endpoints = {};
+  for (const entry of String(value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const index = entry.indexOf('=');
+    const chain = entry.slice(0, index).trim().toLowerCase();
+    const url = entry.slice(index + 1).trim();
+    if (index < 1 || !url) {
+      throw new Error(`Invalid RPC endpoint "${entry}", expected chain=url`);
+    }
+    if (!CHAIN_NAMES[chain]) {
+      throw new Error(`Unknown chain "${chain}" in RPC_ENDPOINTS, expected one of ${Object.keys(CHAIN_NAMES).join(', ')}`);
+    }
+    if (!/^https?:\/\/\S+$/.test(url)) {
+      throw new Error(`Invalid RPC URL for ${chain}: ${url}`);
+    }
+    endpoints[chain] = url;
+  }
+  return endpoints;
+}
+
+// Ошибка ответа RPC (не сети): rpcCode - код из поля error
+function rpcError(method, error) {
+  const err = new Error(`${method}: ${error.message || 'RPC error'}`);
+  err.rpcCode = error.code;
+  return err;
+}
+
+function createRpcClient({ url, http = axios, timeout = 8000 }) {
+  let nextId = 1;
+
+  async function call(method, params = []) {
+    const res = await http.post(url, { jsonrpc: '2.0', id: nextId++, method, params }, {
+      timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    const body = res.data;
+    if (body?.error) throw rpcError(method, body.error);
+    if (!body || !('result' in body)) throw new Error(`${method}: invalid RPC response`);
+    return body.result;
+  }
+
+  return { call };
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+// Строка проверки: key и params - перевод safety.<key> для карточки, text - английский текст
+function checkResult(id, ok, key, params = {}) {
+  return { id, ok, key, params, text: translate(DEFAULT_LOCALE, `safety.${key}`, params) };
+}
+
+// -------------------------------
+// Solana
+
+async function checkSolana(rpc, address, { maxTopHolders }) {
+  const account = await rpc.call('getAccountInfo', [address, { encoding: 'jsonParsed', commitment: 'confirmed' }]);
+  const parsed = account?.value?.data?.parsed;
+  if (parsed?.type !== 'mint') {
+    throw new Error('mint account not found');
+  }
+
+  const { mintAuthority, freezeAuthority, supply } = parsed.info;
+  const checks = [
+    mintAuthority
+      ? checkResult('mintAuthority', false, 'mintAuthorityActive', { address: shortAddress(mintAuthority) })
+      : checkResult('mintAuthority', true, 'mintAuthorityRenounced'),
+    freezeAuthority
+      ? checkResult('freezeAuthority', false, 'freezeAuthorityActive', { address: shortAddress(freezeAuthority) })
+      : checkResult('freezeAuthority', true, 'freezeAuthorityRenounced')
+  ];
+
+  // Пул ликвидности тоже среди крупнейших счетов, поэтому порог стоит держать с запасом.
+  // Без данных о держателях (часть RPC не отдает их для больших токенов) остаются проверки прав
+  let topHoldersPercent;
+  try {
+    const largest = await rpc.call('getTokenLargestAccounts', [address, { commitment: 'confirmed' }]);
+    const total = BigInt(supply || 0);
+    if (total > 0n) {
+      const top = (largest?.value || []).slice(0, TOP_HOLDERS).reduce((sum, a) => sum + BigInt(a.amount || 0), 0n);
+      topHoldersPercent = Number((top * 10000n) / total) / 100;
+      checks.push(checkResult('topHolders', topHoldersPercent <= maxTopHolders, 'topHolders', {
+        count: TOP_HOLDERS,
+        percent: topHoldersPercent.toFixed(1)
+      }));
+    }
+  } catch (err) {
+    console.error(`❌ Holder check failed for ${address}:`, err.message);
+  }
+
+  return { checks, topHoldersPercent };
+}
+
+// -------------------------------
+// EVM
+
+async function checkEvm(rpc, address) {
+  const code = await rpc.call('eth_getCode', [address, 'latest']);
+  if (!code || code === '0x') {
+    return { checks: [checkResult('bytecode', false, 'noCode')] };
+  }
+
+  const checks = [checkResult('bytecode', true, 'deployed')];
+
+  // Нет owner() (revert или пустой ответ) - контракт без Ownable
+  let result = null;
+  try {
+    result = await rpc.call('eth_call', [{ to: address, data: OWNER_SELECTOR }, 'latest']);
+  } catch (err) {
+    if (err.rpcCode === undefined) throw err;
+  }
+
+  if (!result || result === '0x' || result.length < 66) {
+    checks.push(checkResult('owner', true, 'noOwner'));
+  } else {
+    const owner = `0x${result.slice(-40)}`.toLowerCase();
+    checks.push(BURN_OWNERS.includes(owner)
+      ? checkResult('owner', true, 'ownershipRenounced')
+      : checkResult('owner', false, 'ownerActive', { address: shortAddress(owner) }));
+  }
+
+  return { checks };
+}
+
+// -------------------------------
+
+function createSafetyChecker({
+  endpoints = {},
+  http = axios,
+  timeout = 8000,
+  maxTopHolders = 30,
+  checksCounter = null
+}) {
+  const clients = Object.fromEntries(
+    Object.entries(endpoints).map(([chain, url]) => [chain, createRpcClient({ url, http, timeout })])
+  );
+
+  function supports(chain) {
+    return !!clients[String(chain || '').toLowerCase()];
+  }
+
+  // null - для сети нет RPC. Ошибка RPC не бросается, а попадает в result.error
+  async function check(chain, address) {
+    chain = String(chain || '').toLowerCase();
+    if (!clients[chain]) return null;
+
+    const family = chainFamily(chain);
+    try {
+      const { checks, topHoldersPercent } = family === 'solana'
+        ? await checkSolana(clients[chain], address, { maxTopHolders })
+        : await checkEvm(clients[chain], address);
+      checksCounter?.inc({ chain, result: 'ok' });
+      return {
+        family,
+        checks,
+        warnings: checks.filter(c => !c.ok).length,
+        topHoldersPercent,
+        checkedAt: Date.now(),
+        error: null
+      };
+    } catch (err) {
+      checksCounter?.inc({ chain, result: 'error' });
+      console.error(`❌ Safety check failed for ${chain} ${address}:`, err.message);
+      return { family, checks: [], warnings: undefined, topHoldersPercent: undefined, checkedAt: Date.now(), error: err.message };
+    }
+  }
+
+  // Результат добавляется к данным пары (details.safety): его видят шаблоны и фильтры
+  async function enrich(details) {
+    if (!details?.chainId || !details.baseToken?.address) return details;
+    const safety = await check(details.chainId, details.baseToken.address);
+    if (safety) details.safety = safety;
+    return details;
+  }
+
+  return {
+    chains: Object.keys(clients),
+    supports,
+    check,
+    enrich
+  };
+}
+
+module.exports = {
+  parseRpcEndpoints,
+  createRpcClient,
+  createSafetyChecker
+};
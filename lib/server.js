@@ -0,0 +1,112 @@
+const http = require('http');
+
+// -------------------------------
+// Встроенный HTTP сервер (нужен Render для проверки сервиса) с простой таблицей маршрутов.
+// Обработчик: async (req, res, url)
+
+function sendText(res, status, body, contentType = 'text/plain; charset=utf-8') {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+// Тело запроса с ограничением размера. Ошибка содержит statusCode для ответа клиенту
+function readBody(req, limit = 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > limit) {
+        // Остаток тела дочитывается и отбрасывается, чтобы клиент получил ответ 413
+        tooLarge = true;
+        chunks.length = 0;
+        const error = new Error('Request body too large');
+        error.statusCode = 413;
+        reject(error);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+async function readJson(req, limit) {
+  const body = await readBody(req, limit);
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    const error = new Error('Invalid JSON body');
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+function createHttpServer() {
+  const routes = new Map();
+
+  function route(method, pathname, handler) {
+    if (!routes.has(pathname)) routes.set(pathname, {});
+    routes.get(pathname)[method.toUpperCase()] = handler;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    // Путь вида "//" URL воспринимает как адрес с пустым хостом и бросает ошибку
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (err) {
+      return sendText(res, 400, 'Bad Request');
+    }
+    const methods = routes.get(url.pathname);
+
+    if (!methods) {
+      return sendText(res, 404, 'Not Found');
+    }
+
+    const handler = methods[req.method] || (req.method === 'HEAD' ? methods.GET : null);
+    if (!handler) {
+      res.setHeader('Allow', Object.keys(methods).join(', '));
+      return sendText(res, 405, 'Method Not Allowed');
+    }
+
+    try {
+      await handler(req, res, url);
+    } catch (err) {
+      console.error(`❌ HTTP ${req.method} ${url.pathname} failed:`, err.message);
+      if (!res.headersSent) {
+        sendText(res, 500, 'Internal Server Error');
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  function listen(port) {
+    return new Promise((resolve) => {
+      server.listen(port, () => resolve(server));
+    });
+  }
+
+  return {
+    server,
+    route,
+    listen
+  };
+}
+
+module.exports = {
+  createHttpServer,
+  sendText,
+  sendJson,
+  readBody,
+  readJson
+};
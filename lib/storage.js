@@ -0,0 +1,787 @@
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+// -------------------------------
+// Хранилище токенов на SQLite.
+// backend 'sqlite' - файл на диске, 'memory' - та же схема в памяти (для Render)
+
+// Миграции схемы, применяются по PRAGMA user_version
+const MIGRATIONS = [
+  `
+  CREATE TABLE tokens (
+    id TEXT PRIMARY KEY COLLATE NOCASE,
+    chain TEXT NOT NULL,
+    address TEXT NOT NULL,
+    claim_date TEXT,
+    first_seen INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    reasons TEXT,
+    cto TEXT,
+    snapshot TEXT
+  );
+  CREATE INDEX tokens_first_seen ON tokens (first_seen DESC);
+  CREATE INDEX tokens_status ON tokens (status);
+
+  CREATE TABLE deliveries (
+    token_id TEXT NOT NULL COLLATE NOCASE,
+    destination TEXT NOT NULL,
+    chat_id TEXT,
+    message_id INTEGER,
+    status TEXT NOT NULL,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (token_id, destination)
+  );
+
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  `,
+  `
+  CREATE TABLE checkpoints (
+    token_id TEXT NOT NULL COLLATE NOCASE,
+    label TEXT NOT NULL,
+    due_at INTEGER NOT NULL,
+    checked_at INTEGER,
+    market_cap REAL,
+    price_usd REAL,
+    error TEXT,
+    PRIMARY KEY (token_id, label)
+  );
+  CREATE INDEX checkpoints_due ON checkpoints (checked_at, due_at);
+
+  CREATE TABLE milestones (
+    token_id TEXT NOT NULL COLLATE NOCASE,
+    kind TEXT NOT NULL,
+    ratio REAL,
+    market_cap REAL,
+    reached_at INTEGER NOT NULL,
+    PRIMARY KEY (token_id, kind)
+  );
+  `,
+  `
+  CREATE TABLE subscribers (
+    user_id TEXT PRIMARY KEY,
+    chat_id TEXT NOT NULL,
+    username TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    rules TEXT NOT NULL DEFAULT '{}',
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    deactivated_reason TEXT
+  );
+
+  CREATE TABLE subscriber_alerts (
+    user_id TEXT NOT NULL,
+    token_id TEXT NOT NULL COLLATE NOCASE,
+    sent_at INTEGER NOT NULL,
+    PRIMARY KEY (user_id, token_id)
+  );
+  `,
+  `
+  ALTER TABLE tokens ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+  `,
+  `
+  CREATE TABLE leases (
+    name TEXT PRIMARY KEY,
+    owner TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    acquired_at INTEGER NOT NULL
+  );
+  `,
+  `
+  ALTER TABLE tokens ADD COLUMN source TEXT NOT NULL DEFAULT 'cto';
+  CREATE INDEX tokens_source ON tokens (source, first_seen DESC);
+  `,
+  `
+  CREATE TABLE outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_id TEXT NOT NULL COLLATE NOCASE,
+    destination TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    last_error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    UNIQUE (token_id, destination)
+  );
+  CREATE INDEX outbox_due ON outbox (status, next_attempt_at);
+  ALTER TABLE deliveries ADD COLUMN kind TEXT;
+  `,
+  `
+  CREATE TABLE moderation (
+    kind TEXT NOT NULL,
+    value TEXT NOT NULL COLLATE NOCASE,
+    reason TEXT,
+    created_by TEXT,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (kind, value)
+  );
+  `,
+  `
+  CREATE TABLE token_fingerprints (
+    token_id TEXT NOT NULL COLLATE NOCASE,
+    kind TEXT NOT NULL,
+    value TEXT NOT NULL COLLATE NOCASE,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (token_id, kind, value)
+  );
+  CREATE INDEX token_fingerprints_value ON token_fingerprints (kind, value);
+  `,
+  `
+  CREATE TABLE chat_settings (
+    chat_id TEXT PRIMARY KEY,
+    locale TEXT,
+    updated_by TEXT,
+    updated_at INTEGER NOT NULL
+  );
+  `
+];
+
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+// 'pending' - ждет повторной загрузки данных, 'legacy' - перенесен из database.json,
+// 'backfilled' - записан командой backfill без публикации
+const TOKEN_STATUSES = ['alerted', 'skipped', 'pending', 'legacy', 'backfilled'];
+
+// ID токена: "<chain>-<address>". EVM адреса регистронезависимы - приводим к нижнему
+// регистру, base58 (Solana и др.) сохраняем как есть. Сравнение в БД все равно
+// регистронезависимое, чтобы старые записи в нижнем регистре продолжали совпадать
+function normalizeTokenId(chainId, tokenAddress) {
+  const chain = String(chainId).trim().toLowerCase();
+  const address = String(tokenAddress).trim();
+  return `${chain}-${EVM_ADDRESS.test(address) ? address.toLowerCase() : address}`;
+}
+
+function parseTokenId(tokenId) {
+  const index = String(tokenId).indexOf('-');
+  if (index <= 0) return null;
+  return { chain: tokenId.slice(0, index), address: tokenId.slice(index + 1) };
+}
+
+// Метрики на момент первого обнаружения
+function createSnapshot(details) {
+  if (!details) return null;
+  return {
+    name: details.baseToken?.name || null,
+    symbol: details.baseToken?.symbol || null,
+    pairAddress: details.pairAddress || null,
+    dexId: details.dexId || null,
+    priceUsd: details.priceUsd ? parseFloat(details.priceUsd) : null,
+    marketCap: details.marketCap ?? null,
+    fdv: details.fdv ?? null,
+    liquidity: details.liquidity?.usd ?? null,
+    volume24h: details.volume?.h24 ?? null,
+    priceChange24h: details.priceChange?.h24 ?? null,
+    pairCreatedAt: details.pairCreatedAt || null,
+    takenAt: Date.now()
+  };
+}
+
+function parseJson(value) {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function rowToToken(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    chain: row.chain,
+    address: row.address,
+    claimDate: row.claim_date,
+    firstSeen: row.first_seen,
+    status: row.status,
+    reasons: parseJson(row.reasons) || [],
+    cto: parseJson(row.cto),
+    snapshot: parseJson(row.snapshot),
+    attempts: row.attempts,
+    source: row.source
+  };
+}
+
+function rowToDelivery(row) {
+  if (!row) return null;
+  return {
+    tokenId: row.token_id,
+    destination: row.destination,
+    chatId: row.chat_id,
+    messageId: row.message_id,
+    status: row.status,
+    error: row.error,
+    attempts: row.attempts,
+    kind: row.kind,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToOutbox(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    tokenId: row.token_id,
+    destination: row.destination,
+    chatId: row.chat_id,
+    payload: parseJson(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function rowToModeration(row) {
+  return {
+    kind: row.kind,
+    value: row.value,
+    reason: row.reason,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+function rowToFingerprint(row) {
+  return {
+    tokenId: row.token_id,
+    kind: row.kind,
+    value: row.value,
+    createdAt: row.created_at
+  };
+}
+
+function rowToCheckpoint(row) {
+  if (!row) return null;
+  return {
+    tokenId: row.token_id,
+    label: row.label,
+    dueAt: row.due_at,
+    checkedAt: row.checked_at,
+    marketCap: row.market_cap,
+    priceUsd: row.price_usd,
+    error: row.error
+  };
+}
+
+function rowToSubscriber(row) {
+  if (!row) return null;
+  return {
+    userId: row.user_id,
+    chatId: row.chat_id,
+    username: row.username,
+    active: !!row.active,
+    rules: parseJson(row.rules) || {},
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    deactivatedReason: row.deactivated_reason
+  };
+}
+
+function createStorage({ backend = 'sqlite', file } = {}) {
+  if (!['sqlite', 'memory'].includes(backend)) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+  if (backend === 'sqlite' && !file) {
+    throw new Error('SQLite backend requires a database file path');
+  }
+
+  const db = new Database(backend === 'memory' ? ':memory:' : file);
+  if (backend === 'sqlite') {
+    db.pragma('journal_mode = WAL');
+  }
+
+  const version = db.pragma('user_version', { simple: true });
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[i]);
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+  }
+
+  // Повторное сохранение (например, после ретрая) не меняет first_seen
+  const upsertToken = db.prepare(`
+    INSERT INTO tokens (id, source, chain, address, claim_date, first_seen, status, reasons, cto, snapshot, attempts)
+    VALUES (@id, @source, @chain, @address, @claimDate, @firstSeen, @status, @reasons, @cto, @snapshot, @attempts)
+    ON CONFLICT (id) DO UPDATE SET
+      id = excluded.id,
+      address = excluded.address,
+      claim_date = COALESCE(excluded.claim_date, tokens.claim_date),
+      status = excluded.status,
+      reasons = excluded.reasons,
+      cto = COALESCE(excluded.cto, tokens.cto),
+      snapshot = COALESCE(tokens.snapshot, excluded.snapshot),
+      attempts = excluded.attempts
+  `);
+
+  const upsertDelivery = db.prepare(`
+    INSERT INTO deliveries (token_id, destination, chat_id, message_id, status, error, kind, attempts, updated_at)
+    VALUES (@tokenId, @destination, @chatId, @messageId, @status, @error, @kind, 1, @updatedAt)
+    ON CONFLICT (token_id, destination) DO UPDATE SET
+      chat_id = excluded.chat_id,
+      message_id = COALESCE(excluded.message_id, deliveries.message_id),
+      kind = COALESCE(excluded.kind, deliveries.kind),
+      status = excluded.status,
+      error = excluded.error,
+      attempts = deliveries.attempts + 1,
+      updated_at = excluded.updated_at
+  `);
+
+  function hasToken(tokenId) {
+    return !!db.prepare('SELECT 1 FROM tokens WHERE id = ?').get(tokenId);
+  }
+
+  function getToken(tokenId) {
+    return rowToToken(db.prepare('SELECT * FROM tokens WHERE id = ?').get(tokenId));
+  }
+
+  // status - одно из TOKEN_STATUSES
+  function saveToken({ id, chain, address, claimDate = null, status, reasons = [], cto = null, snapshot = null, firstSeen = Date.now(), attempts = 0, source = 'cto' }) {
+    upsertToken.run({
+      id,
+      source,
+      chain,
+      address,
+      claimDate,
+      firstSeen,
+      status,
+      reasons: JSON.stringify(reasons || []),
+      cto: cto ? JSON.stringify(cto) : null,
+      snapshot: snapshot ? JSON.stringify(snapshot) : null,
+      attempts
+    });
+  }
+
+  function buildWhere({ status, chain, since, until, source } = {}) {
+    const clauses = [];
+    const params = {};
+    if (source) {
+      clauses.push('source = @source');
+      params.source = source;
+    }
+    if (status) {
+      clauses.push('status = @status');
+      params.status = status;
+    }
+    if (chain) {
+      clauses.push('chain = @chain');
+      params.chain = chain.toLowerCase();
+    }
+    if (since) {
+      clauses.push('first_seen >= @since');
+      params.since = since;
+    }
+    if (until) {
+      clauses.push('first_seen <= @until');
+      params.until = until;
+    }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  // Последние токены, новые первыми
+  function listTokens({ limit = 10, offset = 0, ...filter } = {}) {
+    const { where, params } = buildWhere(filter);
+    return db.prepare(`SELECT * FROM tokens ${where} ORDER BY first_seen DESC, rowid DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset })
+      .map(rowToToken);
+  }
+
+  function countTokens(filter = {}) {
+    const { where, params } = buildWhere(filter);
+    return db.prepare(`SELECT COUNT(*) AS count FROM tokens ${where}`).get(params).count;
+  }
+
+  // kind - тип отправленного сообщения (photo / text): от него зависит, как его редактировать
+  function recordDelivery(tokenId, destination, { status, chatId, messageId = null, error = null, kind = null }) {
+    upsertDelivery.run({
+      tokenId,
+      destination,
+      chatId: chatId === null || chatId === undefined ? null : String(chatId),
+      messageId,
+      status,
+      error,
+      kind,
+      updatedAt: Date.now()
+    });
+  }
+
+  function getDelivery(tokenId, destination) {
+    return rowToDelivery(db.prepare('SELECT * FROM deliveries WHERE token_id = ? AND destination = ?').get(tokenId, destination));
+  }
+
+  function isDelivered(tokenId, destination) {
+    return getDelivery(tokenId, destination)?.status === 'sent';
+  }
+
+  function listDeliveries(tokenId) {
+    return db.prepare('SELECT * FROM deliveries WHERE token_id = ? ORDER BY updated_at').all(tokenId).map(rowToDelivery);
+  }
+
+  function deliveryStats(destination) {
+    const result = { sent: 0, failed: 0 };
+    const rows = db.prepare('SELECT status, COUNT(*) AS count FROM deliveries WHERE destination = ? GROUP BY status').all(destination);
+    for (const row of rows) {
+      result[row.status === 'sent' ? 'sent' : 'failed'] += row.count;
+    }
+    return result;
+  }
+
+  function getMeta(key) {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  function setMeta(key, value) {
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, value === null || value === undefined ? null : String(value));
+  }
+
+  // Чекпоинты отслеживания после алерта: [{ label, dueAt }]
+  function scheduleCheckpoints(tokenId, checkpoints) {
+    const insert = db.prepare('INSERT OR IGNORE INTO checkpoints (token_id, label, due_at) VALUES (?, ?, ?)');
+    db.transaction(() => {
+      for (const checkpoint of checkpoints) {
+        insert.run(tokenId, checkpoint.label, checkpoint.dueAt);
+      }
+    })();
+  }
+
+  function listDueCheckpoints(now = Date.now(), limit = 50) {
+    return db.prepare('SELECT * FROM checkpoints WHERE checked_at IS NULL AND due_at <= ? ORDER BY due_at LIMIT ?')
+      .all(now, limit)
+      .map(rowToCheckpoint);
+  }
+
+  function saveCheckpoint(tokenId, label, { marketCap = null, priceUsd = null, error = null }) {
+    db.prepare('UPDATE checkpoints SET checked_at = ?, market_cap = ?, price_usd = ?, error = ? WHERE token_id = ? AND label = ?')
+      .run(Date.now(), marketCap, priceUsd, error, tokenId, label);
+  }
+
+  function listCheckpoints(tokenId) {
+    return db.prepare('SELECT * FROM checkpoints WHERE token_id = ? ORDER BY due_at').all(tokenId).map(rowToCheckpoint);
+  }
+
+  function hasMilestone(tokenId, kind) {
+    return !!db.prepare('SELECT 1 FROM milestones WHERE token_id = ? AND kind = ?').get(tokenId, kind);
+  }
+
+  function recordMilestone(tokenId, kind, { ratio = null, marketCap = null }) {
+    db.prepare('INSERT OR IGNORE INTO milestones (token_id, kind, ratio, market_cap, reached_at) VALUES (?, ?, ?, ?, ?)')
+      .run(tokenId, kind, ratio, marketCap, Date.now());
+  }
+
+  function listMilestones(tokenId) {
+    return db.prepare('SELECT * FROM milestones WHERE token_id = ? ORDER BY reached_at').all(tokenId).map(row => ({
+      tokenId: row.token_id,
+      kind: row.kind,
+      ratio: row.ratio,
+      marketCap: row.market_cap,
+      reachedAt: row.reached_at
+    }));
+  }
+
+  // Подписчики личных алертов. Повторная подписка реактивирует пользователя с прежними настройками
+  function upsertSubscriber({ userId, chatId, username = null }) {
+    const now = Date.now();
+    db.prepare(`
+      INSERT INTO subscribers (user_id, chat_id, username, active, created_at, updated_at)
+      VALUES (?, ?, ?, 1, ?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET
+        chat_id = excluded.chat_id,
+        username = excluded.username,
+        active = 1,
+        deactivated_reason = NULL,
+        updated_at = excluded.updated_at
+    `).run(String(userId), String(chatId), username, now, now);
+    return getSubscriber(userId);
+  }
+
+  function getSubscriber(userId) {
+    return rowToSubscriber(db.prepare('SELECT * FROM subscribers WHERE user_id = ?').get(String(userId)));
+  }
+
+  function updateSubscriberRules(userId, rules) {
+    db.prepare('UPDATE subscribers SET rules = ?, updated_at = ? WHERE user_id = ?')
+      .run(JSON.stringify(rules || {}), Date.now(), String(userId));
+  }
+
+  function deactivateSubscriber(userId, reason) {
+    db.prepare('UPDATE subscribers SET active = 0, deactivated_reason = ?, updated_at = ? WHERE user_id = ?')
+      .run(reason, Date.now(), String(userId));
+  }
+
+  function listActiveSubscribers() {
+    return db.prepare('SELECT * FROM subscribers WHERE active = 1 ORDER BY created_at').all().map(rowToSubscriber);
+  }
+
+  function countSubscribers({ active } = {}) {
+    if (active === undefined) {
+      return db.prepare('SELECT COUNT(*) AS count FROM subscribers').get().count;
+    }
+    return db.prepare('SELECT COUNT(*) AS count FROM subscribers WHERE active = ?').get(active ? 1 : 0).count;
+  }
+
+  function hasSubscriberAlert(userId, tokenId) {
+    return !!db.prepare('SELECT 1 FROM subscriber_alerts WHERE user_id = ? AND token_id = ?').get(String(userId), tokenId);
+  }
+
+  function recordSubscriberAlert(userId, tokenId) {
+    db.prepare('INSERT OR IGNORE INTO subscriber_alerts (user_id, token_id, sent_at) VALUES (?, ?, ?)')
+      .run(String(userId), tokenId, Date.now());
+  }
+
+  // Очередь исходящих сообщений. Одно сообщение на пару токен + канал.
+  // replace - повторная постановка уже обработанного сообщения (ручной репост)
+  function enqueueOutbox({ tokenId, destination, chatId, payload, at = Date.now(), replace = false }) {
+    const conflict = replace
+      ? `ON CONFLICT (token_id, destination) DO UPDATE SET
+          chat_id = excluded.chat_id,
+          payload = excluded.payload,
+          status = 'queued',
+          attempts = 0,
+          last_error = NULL,
+          next_attempt_at = excluded.next_attempt_at,
+          updated_at = excluded.updated_at
+        WHERE outbox.status != 'queued'`
+      : 'ON CONFLICT DO NOTHING';
+    return db.prepare(`
+      INSERT INTO outbox (token_id, destination, chat_id, payload, next_attempt_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ${conflict}
+    `).run(tokenId, destination, String(chatId), JSON.stringify(payload), at, at, at).changes > 0;
+  }
+
+  function listDueOutbox(now = Date.now(), limit = 20) {
+    return db.prepare(`SELECT * FROM outbox WHERE status = 'queued' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?`)
+      .all(now, limit).map(rowToOutbox);
+  }
+
+  function updateOutbox(id, { status, attempts, nextAttemptAt, lastError = null, payload }) {
+    db.prepare(`
+      UPDATE outbox SET
+        status = COALESCE(@status, status),
+        attempts = COALESCE(@attempts, attempts),
+        next_attempt_at = COALESCE(@nextAttemptAt, next_attempt_at),
+        last_error = @lastError,
+        payload = COALESCE(@payload, payload),
+        updated_at = @now
+      WHERE id = @id
+    `).run({
+      id,
+      status: status ?? null,
+      attempts: attempts ?? null,
+      nextAttemptAt: nextAttemptAt ?? null,
+      lastError,
+      payload: payload ? JSON.stringify(payload) : null,
+      now: Date.now()
+    });
+  }
+
+  // Отменяет еще не отправленные сообщения токена. Возвращает число отмененных
+  function cancelOutbox(tokenId) {
+    return db.prepare(`UPDATE outbox SET status = 'cancelled', updated_at = ? WHERE token_id = ? AND status = 'queued'`)
+      .run(Date.now(), tokenId).changes;
+  }
+
+  function countOutbox(status = 'queued') {
+    return db.prepare('SELECT COUNT(*) AS count FROM outbox WHERE status = ?').get(status).count;
+  }
+
+  // Все записи токена по адресу (в любой сети и любом источнике)
+  function findTokensByAddress(address) {
+    return db.prepare('SELECT * FROM tokens WHERE address = ? COLLATE NOCASE ORDER BY first_seen DESC')
+      .all(address).map(rowToToken);
+  }
+
+  // Признаки опубликованных токенов для поиска копий (lib/copycats.js):
+  // kind 'symbol', 'name', 'twitter', 'telegram'. Значения сравниваются без учета регистра
+  function addFingerprints(tokenId, fingerprints, at = Date.now()) {
+    const insert = db.prepare('INSERT OR IGNORE INTO token_fingerprints (token_id, kind, value, created_at) VALUES (?, ?, ?, ?)');
+    return db.transaction(() => fingerprints.reduce((added, { kind, value }) => added + insert.run(tokenId, kind, value, at).changes, 0))();
+  }
+
+  // Совпадения по точным значениям, добавленные не раньше since
+  function findFingerprints(fingerprints, since = 0) {
+    const query = db.prepare('SELECT * FROM token_fingerprints WHERE kind = ? AND value = ? AND created_at >= ?');
+    return fingerprints.flatMap(({ kind, value }) => query.all(kind, value, since).map(rowToFingerprint));
+  }
+
+  function listFingerprints(kind, since = 0) {
+    return db.prepare('SELECT * FROM token_fingerprints WHERE kind = ? AND created_at >= ? ORDER BY created_at DESC')
+      .all(kind, since).map(rowToFingerprint);
+  }
+
+  function countFingerprints() {
+    return db.prepare('SELECT COUNT(DISTINCT token_id) AS count FROM token_fingerprints').get().count;
+  }
+
+  // Язык чата (/lang). Для личного чата ID чата совпадает с ID пользователя
+  function getChatLocale(chatId) {
+    return db.prepare('SELECT locale FROM chat_settings WHERE chat_id = ?').get(String(chatId))?.locale || null;
+  }
+
+  function setChatLocale(chatId, locale, updatedBy = null) {
+    db.prepare(`
+      INSERT INTO chat_settings (chat_id, locale, updated_by, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (chat_id) DO UPDATE SET locale = excluded.locale, updated_by = excluded.updated_by, updated_at = excluded.updated_at
+    `).run(String(chatId), locale, updatedBy === null ? null : String(updatedBy), Date.now());
+  }
+
+  // Ручная модерация: kind 'address' (бан токена) или 'chain' (игнорируемая сеть).
+  // Адреса сравниваются без учета регистра, в любой сети
+  function addModeration(kind, value, { reason = null, createdBy = null } = {}) {
+    return db.prepare(`
+      INSERT OR IGNORE INTO moderation (kind, value, reason, created_by, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(kind, value, reason, createdBy === null ? null : String(createdBy), Date.now()).changes > 0;
+  }
+
+  function removeModeration(kind, value) {
+    return db.prepare('DELETE FROM moderation WHERE kind = ? AND value = ?').run(kind, value).changes > 0;
+  }
+
+  function getModeration(kind, value) {
+    const row = db.prepare('SELECT * FROM moderation WHERE kind = ? AND value = ?').get(kind, value);
+    return row ? rowToModeration(row) : null;
+  }
+
+  function listModeration(kind) {
+    return db.prepare('SELECT * FROM moderation WHERE kind = ? ORDER BY created_at DESC').all(kind).map(rowToModeration);
+  }
+
+  // Аренда (лидерство): захватывается, если свободна, истекла или уже принадлежит owner.
+  // Одна атомарная операция, поэтому безопасна для нескольких процессов с общим файлом БД
+  function acquireLease(name, owner, ttl, now = Date.now()) {
+    const result = db.prepare(`
+      INSERT INTO leases (name, owner, expires_at, acquired_at) VALUES (@name, @owner, @expiresAt, @now)
+      ON CONFLICT (name) DO UPDATE SET
+        owner = excluded.owner,
+        expires_at = excluded.expires_at,
+        acquired_at = CASE WHEN leases.owner = excluded.owner THEN leases.acquired_at ELSE excluded.acquired_at END
+      WHERE leases.owner = excluded.owner OR leases.expires_at <= @now
+    `).run({ name, owner, expiresAt: now + ttl, now });
+    return result.changes > 0;
+  }
+
+  function releaseLease(name, owner) {
+    return db.prepare('DELETE FROM leases WHERE name = ? AND owner = ?').run(name, owner).changes > 0;
+  }
+
+  function getLease(name) {
+    const row = db.prepare('SELECT owner, expires_at, acquired_at FROM leases WHERE name = ?').get(name);
+    return row ? { owner: row.owner, expiresAt: row.expires_at, acquiredAt: row.acquired_at } : null;
+  }
+
+  // Удаляет токены вместе со статусами доставки и отслеживанием. Возвращает число удаленных токенов
+  function clear() {
+    return db.transaction(() => {
+      db.prepare('DELETE FROM outbox').run();
+      db.prepare('DELETE FROM token_fingerprints').run();
+      db.prepare('DELETE FROM subscriber_alerts').run();
+      db.prepare('DELETE FROM milestones').run();
+      db.prepare('DELETE FROM checkpoints').run();
+      db.prepare('DELETE FROM deliveries').run();
+      return db.prepare('DELETE FROM tokens').run().changes;
+    })();
+  }
+
+  // Перенос старого database.json (массив "<chain>-<address>").
+  // Выполняется один раз, отметка хранится в meta. Возвращает число перенесенных токенов
+  function importLegacyDatabase(databaseFile) {
+    if (!databaseFile || getMeta('legacy_json_imported') || !fs.existsSync(databaseFile)) return 0;
+
+    const parsed = JSON.parse(fs.readFileSync(databaseFile, 'utf8'));
+    const ids = Array.isArray(parsed) ? parsed : [];
+    const stat = fs.statSync(databaseFile);
+    let imported = 0;
+
+    db.transaction(() => {
+      for (const legacyId of ids) {
+        const parts = parseTokenId(legacyId);
+        if (!parts) continue;
+        const id = normalizeTokenId(parts.chain, parts.address);
+        if (hasToken(id)) continue;
+        saveToken({ id, chain: parts.chain.toLowerCase(), address: parts.address, status: 'legacy', firstSeen: stat.mtimeMs });
+        imported++;
+      }
+      setMeta('legacy_json_imported', new Date().toISOString());
+    })();
+
+    return imported;
+  }
+
+  function close() {
+    if (db.open) db.close();
+  }
+
+  return {
+    backend,
+    file: backend === 'memory' ? null : file,
+    db,
+    hasToken,
+    getToken,
+    saveToken,
+    listTokens,
+    countTokens,
+    recordDelivery,
+    getDelivery,
+    isDelivered,
+    listDeliveries,
+    deliveryStats,
+    scheduleCheckpoints,
+    listDueCheckpoints,
+    saveCheckpoint,
+    listCheckpoints,
+    hasMilestone,
+    recordMilestone,
+    listMilestones,
+    upsertSubscriber,
+    getSubscriber,
+    updateSubscriberRules,
+    deactivateSubscriber,
+    listActiveSubscribers,
+    countSubscribers,
+    hasSubscriberAlert,
+    recordSubscriberAlert,
+    getMeta,
+    setMeta,
+    enqueueOutbox,
+    listDueOutbox,
+    updateOutbox,
+    cancelOutbox,
+    countOutbox,
+    findTokensByAddress,
+    addFingerprints,
+    findFingerprints,
+    listFingerprints,
+    countFingerprints,
+    getChatLocale,
+    setChatLocale,
+    addModeration,
+    removeModeration,
+    getModeration,
+    listModeration,
+    acquireLease,
+    releaseLease,
+    getLease,
+    clear,
+    importLegacyDatabase,
+    close
+  };
+}
+
+module.exports = {
+  TOKEN_STATUSES,
+  normalizeTokenId,
+  parseTokenId,
+  createSnapshot,
+  createStorage
+};
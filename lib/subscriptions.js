@@ -0,0 +1,121 @@
+const filters = require('./filters');
+const { formatNumber } = require('./format');
+const { getChainName } = require('./messages');
+const { escapeHtml } = require('./format');
+
+// -------------------------------
+// Личные подписки: настройки через inline-меню.
+// callback_data: sub:menu | sub:chains | sub:chain:<chain> | sub:opt:<rule> | sub:set:<rule>:<value> | sub:done
+
+const CHAIN_OPTIONS = ['solana', 'ethereum', 'bsc', 'base', 'arbitrum', 'polygon', 'avalanche'];
+
+// Правила, которые подписчик может настроить, и варианты значений (null - выключено).
+// Названия - subscribe.rules.<rule> в locales/
+const RULE_OPTIONS = {
+  minMarketCap: { values: [null, 10e3, 50e3, 100e3, 500e3, 1e6], format: formatNumber },
+  maxMarketCap: { values: [null, 100e3, 500e3, 1e6, 10e6], format: formatNumber },
+  minLiquidity: { values: [null, 5e3, 10e3, 50e3, 100e3], format: formatNumber },
+  maxRiskScore: { values: [null, 30, 50, 70], format: (v) => `${v}/100` }
+};
+
+// Тексты меню (HTML) на языке t - переводчика из lib/i18n.js
+function formatValue(rule, value, t) {
+  return value === null || value === undefined ? t('subscribe.off') : RULE_OPTIONS[rule].format(value, t.locale);
+}
+
+function formatSettings(subscriber, t) {
+  const rules = subscriber.rules || {};
+  const chains = rules.allowChains?.length ? rules.allowChains.map(getChainName).join(', ') : t('subscribe.allChains');
+  let text = `${t('subscribe.settings')}\n\n`;
+  text += `${t('subscribe.status', { status: t(subscriber.active ? 'subscribe.active' : 'subscribe.paused') })}\n`;
+  text += `${t('subscribe.chains', { chains: escapeHtml(chains) })}\n`;
+  for (const rule of Object.keys(RULE_OPTIONS)) {
+    text += `${t(`subscribe.rules.${rule}`)}: <b>${escapeHtml(formatValue(rule, rules[rule], t))}</b>\n`;
+  }
+  return text;
+}
+
+function buildMainMenu(subscriber, t) {
+  const rows = [[{ text: t('subscribe.menu.chains'), callback_data: 'sub:chains' }]];
+  for (const rule of Object.keys(RULE_OPTIONS)) {
+    rows.push([{ text: t(`subscribe.rules.${rule}`), callback_data: `sub:opt:${rule}` }]);
+  }
+  rows.push([{ text: t('subscribe.menu.done'), callback_data: 'sub:done' }]);
+
+  return { text: formatSettings(subscriber, t), reply_markup: { inline_keyboard: rows } };
+}
+
+function buildChainsMenu(subscriber, t) {
+  const selected = subscriber.rules?.allowChains || [];
+  const buttons = CHAIN_OPTIONS.map(chain => ({
+    text: `${selected.includes(chain) ? '✅' : '▫️'} ${getChainName(chain)}`,
+    callback_data: `sub:chain:${chain}`
+  }));
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 3) {
+    rows.push(buttons.slice(i, i + 3));
+  }
+  rows.push([{ text: t('subscribe.menu.back'), callback_data: 'sub:menu' }]);
+
+  return { text: t('subscribe.menu.chainsText'), reply_markup: { inline_keyboard: rows } };
+}
+
+function buildOptionMenu(subscriber, rule, t) {
+  const option = RULE_OPTIONS[rule];
+  const current = subscriber.rules?.[rule] ?? null;
+  const buttons = option.values.map(value => ({
+    text: `${value === current ? '✅ ' : ''}${formatValue(rule, value, t)}`,
+    callback_data: `sub:set:${rule}:${value === null ? 'off' : value}`
+  }));
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 3) {
+    rows.push(buttons.slice(i, i + 3));
+  }
+  rows.push([{ text: t('subscribe.menu.back'), callback_data: 'sub:menu' }]);
+
+  return {
+    text: `${t(`subscribe.rules.${rule}`)}\n\n${t('subscribe.menu.current', { value: escapeHtml(formatValue(rule, current, t)) })}`,
+    reply_markup: { inline_keyboard: rows }
+  };
+}
+
+// Применяет действие меню к правилам. Возвращает новые правила или null, если действие не меняет их
+function applyMenuAction(rules, [action, key, value]) {
+  if (action === 'chain' && CHAIN_OPTIONS.includes(key)) {
+    const chains = new Set(rules.allowChains || []);
+    if (chains.has(key)) chains.delete(key);
+    else chains.add(key);
+    return { ...rules, allowChains: [...chains] };
+  }
+
+  if (action === 'set' && RULE_OPTIONS[key]) {
+    return { ...rules, [key]: filters.parseRuleValue(key, value) };
+  }
+
+  return null;
+}
+
+function matchesSubscriber(subscriber, ctoData, details) {
+  const rules = filters.normalizeRules(subscriber.rules, `subscriber ${subscriber.userId}`);
+  return filters.evaluateFilters(rules, ctoData, details).passed;
+}
+
+// Пользователь заблокировал бота или удалил аккаунт
+function isBlockedError(err) {
+  const code = err?.response?.statusCode || err?.response?.body?.error_code;
+  return code === 403;
+}
+
+module.exports = {
+  CHAIN_OPTIONS,
+  RULE_OPTIONS,
+  formatSettings,
+  buildMainMenu,
+  buildChainsMenu,
+  buildOptionMenu,
+  applyMenuAction,
+  matchesSubscriber,
+  isBlockedError
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./format');
+
+// -------------------------------
+// Шаблоны сообщений.
+//   {{field}}                 значение, экранированное под parse mode шаблона
+//   {{risk.score}}            вложенные поля через точку
+//   {{#field}}...{{/field}}   секция выводится, если значение не пустое;
+//                             для массива - по разу на элемент, для объекта - с его полями
+//   {{^field}}...{{/field}}   секция выводится, если значение пустое
+// Разметку (<b>, *...*) пишет автор шаблона, экранируются только подставляемые значения.
+// Файлы шаблонов: <name>.html (HTML) или <name>.md (MarkdownV2)
+
+const PARSE_MODES = {
+  '.html': 'HTML',
+  '.md': 'MarkdownV2'
+};
+
+function escapeMarkdownV2(value) {
+  return String(value).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+const ESCAPERS = {
+  HTML: escapeHtml,
+  MarkdownV2: escapeMarkdownV2,
+  none: (value) => String(value)
+};
+
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+
+// Разбор в дерево: строки, { name } для подстановок и { section, inverted, children }
+function compile(source, name = 'template') {
+  const root = [];
+  const stack = [{ children: root, section: null }];
+  let last = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source))) {
+    const [tag, kind, key] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > last) current.children.push(source.slice(last, match.index));
+    last = match.index + tag.length;
+
+    if (kind === '#' || kind === '^') {
+      const node = { section: key, inverted: kind === '^', children: [] };
+      current.children.push(node);
+      stack.push(node);
+    } else if (kind === '/') {
+      if (current.section !== key) {
+        throw new Error(`Template "${name}": unexpected {{/${key}}}${current.section ? `, expected {{/${current.section}}}` : ''}`);
+      }
+      stack.pop();
+    } else {
+      current.children.push({ name: key });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template "${name}": section {{#${stack[stack.length - 1].section}}} is not closed`);
+  }
+  if (last < source.length) root.push(source.slice(last));
+  return root;
+}
+
+function lookup(contexts, key) {
+  const [head, ...rest] = key.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context && typeof context === 'object' && head in context) {
+      return rest.reduce((value, part) => (value === null || value === undefined ? value : value[part]), context[head]);
+    }
+  }
+  return undefined;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === false || value === '' || (Array.isArray(value) && !value.length);
+}
+
+function renderNodes(nodes, contexts, escape) {
+  let out = '';
+  for (const node of nodes) {
+    if (typeof node === 'string') {
+      out += node;
+    } else if (node.name) {
+      const value = lookup(contexts, node.name);
+      if (!isEmpty(value)) out += escape(value);
+    } else {
+      const value = lookup(contexts, node.section);
+      if (node.inverted) {
+        if (isEmpty(value)) out += renderNodes(node.children, contexts, escape);
+      } else if (Array.isArray(value)) {
+        value.forEach(item => { out += renderNodes(node.children, [...contexts, item], escape); });
+      } else if (!isEmpty(value)) {
+        out += renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts, escape);
+      }
+    }
+  }
+  return out;
+}
+
+// Пробелы в конце строк и лишние пустые строки от пропущенных секций убираются
+function render(template, context) {
+  const escape = ESCAPERS[template.parseMode] || ESCAPERS.none;
+  return renderNodes(template.tree, [context], escape)
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function createTemplate(name, source, parseMode = 'HTML') {
+  if (!ESCAPERS[parseMode]) {
+    throw new Error(`Template "${name}": unknown parse mode ${parseMode}`);
+  }
+  return { name, parseMode, source, tree: compile(source, name) };
+}
+
+// Строка без разметки, как ее посчитает Telegram (для лимита подписи к фото)
+function visibleLength(text, parseMode) {
+  let plain = text;
+  if (parseMode === 'HTML') {
+    plain = text
+      .replace(/<[^>]+>/g, '')
+      .replace(/&(lt|gt|quot|amp);/g, 'x');
+  } else if (parseMode === 'MarkdownV2') {
+    plain = text
+      .replace(/\]\((?:\\.|[^)\\])*\)/g, '')
+      .replace(/\\(.)/g, '\u0000')
+      .replace(/[*_~`|[\]]/g, '')
+      .replace(/\u0000/g, 'x');
+  }
+  return [...plain].length;
+}
+
+// Встроенные шаблоны и файлы из каталога (файл с тем же именем заменяет встроенный).
+// Файл full.html заменяет и встроенные языковые варианты full.<locale>,
+// если для них нет своих файлов - иначе каналы на другом языке не увидели бы замену
+function loadTemplates({ builtin = {}, dir } = {}) {
+  const templates = {};
+  for (const [name, { source, parseMode }] of Object.entries(builtin)) {
+    templates[name] = createTemplate(name, source, parseMode);
+  }
+
+  if (dir && fs.existsSync(dir)) {
+    const loaded = [];
+    for (const file of fs.readdirSync(dir)) {
+      const parseMode = PARSE_MODES[path.extname(file)];
+      if (!parseMode) continue;
+      const name = path.basename(file, path.extname(file));
+      templates[name] = createTemplate(name, fs.readFileSync(path.join(dir, file), 'utf8'), parseMode);
+      loaded.push(name);
+      console.log(`✅ Loaded template "${name}" (${parseMode}) from ${file}`);
+    }
+
+    for (const name of Object.keys(builtin)) {
+      const base = name.split('.')[0];
+      if (base !== name && loaded.includes(base) && !loaded.includes(name)) delete templates[name];
+    }
+  }
+
+  return templates;
+}
+
+// Шаблон для языка канала: <name>.<locale>, если он есть, иначе сам шаблон
+function localizedTemplate(templates, name, locale) {
+  return templates[`${name}.${locale}`] || templates[name];
+}
+
+module.exports = {
+  escapeHtml,
+  escapeMarkdownV2,
+  compile,
+  render,
+  createTemplate,
+  visibleLength,
+  loadTemplates,
+  localizedTemplate
+};
@@ -0,0 +1,163 @@
+const { formatNumber, parseDuration, escapeHtml } = require('./format');
+const { translate } = require('./i18n');
+
+// -------------------------------
+// Отслеживание токенов после алерта: чекпоинты 15m/1h/6h/24h,
+// уведомления о росте в N раз или о падении ниже порога
+
+// Если API недоступен, чекпоинт повторяется в течение этого окна, затем помечается ошибкой
+const RETRY_WINDOW = 60 * 60 * 1000;
+
+function parseCheckpoints(value) {
+  return String(value || '')
+    .split(',')
+    .map(label => label.trim())
+    .filter(Boolean)
+    .map(label => ({ label, delay: parseDuration(label) }))
+    .filter(checkpoint => {
+      if (isNaN(checkpoint.delay)) {
+        console.log(`⚠️ Invalid tracking checkpoint "${checkpoint.label}", ignoring`);
+        return false;
+      }
+      return true;
+    });
+}
+
+function parseMultiples(value) {
+  return String(value || '')
+    .split(',')
+    .map(m => parseFloat(m))
+    .filter(m => !isNaN(m) && m > 1)
+    .sort((a, b) => a - b);
+}
+
+// Отношение текущей капитализации к капитализации на момент алерта.
+// Если капитализации нет, сравниваем цену
+function getRatio(baseline, current) {
+  if (baseline?.marketCap && current.marketCap) {
+    return current.marketCap / baseline.marketCap;
+  }
+  if (baseline?.priceUsd && current.priceUsd) {
+    return current.priceUsd / baseline.priceUsd;
+  }
+  return null;
+}
+
+function formatRatio(ratio) {
+  return ratio >= 10 ? `${ratio.toFixed(0)}x` : `${ratio.toFixed(1)}x`;
+}
+
+function createTracker({
+  storage,
+  fetchTokenDetails,
+  notify,
+  checkpoints = parseCheckpoints('15m,1h,6h,24h'),
+  multiples = [2, 5, 10],
+  dropPercent = 50
+}) {
+  let running = false;
+
+  function schedule(tokenId, alertedAt = Date.now()) {
+    if (!checkpoints.length) return;
+    storage.scheduleCheckpoints(tokenId, checkpoints.map(c => ({ label: c.label, dueAt: alertedAt + c.delay })));
+  }
+
+  // Проверяет достигнутые множители и падение. Возвращает функцию locale -> HTML текст уведомления
+  // (уведомление уходит в каналы на их языках) или null
+  function checkMilestones(token, ratio, current, label) {
+    const symbol = escapeHtml(token.snapshot?.symbol || token.address.slice(0, 8));
+    const change = (locale) => translate(locale, 'tracker.change', {
+      from: formatNumber(token.snapshot?.marketCap, locale),
+      to: formatNumber(current.marketCap, locale)
+    });
+
+    const reached = multiples.filter(m => ratio >= m && !storage.hasMilestone(token.id, `x${m}`));
+    if (reached.length) {
+      reached.forEach(m => storage.recordMilestone(token.id, `x${m}`, { ratio, marketCap: current.marketCap }));
+      const top = reached[reached.length - 1];
+      return (locale) => translate(locale, 'tracker.multiple', {
+        symbol, ratio: formatRatio(ratio), change: change(locale), target: top, label
+      });
+    }
+
+    if (dropPercent > 0 && ratio <= 1 - dropPercent / 100 && !storage.hasMilestone(token.id, `drop${dropPercent}`)) {
+      storage.recordMilestone(token.id, `drop${dropPercent}`, { ratio, marketCap: current.marketCap });
+      return (locale) => translate(locale, 'tracker.drop', {
+        symbol, percent: ((1 - ratio) * 100).toFixed(0), change: change(locale), label
+      });
+    }
+
+    return null;
+  }
+
+  async function checkToken(token, due) {
+    let details = null;
+    try {
+      details = await fetchTokenDetails(token.chain, token.address);
+    } catch (err) {
+      console.error(`❌ Tracker fetch failed for ${token.id}:`, err.message);
+      if (Date.now() - due[0].dueAt < RETRY_WINDOW) return;
+    }
+
+    if (!details) {
+      due.forEach(c => storage.saveCheckpoint(token.id, c.label, { error: 'details unavailable' }));
+      return;
+    }
+
+    const current = {
+      marketCap: details.marketCap ?? details.fdv ?? null,
+      priceUsd: details.priceUsd ? parseFloat(details.priceUsd) : null
+    };
+    due.forEach(c => storage.saveCheckpoint(token.id, c.label, current));
+
+    const ratio = getRatio(token.snapshot, current);
+    const label = due[due.length - 1].label;
+    console.log(`📈 Tracker ${label}: ${token.id} ${ratio ? formatRatio(ratio) : 'N/A'}`);
+    if (!ratio) return;
+
+    const message = checkMilestones(token, ratio, current, label);
+    if (message) {
+      await notify(token, message);
+    }
+  }
+
+  // Обрабатывает все наступившие чекпоинты. Несколько просроченных
+  // чекпоинтов одного токена (например, после рестарта) проверяются одним запросом
+  async function runDue() {
+    if (running) return;
+    running = true;
+    try {
+      const byToken = new Map();
+      for (const checkpoint of storage.listDueCheckpoints()) {
+        if (!byToken.has(checkpoint.tokenId)) byToken.set(checkpoint.tokenId, []);
+        byToken.get(checkpoint.tokenId).push(checkpoint);
+      }
+
+      for (const [tokenId, due] of byToken) {
+        const token = storage.getToken(tokenId);
+        if (!token) {
+          due.forEach(c => storage.saveCheckpoint(tokenId, c.label, { error: 'token removed' }));
+          continue;
+        }
+        await checkToken(token, due);
+      }
+    } catch (err) {
+      console.error('❌ Tracker run failed:', err.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    schedule,
+    runDue
+  };
+}
+
+module.exports = {
+  parseCheckpoints,
+  parseMultiples,
+  getRatio,
+  formatRatio,
+  createTracker
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { sendText, readJson } = require('./server');
+
+// -------------------------------
+// Webhook режим: Telegram присылает обновления POST-запросами на наш HTTP сервер.
+// Каждый запрос подписан заголовком X-Telegram-Bot-Api-Secret-Token
+
+const MODES = ['polling', 'webhook', 'auto'];
+
+// Telegram разрешает в secret_token только A-Z, a-z, 0-9, _ и -
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+// auto: webhook, если задан публичный URL, иначе polling
+function resolveUpdateMode({ mode = 'auto', webhookUrl }) {
+  const value = String(mode).toLowerCase();
+  if (!MODES.includes(value)) {
+    throw new Error(`Unknown BOT_MODE "${mode}", expected ${MODES.join(', ')}`);
+  }
+  if (value === 'webhook' && !webhookUrl) {
+    throw new Error('BOT_MODE=webhook requires WEBHOOK_URL');
+  }
+  if (value === 'auto') {
+    return webhookUrl ? 'webhook' : 'polling';
+  }
+  return value;
+}
+
+function buildWebhookUrl(baseUrl, pathname) {
+  const url = new URL(baseUrl);
+  if (url.protocol !== 'https:') {
+    throw new Error('WEBHOOK_URL must use https');
+  }
+  url.pathname = url.pathname.replace(/\/+$/, '') + pathname;
+  return url.toString();
+}
+
+function validateSecret(secret) {
+  if (!SECRET_PATTERN.test(secret)) {
+    throw new Error('WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ or -');
+  }
+  return secret;
+}
+
+// Секрет по умолчанию выводится из токена бота: он одинаков на всех экземплярах
+// и не меняется при перезапуске, поэтому обновления принимает любой экземпляр,
+// а не только лидер, зарегистрировавший webhook
+function deriveSecret(botToken) {
+  return crypto.createHash('sha256').update(`webhook-secret:${botToken}`).digest('hex');
+}
+
+// Сравнение за постоянное время: сравниваются хеши, чтобы длина не влияла на время
+function secretsMatch(expected, received) {
+  if (typeof received !== 'string') return false;
+  const a = crypto.createHash('sha256').update(expected).digest();
+  const b = crypto.createHash('sha256').update(received).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Обработчик маршрута обновлений. Ответ отправляется сразу, иначе Telegram
+// повторит запрос, пока бот обрабатывает команду
+function createWebhookHandler({ secret, onUpdate }) {
+  return async (req, res) => {
+    if (!secretsMatch(secret, req.headers['x-telegram-bot-api-secret-token'])) {
+      console.log(`⚠️ Rejected webhook request with invalid secret token from ${req.socket.remoteAddress}`);
+      return sendText(res, 401, 'Unauthorized');
+    }
+
+    let update;
+    try {
+      update = await readJson(req);
+    } catch (err) {
+      return sendText(res, err.statusCode || 400, err.message);
+    }
+
+    sendText(res, 200, 'OK');
+    try {
+      onUpdate(update);
+    } catch (err) {
+      console.error('❌ Failed to process webhook update:', err.message);
+    }
+  };
+}
+
+module.exports = {
+  resolveUpdateMode,
+  buildWebhookUrl,
+  validateSecret,
+  deriveSecret,
+  secretsMatch,
+  createWebhookHandler
+};
@@ -0,0 +1,224 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { CHANNEL_ID, ADMIN_ID, createTestApp, silenceConsole } = require('./helpers/app');
+
+const ADMIN = { id: ADMIN_ID, username: 'admin' };
+const STRANGER = { id: 7, username: 'stranger' };
+const MCAT_ADDRESS = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+// Есть только в фиде бустов, поэтому в канал еще не публиковался
+const BHAT_ADDRESS = '0x4ed4E862860beD51a9570b96d89aF5E1B0Efefed';
+
+// Последний ответ бота в чат
+function lastReply(app, chatId) {
+  return app.bot.messagesTo(chatId).at(-1);
+}
+
+describe('telegram commands', () => {
+  let app;
+
+  beforeEach(async (t) => {
+    silenceConsole(t);
+    app = createTestApp();
+    await app.start();
+    app.bot.reset();
+  });
+
+  afterEach(async () => {
+    await app.stop();
+  });
+
+  it('lists only the commands the user may run in /start', async () => {
+    await app.bot.receive('/start', { from: STRANGER });
+    const text = lastReply(app, STRANGER.id);
+    assert.match(text, /\/subscribe/);
+    assert.doesNotMatch(text, /\/ban/);
+
+    await app.bot.receive('/start', { from: ADMIN });
+    assert.match(lastReply(app, ADMIN.id), /\/ban/);
+  });
+
+  it('refuses privileged commands to other users', async () => {
+    await app.bot.receive('/clear', { from: STRANGER });
+    assert.match(lastReply(app, STRANGER.id), /available to bot admins only/);
+    assert.equal(app.storage.countTokens(), 4);
+  });
+
+  it('accepts commands addressed to the bot username', async () => {
+    await app.bot.receive('/status@Test_CTO_bot', { from: ADMIN });
+    assert.match(lastReply(app, ADMIN.id), /Processed Tokens: 4/);
+  });
+
+  it('ignores commands addressed to another bot', async () => {
+    await app.bot.receive('/clear@other_bot', { from: ADMIN });
+    await app.bot.receive('/status@test_cto_bot_2', { from: ADMIN });
+    assert.deepEqual(app.bot.messagesTo(ADMIN.id), []);
+  });
+
+  it('pages /list with inline buttons', async () => {
+    await app.bot.receive('/list solana', { from: ADMIN });
+    const text = lastReply(app, ADMIN.id);
+    assert.match(text, /Recent Tokens<\/b> \(SOLANA\)/);
+    assert.match(text, /2 total/);
+
+    await app.bot.receive('/list nochain!', { from: ADMIN });
+    assert.match(lastReply(app, ADMIN.id), /Invalid chain/);
+  });
+
+  it('runs /check on the leader and reports completion', async () => {
+    await app.bot.receive('/check', { from: ADMIN });
+    assert.match(lastReply(app, ADMIN.id), /Check complete/);
+    assert.equal(app.bot.messagesTo(CHANNEL_ID).length, 0);
+  });
+
+  it('escapes the age of a token first seen today in /token', async () => {
+    await app.bot.receive(`/token ${MCAT_ADDRESS}`, { from: ADMIN });
+    const text = lastReply(app, ADMIN.id);
+    assert.match(text, /Known CTO/);
+    assert.match(text, /first seen &lt; 1 day ago/);
+    // Кроме тегов разметки в HTML не должно остаться "<", иначе Telegram отклонит сообщение
+    assert.doesNotMatch(text.replace(/<\/?(b|i|u|s|a|code|pre)(\s[^>]*)?>/g, ''), /</);
+  });
+
+  it('escapes destination names and rule values in /routes', async () => {
+    await app.stop();
+    app = createTestApp({
+      files: { 'routes.json': { destinations: [{ id: 'main', name: 'Alpha_<calls>', chatId: CHANNEL_ID, rules: { allowChains: 'sol_ana' } }] } }
+    });
+    await app.start();
+
+    await app.bot.receive('/routes', { from: ADMIN });
+    const [, text, options] = app.bot.sent('sendMessage').at(-1).args;
+    assert.equal(options.parse_mode, 'HTML');
+    assert.match(text, /<b>Alpha_&lt;calls&gt;<\/b>/);
+    assert.match(text, /<code>allowChains<\/code>\): <b>sol_ana<\/b>/);
+    assert.doesNotMatch(text, /minMarketCap/);
+  });
+
+  it('builds /digest as HTML with one price request per chain', async () => {
+    const address = 'Pepe2222222222222222222222222222222222222';
+    app.storage.saveToken({
+      id: `solana-${address}`,
+      chain: 'solana',
+      address,
+      status: 'alerted',
+      snapshot: { symbol: 'PEPE_<2>', marketCap: 50000 }
+    });
+    app.http.requests.length = 0;
+
+    await app.bot.receive('/digest daily', { from: ADMIN });
+    const [, text, options] = app.bot.sent('sendMessage').at(-1).args;
+    assert.equal(options.parse_mode, 'HTML');
+    assert.match(text, /<b>Daily CTO Digest<\/b>/);
+    assert.match(text, /PEPE_&lt;2&gt;/);
+
+    const chains = new Set(app.storage.listTokens({ status: 'alerted', source: 'cto', limit: 100 }).map(token => token.chain));
+    const batches = app.http.requests.filter(pathname => pathname.startsWith('/tokens/v1/'));
+    assert.equal(batches.length, chains.size);
+    assert.ok(batches.some(pathname => pathname.includes(address)));
+  });
+
+  it('refuses to repost a banned address until /unban', async () => {
+    await app.bot.receive(`/ban ${BHAT_ADDRESS} honeypot`, { from: ADMIN });
+    assert.match(lastReply(app, ADMIN.id), /Banned .* \(honeypot\)/);
+
+    await app.bot.receive(`/repost ${BHAT_ADDRESS}`, { from: ADMIN });
+    assert.match(lastReply(app, ADMIN.id), /is banned \(honeypot\)/);
+    assert.equal(app.bot.messagesTo(CHANNEL_ID).length, 0);
+
+    await app.bot.receive(`/unban ${BHAT_ADDRESS}`, { from: ADMIN });
+    await app.bot.receive(`/repost ${BHAT_ADDRESS}`, { from: ADMIN });
+    assert.match(lastReply(app, ADMIN.id), /Reposted .*Queued: 1 \| Delivered: 1/s);
+    assert.match(app.bot.messagesTo(CHANNEL_ID)[0], /BHAT/);
+  });
+
+  it('does not repost to channels that already have the alert', async () => {
+    await app.bot.receive(`/repost ${MCAT_ADDRESS}`, { from: ADMIN });
+    assert.match(lastReply(app, ADMIN.id), /already posted to all destinations/);
+    assert.equal(app.bot.messagesTo(CHANNEL_ID).length, 0);
+  });
+
+  it('skips banned addresses on the next poll', async () => {
+    const [mcat] = require('./fixtures/dexscreener/community-takeovers.json');
+    const fresh = 'Fresh1111111111111111111111111111111111111';
+    await app.bot.receive(`/ban ${fresh}`, { from: ADMIN });
+    app.http.set('/community-takeovers/latest/v1', [{ ...mcat, tokenAddress: fresh }]);
+    await app.pipeline.run();
+
+    assert.match(app.storage.getToken(`solana-${fresh}`).reasons[0], /address is banned/);
+    assert.equal(app.bot.messagesTo(CHANNEL_ID).length, 0);
+  });
+
+  it('changes filter rules at runtime with /filters set', async () => {
+    await app.bot.receive('/filters set minLiquidity 1m', { from: ADMIN });
+    assert.match(lastReply(app, ADMIN.id), /Filter updated/);
+
+    const [mcat] = require('./fixtures/dexscreener/community-takeovers.json');
+    app.http.set('/community-takeovers/latest/v1', [{ ...mcat, tokenAddress: 'Fresh1111111111111111111111111111111111111' }]);
+    await app.pipeline.run();
+
+    assert.equal(app.storage.getToken('solana-Fresh1111111111111111111111111111111111111').status, 'skipped');
+    assert.equal(app.bot.messagesTo(CHANNEL_ID).length, 0);
+  });
+
+  it('retracts a posted alert by deleting the channel message', async () => {
+    await app.bot.receive(`/retract ${MCAT_ADDRESS}`, { from: ADMIN });
+    assert.match(lastReply(app, ADMIN.id), /Deleted: 1 \| Edited: 0 \| Failed: 0/);
+    const [deletion] = app.bot.sent('deleteMessage');
+    assert.equal(deletion.args[0], CHANNEL_ID);
+  });
+
+  it('asks for confirmation before /clear and only the requester can confirm', async () => {
+    await app.bot.receive('/clear', { from: ADMIN });
+    const [prompt] = app.bot.sent('sendMessage');
+    const [confirm] = prompt.args[2].reply_markup.inline_keyboard[0];
+
+    await app.bot.press(confirm.callback_data, { from: { id: 99 } });
+    assert.equal(app.storage.countTokens(), 4);
+
+    await app.bot.press(confirm.callback_data, { from: ADMIN, message: { message_id: 5, chat: { id: ADMIN_ID } } });
+    assert.equal(app.storage.countTokens(), 0);
+    assert.match(app.bot.sent('editMessageText').at(-1).args[0], /Database cleared/);
+  });
+});
+
+describe('app lifecycle', () => {
+  beforeEach((t) => silenceConsole(t));
+
+  it('stops the instance when Telegram reports a polling conflict', async () => {
+    let fatal = null;
+    const app = createTestApp({ onFatal: (err) => { fatal = err; } });
+
+    app.bot.emit('polling_error', new Error('ETELEGRAM: 409 Conflict: terminated by other getUpdates request'));
+    assert.match(fatal.message, /409 Conflict/);
+    await app.stop();
+  });
+
+  it('keeps a standby instance idle until the leader releases the lease', async (t) => {
+    const storage = createStorage({ backend: 'memory' });
+    const env = { LEADER_BACKEND: 'sqlite', LEADER_TTL: '3000' };
+    const leader = createTestApp({ env, storage });
+    const standby = createTestApp({ env, storage });
+    t.after(async () => {
+      await leader.stop();
+      await standby.stop();
+      storage.close();
+    });
+
+    await leader.start();
+    await standby.start();
+    assert.equal(leader.elector.isLeader(), true);
+    assert.equal(standby.elector.isLeader(), false);
+    assert.deepEqual(standby.bot.sent('startPolling'), []);
+    assert.equal(standby.bot.messagesTo(CHANNEL_ID).length, 0);
+
+    await leader.stop();
+    for (let i = 0; i < 30 && !standby.elector.isLeader(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal(standby.elector.isLeader(), true);
+    assert.equal(standby.bot.sent('startPolling').length, 1);
+    // Токены уже обработаны лидером - резервный экземпляр их не повторяет
+    assert.equal(standby.bot.messagesTo(CHANNEL_ID).length, 0);
+  });
+});
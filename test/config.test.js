@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../lib/config');
+
+describe('config', () => {
+  it('uses defaults for unset and invalid numbers', () => {
+    const config = loadConfig({ API_MAX_RETRIES: 'many' });
+    assert.equal(config.API_MAX_RETRIES, 3);
+    assert.equal(config.API_BREAKER_COOLDOWN, 60000);
+    assert.equal(config.TRACK_DROP_PERCENT, 50);
+    assert.equal(config.COPYCAT_WINDOW_DAYS, 30);
+  });
+
+  it('keeps 0 for settings that it turns off', () => {
+    const config = loadConfig({
+      API_MAX_RETRIES: '0',
+      API_BREAKER_COOLDOWN: '0',
+      TELEGRAM_PROBE_TTL: '0',
+      TRACK_DROP_PERCENT: '0',
+      COPYCAT_WINDOW_DAYS: '0'
+    });
+    assert.equal(config.API_MAX_RETRIES, 0);
+    assert.equal(config.API_BREAKER_COOLDOWN, 0);
+    assert.equal(config.TELEGRAM_PROBE_TTL, 0);
+    assert.equal(config.TRACK_DROP_PERCENT, 0);
+    assert.equal(config.COPYCAT_WINDOW_DAYS, 0);
+  });
+
+  it('falls back to the default for intervals and limits below 1', () => {
+    const config = loadConfig({ CHECK_INTERVAL: '0', SEND_CONCURRENCY: '0', LEADER_TTL: '-5' });
+    assert.equal(config.CHECK_INTERVAL, 20000);
+    assert.equal(config.SEND_CONCURRENCY, 2);
+    assert.equal(config.LEADER_TTL, 30000);
+  });
+});
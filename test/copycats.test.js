@@ -0,0 +1,174 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fingerprintToken, nameSimilarity, twitterHandle, telegramHandle } = require('../lib/copycats');
+const { createStorage } = require('../lib/storage');
+const { createReplayHttp, loadFixture } = require('./helpers/replayHttp');
+const { CHANNEL_ID, createTestApp, silenceConsole } = require('./helpers/app');
+
+const MCAT = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const FROG = '0x6982508145454Ce325dDbE47a25d4ec3d2311933';
+const CLONE = 'CLoNEcat1111111111111111111111111111111111';
+const CTO_FEED = '/community-takeovers/latest/v1';
+
+const PAIRS = loadFixture('pairs');
+
+// Пара с данными другого токена из записанного ответа
+function pairFor(source, { chainId = source.chainId, address, name, symbol, socials = [], marketCap = 50000 }) {
+  return {
+    ...structuredClone(source),
+    chainId,
+    pairAddress: `${address.slice(0, 8)}Pair`,
+    baseToken: { address, name, symbol },
+    marketCap,
+    fdv: marketCap,
+    info: { socials }
+  };
+}
+
+function cto(chainId, tokenAddress, links = []) {
+  return { chainId, tokenAddress, url: `https://dexscreener.com/${chainId}/${tokenAddress}`, links, claimDate: '2024-11-06T10:00:00.000Z' };
+}
+
+describe('copycat fingerprints', () => {
+  it('extracts twitter and telegram handles', () => {
+    assert.equal(twitterHandle('https://x.com/MoonCat_CTO/status/123'), 'mooncat_cto');
+    assert.equal(twitterHandle('twitter.com/@mooncat_cto'), 'mooncat_cto');
+    assert.equal(twitterHandle('https://x.com/i/communities/18000001'), 'communities/18000001');
+    assert.equal(twitterHandle('https://x.com/search?q=mcat'), null);
+    assert.equal(telegramHandle('https://t.me/MoonCat_CTO'), 'mooncat_cto');
+    assert.equal(telegramHandle('https://t.me/s/mooncat_cto'), 'mooncat_cto');
+    assert.equal(telegramHandle('https://t.me/joinchat/AbCd'), 'joinchat/abcd');
+  });
+
+  it('builds fingerprints from feed links, pair socials, symbol and name', () => {
+    const fingerprints = fingerprintToken(
+      { links: [{ url: 'https://x.com/mooncat_cto' }, { url: 'https://mooncat.fun' }] },
+      { baseToken: { name: 'Moon Cat!', symbol: '$mcat' }, info: { socials: [{ type: 'telegram', url: 'https://t.me/mooncat_cto' }, { url: 'https://twitter.com/MoonCat_CTO' }] } }
+    );
+    assert.deepEqual(fingerprints, [
+      { kind: 'twitter', value: 'mooncat_cto' },
+      { kind: 'telegram', value: 'mooncat_cto' },
+      { kind: 'symbol', value: 'MCAT' },
+      { kind: 'name', value: 'mooncat' }
+    ]);
+  });
+
+  it('scores similar names', () => {
+    assert.equal(nameSimilarity('mooncat', 'mooncat'), 1);
+    assert.ok(nameSimilarity('mooncat', 'mooncats') >= 0.85);
+    assert.ok(nameSimilarity('mooncat', 'mooncat20') >= 0.85);
+    assert.ok(nameSimilarity('mooncat', 'moonshot') < 0.85);
+    assert.ok(nameSimilarity('mooncat', 'frog') < 0.2);
+  });
+});
+
+describe('copycat detection in alerts', () => {
+  let app;
+
+  beforeEach((t) => silenceConsole(t));
+  afterEach(async () => {
+    await app?.stop();
+    app = null;
+  });
+
+  // Первый опрос публикует фикстуры (MCAT, FROG...), затем в фиде появляется новый токен
+  async function startWithClone({ env = {}, clone, pair }) {
+    const http = createReplayHttp({ pairs: [...PAIRS, pair] });
+    app = createTestApp({ env, http });
+    await app.start();
+    app.bot.reset();
+    http.set(CTO_FEED, [clone]);
+    await app.pipeline.run();
+    return app.storage.getToken(`${clone.chainId}-${clone.tokenAddress}`);
+  }
+
+  it('marks a relaunch with the same socials and ticker', async () => {
+    const stored = await startWithClone({
+      clone: cto('solana', CLONE, [{ type: 'twitter', url: 'https://x.com/MoonCat_CTO' }]),
+      pair: pairFor(PAIRS[0], { address: CLONE, name: 'Moon Cat 2.0', symbol: 'MCAT' })
+    });
+
+    const [card] = app.bot.messagesTo(CHANNEL_ID);
+    assert.match(card, /🪙 Moon Cat 2\.0 \(MCAT\)\n⚠️ Possible copycat of <b>MCAT<\/b> \(alerted &lt; 1 day ago, now \$1\.2M mcap\)\n🏦/);
+    assert.equal(stored.status, 'alerted');
+    assert.deepEqual(stored.reasons, [`possible copycat of solana-${MCAT} (twitter, symbol, name)`]);
+  });
+
+  it('matches a similar name and shows the live market cap of the original', async () => {
+    const http = createReplayHttp({ pairs: [...PAIRS, pairFor(PAIRS[0], { address: CLONE, name: 'Moon Cats', symbol: 'MOONCATS' })] });
+    app = createTestApp({ http });
+    await app.start();
+    http.set(`/tokens/v1/solana/${MCAT}`, [{ ...PAIRS[0], marketCap: 5000000 }]);
+    http.set(CTO_FEED, [cto('solana', CLONE)]);
+    app.bot.reset();
+    await app.pipeline.run();
+
+    const [card] = app.bot.messagesTo(CHANNEL_ID);
+    assert.match(card, /Possible copycat of <b>MCAT<\/b> \(alerted &lt; 1 day ago, now \$5\.0M mcap\)/);
+  });
+
+  it('skips same-chain duplicates when suppression is enabled', async () => {
+    const stored = await startWithClone({
+      env: { COPYCAT_SUPPRESS_SAME_CHAIN: 'true' },
+      clone: cto('solana', CLONE, [{ type: 'telegram', url: 'https://t.me/mooncat_cto' }]),
+      pair: pairFor(PAIRS[0], { address: CLONE, name: 'Moon Cat', symbol: 'MCAT' })
+    });
+
+    assert.equal(stored.status, 'skipped');
+    assert.deepEqual(stored.reasons, [`same-chain duplicate of solana-${MCAT} (telegram, symbol, name)`]);
+    assert.deepEqual(app.bot.messagesTo(CHANNEL_ID), []);
+  });
+
+  it('detects the same address on another chain', async () => {
+    const stored = await startWithClone({
+      env: { COPYCAT_SUPPRESS_SAME_CHAIN: 'true' },
+      clone: cto('base', FROG.toLowerCase()),
+      pair: pairFor(PAIRS[2], { chainId: 'base', address: FROG, name: 'Frog Bridged', symbol: 'bFROG' })
+    });
+
+    // Оригинал в другой сети - не дубль, токен публикуется с пометкой
+    assert.equal(stored.status, 'alerted');
+    assert.deepEqual(stored.reasons, [`possible copycat of ethereum-${FROG.toLowerCase()} (address)`]);
+    const [card] = app.bot.messagesTo(CHANNEL_ID);
+    assert.match(card, /⚠️ Possible copycat of <b>FROG on ETH<\/b> \(alerted &lt; 1 day ago, now \$4\.3M mcap\)/);
+  });
+
+  it('leaves unrelated tokens and disabled detection alone', async () => {
+    const clone = cto('solana', CLONE, [{ type: 'twitter', url: 'https://x.com/mooncat_cto' }]);
+    const pair = pairFor(PAIRS[0], { address: CLONE, name: 'Sun Dog', symbol: 'SDOG' });
+
+    let stored = await startWithClone({ clone: cto('solana', CLONE), pair });
+    assert.deepEqual(stored.reasons, []);
+    assert.doesNotMatch(app.bot.messagesTo(CHANNEL_ID)[0], /copycat/);
+    await app.stop();
+
+    stored = await startWithClone({ env: { COPYCAT_WINDOW_DAYS: '0' }, clone, pair });
+    assert.deepEqual(stored.reasons, []);
+    assert.doesNotMatch(app.bot.messagesTo(CHANNEL_ID)[0], /copycat/);
+  });
+
+  it('indexes tokens alerted before detection existed', async () => {
+    const storage = createStorage({ backend: 'memory' });
+    storage.saveToken({
+      id: 'solana-OLDcat',
+      chain: 'solana',
+      address: 'OLDcat',
+      status: 'alerted',
+      cto: cto('solana', 'OLDcat', [{ type: 'twitter', url: 'https://x.com/mooncat_cto' }]),
+      snapshot: { name: 'Old Cat', symbol: 'OCAT' },
+      firstSeen: Date.now() - 3 * 24 * 60 * 60 * 1000
+    });
+
+    app = createTestApp({ storage, env: { COPYCAT_SUPPRESS_SAME_CHAIN: 'true' } });
+    await app.start();
+
+    // MCAT делит twitter со старым токеном - пропущен как дубль
+    const mcat = app.storage.getToken(`solana-${MCAT}`);
+    assert.equal(mcat.status, 'skipped');
+    assert.deepEqual(mcat.reasons, ['same-chain duplicate of solana-OLDcat (twitter)']);
+    assert.ok(app.storage.getMeta('fingerprints_indexed'));
+    await app.stop();
+    app = null;
+    storage.close();
+  });
+});
@@ -0,0 +1,191 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseBasicAuth } = require('../lib/dashboard');
+const { CHANNEL_ID, createTestApp, silenceConsole } = require('./helpers/app');
+
+const PASSWORD = 'correct horse';
+const AUTHORIZATION = `Basic ${Buffer.from(`admin:${PASSWORD}`).toString('base64')}`;
+const MCAT_ADDRESS = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+// Есть только в фиде бустов, поэтому в канал еще не публиковался
+const BHAT_ADDRESS = '0x4ed4E862860beD51a9570b96d89aF5E1B0Efefed';
+
+describe('admin dashboard', () => {
+  let app;
+  let baseUrl;
+
+  // JSON запрос к панели; body - тело POST, headers - замена заголовков по умолчанию
+  async function request(pathname, { method = 'GET', body, headers } = {}) {
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers: headers || { Authorization: AUTHORIZATION, 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      // HTML страница или текстовый ответ
+    }
+    return { status: response.status, headers: response.headers, data };
+  }
+
+  beforeEach(async (t) => {
+    silenceConsole(t);
+    app = createTestApp({ env: { DASHBOARD_PASSWORD: PASSWORD, FILTER_DENY_CHAINS: 'bsc' } });
+    await app.start();
+    await app.httpServer.listen(0);
+    baseUrl = `http://127.0.0.1:${app.httpServer.server.address().port}`;
+    app.bot.reset();
+  });
+
+  afterEach(async () => {
+    await app.stop();
+  });
+
+  it('parses basic credentials', () => {
+    assert.deepEqual(parseBasicAuth(AUTHORIZATION), { user: 'admin', password: PASSWORD });
+    assert.equal(parseBasicAuth('Bearer token'), null);
+    assert.equal(parseBasicAuth(`Basic ${Buffer.from('nocolon').toString('base64')}`), null);
+  });
+
+  it('requires the password for the page and the API', async () => {
+    const anonymous = await request('/admin/api/status', { headers: {} });
+    assert.equal(anonymous.status, 401);
+    assert.match(anonymous.headers.get('www-authenticate'), /^Basic/);
+
+    const wrong = `Basic ${Buffer.from('admin:guess').toString('base64')}`;
+    assert.equal((await request('/admin', { headers: { Authorization: wrong } })).status, 401);
+
+    const page = await request('/admin', { headers: { Authorization: AUTHORIZATION } });
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(page.data, /Live feed/);
+  });
+
+  it('is not served without DASHBOARD_PASSWORD', async () => {
+    await app.stop();
+    app = createTestApp();
+    await app.start();
+    await app.httpServer.listen(0);
+    baseUrl = `http://127.0.0.1:${app.httpServer.server.address().port}`;
+
+    assert.equal((await request('/admin/api/status')).status, 404);
+  });
+
+  it('reports leadership, lease and polling status', async () => {
+    const { status, data } = await request('/admin/api/status');
+    assert.equal(status, 200);
+    assert.equal(data.role, 'leader');
+    assert.equal(data.lease.backend, 'file');
+    assert.deepEqual(data.updates, { mode: 'polling', polling: true });
+    assert.equal(data.feeds[0].feed, 'cto');
+    assert.ok(data.feeds[0].lastSuccessAt);
+    assert.equal(data.tokens.alerted, 3);
+    assert.equal(data.tokens.skipped, 1);
+  });
+
+  it('shows skipped tokens with their reasons in the feed', async () => {
+    const { data } = await request('/admin/api/feed?status=skipped');
+    assert.equal(data.total, 1);
+    const [token] = data.tokens;
+    assert.equal(token.chain, 'bsc');
+    assert.equal(token.symbol, 'TINY');
+    assert.ok(token.reasons.length);
+
+    const all = await request('/admin/api/feed?limit=2');
+    assert.equal(all.data.total, 4);
+    assert.equal(all.data.tokens.length, 2);
+
+    assert.equal((await request('/admin/api/feed?status=bogus')).status, 400);
+  });
+
+  it('searches alert history with follow-up checkpoints', async () => {
+    const { data } = await request('/admin/api/history?q=mcat');
+    assert.equal(data.total, 1);
+    const [record] = data.records;
+    assert.equal(record.address, MCAT_ADDRESS);
+    assert.deepEqual(record.checkpoints.map(c => c.label), ['1h']);
+
+    // Пропущенные токены в историю алертов не попадают
+    assert.equal((await request('/admin/api/history?q=tiny')).data.total, 0);
+    assert.equal((await request('/admin/api/history?from=nope')).status, 400);
+  });
+
+  it('edits filters and saves them to the filters file', async () => {
+    const invalid = await request('/admin/api/filters', { method: 'POST', body: { rules: { minMarketCap: '1m', maxAgeHours: 'soon' } } });
+    assert.equal(invalid.status, 400);
+    assert.equal((await request('/admin/api/filters')).data.rules.minMarketCap, null);
+
+    const { status, data } = await request('/admin/api/filters', { method: 'POST', body: { rules: { minMarketCap: '1m' } } });
+    assert.equal(status, 200);
+    assert.equal(data.rules.minMarketCap, 1000000);
+    assert.equal(data.saved, true);
+    assert.equal(JSON.parse(fs.readFileSync(app.config.FILTERS_FILE, 'utf8')).minMarketCap, 1000000);
+  });
+
+  it('accepts changes only as JSON', async () => {
+    const { status } = await request('/admin/api/filters', {
+      method: 'POST',
+      headers: { Authorization: AUTHORIZATION, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: { rules: { minMarketCap: '1m' } }
+    });
+    assert.equal(status, 415);
+  });
+
+  it('edits destinations and writes routes.json', async () => {
+    const { data } = await request('/admin/api/routes');
+    assert.equal(data.destinations[0].id, 'main');
+    assert.ok(data.templates.includes('compact'));
+
+    const updated = await request('/admin/api/routes', {
+      method: 'POST',
+      body: { id: 'main', template: 'compact', locale: 'ru', rules: { allowChains: 'solana' } }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.data.destination.template, 'compact');
+    assert.deepEqual(app.destinations[0].rules.allowChains, ['solana']);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(app.dir, 'routes.json'), 'utf8'));
+    assert.equal(saved.destinations[0].chatId, CHANNEL_ID);
+    assert.equal(saved.destinations[0].locale, 'ru');
+    assert.deepEqual(saved.destinations[0].rules, { allowChains: ['solana'] });
+
+    assert.equal((await request('/admin/api/routes', { method: 'POST', body: { id: 'nowhere', enabled: false } })).status, 400);
+    assert.equal((await request('/admin/api/routes', { method: 'POST', body: { id: 'main', chatId: '1' } })).status, 400);
+    assert.equal((await request('/admin/api/routes', { method: 'POST', body: { id: 'main', template: 'missing' } })).status, 400);
+  });
+
+  it('reposts tokens unless they are banned', async () => {
+    const banned = await request('/admin/api/bans', { method: 'POST', body: { address: BHAT_ADDRESS, reason: 'honeypot' } });
+    assert.equal(banned.status, 200);
+    assert.equal((await request('/admin/api/bans', { method: 'POST', body: { address: BHAT_ADDRESS } })).status, 409);
+    assert.equal((await request('/admin/api/bans')).data.bans[0].reason, 'honeypot');
+
+    const refused = await request('/admin/api/repost', { method: 'POST', body: { address: BHAT_ADDRESS } });
+    assert.equal(refused.status, 409);
+    assert.match(refused.data.error, /is banned \(honeypot\)/);
+
+    assert.equal((await request(`/admin/api/bans?address=${BHAT_ADDRESS}`, { method: 'DELETE' })).status, 200);
+    const { status, data } = await request('/admin/api/repost', { method: 'POST', body: { address: BHAT_ADDRESS } });
+    assert.equal(status, 200);
+    assert.equal(data.queued, 1);
+    assert.equal(data.sent, 1);
+    assert.equal(app.bot.messagesTo(CHANNEL_ID).length, 1);
+    assert.equal(app.storage.findTokensByAddress(BHAT_ADDRESS)[0].reasons[0], 'manual repost by dashboard:admin');
+
+    const again = await request('/admin/api/repost', { method: 'POST', body: { address: BHAT_ADDRESS } });
+    assert.equal(again.data.alreadyPosted, true);
+  });
+
+  it('ignores and restores chains', async () => {
+    assert.equal((await request('/admin/api/ignored-chains', { method: 'POST', body: { chain: 'Base' } })).data.chain, 'base');
+    assert.equal((await request('/admin/api/bans')).data.ignoredChains[0].value, 'base');
+    assert.equal((await request('/admin/api/ignored-chains', { method: 'POST', body: { chain: 'not a chain!' } })).status, 400);
+
+    assert.equal((await request('/admin/api/ignored-chains?chain=base', { method: 'DELETE' })).status, 200);
+    assert.equal((await request('/admin/api/ignored-chains?chain=base', { method: 'DELETE' })).status, 404);
+  });
+});
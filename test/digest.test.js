@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { buildDigest } = require('../lib/digest');
+const { silenceConsole } = require('./helpers/app');
+
+const ADDRESS = 'Pepe2222222222222222222222222222222222222';
+
+// Ответ fetchTokensBatch: Map адрес в нижнем регистре -> пара
+function pairsFor(addresses, marketCap) {
+  return new Map(addresses.map(address => [address.toLowerCase(), { marketCap }]));
+}
+
+describe('performance digest', () => {
+  let storage;
+
+  beforeEach((t) => {
+    silenceConsole(t);
+    storage = createStorage({ backend: 'memory' });
+    storage.saveToken({
+      id: `solana-${ADDRESS}`,
+      chain: 'solana',
+      address: ADDRESS,
+      status: 'alerted',
+      snapshot: { symbol: 'PEPE_<2>', marketCap: 50000 }
+    });
+  });
+
+  afterEach(() => storage.close());
+
+  it('builds the digest as HTML with the symbol escaped', async () => {
+    const text = await buildDigest({
+      storage,
+      fetchTokensBatch: async (chain, addresses) => pairsFor(addresses, 150000),
+      period: 'daily'
+    });
+    assert.match(text, /^📰 <b>Daily CTO Digest<\/b>/);
+    assert.match(text, /1\. PEPE_&lt;2&gt; \(SOLANA\) <b>3\.0x<\/b>/);
+    assert.match(text, /🎯 Hit rate 2x\+: <b>100%<\/b>/);
+  });
+
+  it('builds the digest in the chat language', async () => {
+    const text = await buildDigest({
+      storage,
+      fetchTokensBatch: async (chain, addresses) => pairsFor(addresses, 150000),
+      period: 'weekly',
+      locale: 'ru'
+    });
+    assert.match(text, /^📰 <b>Недельный CTO дайджест<\/b>/);
+    assert.match(text, /1\. PEPE_&lt;2&gt; \(SOLANA\) <b>3\.0x<\/b> \$50,0 тыс\. → \$150,0 тыс\./);
+    assert.match(text, /🎯 Доля 2x\+: <b>100%<\/b>/);
+  });
+
+  it('lists the token without a ratio when the price request fails', async () => {
+    const text = await buildDigest({ storage, fetchTokensBatch: async () => { throw new Error('timeout'); }, period: 'daily' });
+    assert.match(text, /• PEPE_&lt;2&gt; \(SOLANA\): \$50\.0k → N\/A\n?$/);
+  });
+
+  it('requests current prices once per chain', async () => {
+    for (let i = 0; i < 3; i++) {
+      const address = `0xToken${i}`;
+      storage.saveToken({ id: `base-${address}`, chain: 'base', address, status: 'alerted', snapshot: { symbol: `T${i}`, marketCap: 10000 } });
+    }
+    const requests = [];
+    const text = await buildDigest({
+      storage,
+      fetchTokensBatch: async (chain, addresses) => {
+        requests.push(chain);
+        return pairsFor(addresses, 20000);
+      },
+      period: 'daily'
+    });
+
+    assert.deepEqual(requests.sort(), ['base', 'solana']);
+    assert.match(text, /🔔 Alerts: <b>4<\/b>/);
+  });
+});
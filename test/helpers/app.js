@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../../lib/config');
+const { createApp } = require('../../lib/app');
+const { createFakeTelegram } = require('./fakeTelegram');
+const { createReplayHttp } = require('./replayHttp');
+
+// -------------------------------
+// Бот целиком без сети: база в памяти, файлы во временном каталоге,
+// Telegram - createFakeTelegram, DexScreener - записанные ответы.
+// Канал по умолчанию - CHANNEL_ID, администратор - ADMIN_ID
+
+const CHANNEL_ID = '-1001234567890';
+const ADMIN_ID = 42;
+
+// dir, storage - общие для нескольких экземпляров (bot.lock, аренда лидера в SQLite)
+function createTestApp({ env = {}, http = createReplayHttp(), files = {}, onFatal, dir, storage } = {}) {
+  const ownsDir = !dir;
+  dir = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'cto-bot-test-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  const config = loadConfig({
+    TELEGRAM_BOT_TOKEN: 'test-token',
+    TELEGRAM_CHANNEL_ID: CHANNEL_ID,
+    BOT_USERNAME: '@test_cto_bot',
+    USE_MEMORY_DB: 'true',
+    BOT_MODE: 'polling',
+    ADMIN_IDS: String(ADMIN_ID),
+    API_MAX_RETRIES: '1',
+    DIGEST_DAILY_CRON: 'off',
+    DIGEST_WEEKLY_CRON: 'off',
+    TRACK_CHECKPOINTS: '1h',
+    ...env
+  }, { baseDir: dir });
+
+  const bot = createFakeTelegram();
+  const app = createApp({ config, bot, http, storage, onFatal });
+
+  return {
+    ...app,
+    http,
+    dir,
+    async start() {
+      await app.start({ listen: false });
+    },
+    async stop() {
+      await app.stop();
+      if (ownsDir) fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Логи бота не нужны в выводе тестов
+function silenceConsole(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+module.exports = {
+  CHANNEL_ID,
+  ADMIN_ID,
+  createTestApp,
+  silenceConsole
+};
@@ -0,0 +1,189 @@
+const { EventEmitter } = require('events');
+
+// -------------------------------
+// Поддельный клиент Telegram с интерфейсом node-telegram-bot-api.
+// Все исходящие вызовы записываются в calls, входящие сообщения и нажатия
+// кнопок подаются через receive() / press() и дожидаются обработчиков.
+// failNext(method, error) - следующий вызов метода завершится ошибкой
+
+// Ошибка в формате библиотеки: ETELEGRAM с телом ответа Bot API
+function telegramError(code, description, parameters) {
+  const error = new Error(`ETELEGRAM: ${code} ${description}`);
+  error.code = 'ETELEGRAM';
+  error.response = {
+    statusCode: code,
+    body: { ok: false, error_code: code, description, ...(parameters ? { parameters } : {}) }
+  };
+  return error;
+}
+
+function createFakeTelegram({ username = 'test_cto_bot' } = {}) {
+  const bot = new EventEmitter();
+  const calls = [];
+  const textHandlers = [];
+  const failures = new Map();
+  let nextMessageId = 1;
+  let polling = false;
+  let webhookUrl = '';
+
+  function record(method, args) {
+    calls.push({ method, args });
+    const queue = failures.get(method);
+    if (queue?.length) {
+      throw queue.shift();
+    }
+  }
+
+  function message(chatId, fields) {
+    return { message_id: nextMessageId++, date: Math.floor(Date.now() / 1000), chat: { id: chatId }, ...fields };
+  }
+
+  async function dispatchMessage(msg) {
+    bot.emit('message', msg);
+    const pending = [];
+    for (const { regexp, callback } of textHandlers) {
+      regexp.lastIndex = 0;
+      const match = regexp.exec(msg.text || '');
+      if (match) pending.push(callback(msg, match));
+    }
+    await Promise.all(pending);
+  }
+
+  async function dispatchCallback(query) {
+    await Promise.all(bot.listeners('callback_query').map(listener => listener(query)));
+  }
+
+  Object.assign(bot, {
+    calls,
+
+    onText(regexp, callback) {
+      textHandlers.push({ regexp, callback });
+    },
+
+    async processUpdate(update) {
+      if (update.message) await dispatchMessage(update.message);
+      if (update.callback_query) await dispatchCallback(update.callback_query);
+    },
+
+    // Входящее сообщение: по умолчанию личный чат с отправителем
+    receive(text, { from = { id: 1, username: 'tester' }, chat } = {}) {
+      return dispatchMessage({
+        message_id: nextMessageId++,
+        date: Math.floor(Date.now() / 1000),
+        from,
+        chat: chat || { id: from.id, type: 'private' },
+        text
+      });
+    },
+
+    // Нажатие inline-кнопки под сообщением
+    press(data, { from = { id: 1, username: 'tester' }, message: msg } = {}) {
+      return dispatchCallback({
+        id: String(nextMessageId++),
+        from,
+        message: msg || { message_id: 0, chat: { id: from.id, type: 'private' } },
+        data
+      });
+    },
+
+    failNext(method, error) {
+      if (!failures.has(method)) failures.set(method, []);
+      failures.get(method).push(error);
+    },
+
+    // Исходящие вызовы метода (или все вызовы)
+    sent(method) {
+      return method ? calls.filter(call => call.method === method) : calls;
+    },
+
+    // Тексты и подписи отправленных сообщений в чат
+    messagesTo(chatId) {
+      return calls
+        .filter(call => ['sendMessage', 'sendPhoto'].includes(call.method) && String(call.args[0]) === String(chatId))
+        .map(call => (call.method === 'sendPhoto' ? call.args[2]?.caption : call.args[1]));
+    },
+
+    reset() {
+      calls.length = 0;
+      failures.clear();
+    },
+
+    async getMe() {
+      record('getMe', []);
+      return { id: 1000, is_bot: true, first_name: 'Test bot', username };
+    },
+
+    async sendMessage(chatId, text, options = {}) {
+      record('sendMessage', [chatId, text, options]);
+      return message(chatId, { text });
+    },
+
+    async sendPhoto(chatId, photo, options = {}) {
+      record('sendPhoto', [chatId, photo, options]);
+      return message(chatId, { photo: [{ file_id: `photo-${nextMessageId}` }], caption: options.caption });
+    },
+
+    async sendDocument(chatId, document, options = {}, fileOptions = {}) {
+      record('sendDocument', [chatId, document, options, fileOptions]);
+      return message(chatId, { document: { file_name: fileOptions.filename } });
+    },
+
+    async editMessageText(text, options = {}) {
+      record('editMessageText', [text, options]);
+      return true;
+    },
+
+    async editMessageCaption(caption, options = {}) {
+      record('editMessageCaption', [caption, options]);
+      return true;
+    },
+
+    async deleteMessage(chatId, messageId) {
+      record('deleteMessage', [chatId, messageId]);
+      return true;
+    },
+
+    async answerCallbackQuery(queryId, options = {}) {
+      record('answerCallbackQuery', [queryId, options]);
+      return true;
+    },
+
+    async setWebHook(url, options = {}) {
+      record('setWebHook', [url, options]);
+      webhookUrl = url;
+      return true;
+    },
+
+    async deleteWebHook() {
+      record('deleteWebHook', []);
+      webhookUrl = '';
+      return true;
+    },
+
+    async getWebHookInfo() {
+      record('getWebHookInfo', []);
+      return { url: webhookUrl, pending_update_count: 0 };
+    },
+
+    async startPolling() {
+      record('startPolling', []);
+      polling = true;
+    },
+
+    async stopPolling() {
+      record('stopPolling', []);
+      polling = false;
+    },
+
+    isPolling() {
+      return polling;
+    }
+  });
+
+  return bot;
+}
+
+module.exports = {
+  telegramError,
+  createFakeTelegram
+};
@@ -0,0 +1,94 @@
+const http = require('http');
+
+// -------------------------------
+// Локальный JSON-RPC сервер для проверок безопасности.
+// handlers: { method: (params) => result }; брошенная ошибка с code уходит
+// в поле error ответа, без code - ответом HTTP 500.
+// calls - все вызовы по порядку: { method, params }
+
+function rpcFailure(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function startMockRpc(handlers = {}) {
+  const calls = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', async () => {
+      const { id, method, params } = JSON.parse(body);
+      calls.push({ method, params });
+
+      const reply = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (!handlers[method]) {
+        return reply(200, { jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } });
+      }
+      try {
+        reply(200, { jsonrpc: '2.0', id, result: await handlers[method](params) });
+      } catch (err) {
+        if (err.code === undefined) return reply(500, { error: err.message });
+        reply(200, { jsonrpc: '2.0', id, error: { code: err.code, message: err.message } });
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    handlers,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Ответ getAccountInfo для SPL mint (jsonParsed)
+function solanaMint({ mintAuthority = null, freezeAuthority = null, supply = '1000000000000000', decimals = 6 } = {}) {
+  return {
+    context: { slot: 297000000 },
+    value: {
+      executable: false,
+      lamports: 1461600,
+      owner: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+      data: {
+        program: 'spl-token',
+        parsed: { type: 'mint', info: { decimals, freezeAuthority, isInitialized: true, mintAuthority, supply } },
+        space: 82
+      }
+    }
+  };
+}
+
+// Ответ getTokenLargestAccounts: amounts - сырые количества по убыванию
+function largestAccounts(amounts, decimals = 6) {
+  return {
+    context: { slot: 297000000 },
+    value: amounts.map((amount, i) => ({
+      address: `Holder${i}1111111111111111111111111111111111`.slice(0, 44),
+      amount: String(amount),
+      decimals,
+      uiAmount: Number(amount) / 10 ** decimals,
+      uiAmountString: String(Number(amount) / 10 ** decimals)
+    }))
+  };
+}
+
+// Результат eth_call owner(): адрес в 32-байтовом слове
+function ownerWord(address) {
+  return `0x${'0'.repeat(24)}${address.slice(2).toLowerCase()}`;
+}
+
+module.exports = {
+  rpcFailure,
+  startMockRpc,
+  solanaMint,
+  largestAccounts,
+  ownerWord
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+// -------------------------------
+// HTTP клиент для createDexScreener({ http }), который отвечает записанными
+// ответами DexScreener из test/fixtures/dexscreener вместо сети.
+// Фиды отдаются как есть, /tokens/v1 и /latest/dex/tokens собираются из записанных пар.
+//   set(path, data)        - подменить ответ для пути
+//   fail(path, status)     - отвечать ошибкой HTTP (status 0 - сетевая ошибка)
+//   requests               - пути всех запросов по порядку
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'dexscreener');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+function httpError(status, url) {
+  if (!status) {
+    const error = new Error('connect ECONNREFUSED');
+    error.code = 'ECONNREFUSED';
+    return error;
+  }
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers: {}, data: null, config: { url } };
+  return error;
+}
+
+function createReplayHttp({
+  ctos = loadFixture('community-takeovers'),
+  profiles = loadFixture('token-profiles'),
+  boosts = loadFixture('token-boosts'),
+  pairs = loadFixture('pairs')
+} = {}) {
+  const requests = [];
+  const overrides = new Map();
+  const failures = new Map();
+
+  const feeds = {
+    '/community-takeovers/latest/v1': () => ctos,
+    '/token-profiles/latest/v1': () => profiles,
+    '/token-boosts/latest/v1': () => boosts
+  };
+
+  function pairsFor(address, chain) {
+    return pairs.filter(pair =>
+      pair.baseToken.address.toLowerCase() === address.toLowerCase() && (!chain || pair.chainId === chain));
+  }
+
+  function resolve(pathname) {
+    if (feeds[pathname]) return feeds[pathname]();
+
+    const batch = pathname.match(/^\/tokens\/v1\/([^/]+)\/(.+)$/);
+    if (batch) {
+      const chain = decodeURIComponent(batch[1]);
+      return batch[2].split(',').flatMap(address => pairsFor(decodeURIComponent(address), chain));
+    }
+
+    const search = pathname.match(/^\/latest\/dex\/tokens\/(.+)$/);
+    if (search) {
+      const found = pairsFor(decodeURIComponent(search[1]));
+      return { schemaVersion: '1.0.0', pairs: found.length ? found : null };
+    }
+
+    return undefined;
+  }
+
+  // Ответы клонируются: клиент DexScreener дописывает поля в объекты пар
+  async function get(url) {
+    const { pathname } = new URL(url);
+    requests.push(pathname);
+
+    const failure = [...failures.entries()].find(([prefix]) => pathname.startsWith(prefix));
+    if (failure) throw httpError(failure[1], url);
+
+    const data = overrides.has(pathname) ? overrides.get(pathname) : resolve(pathname);
+    if (data === undefined) throw httpError(404, url);
+    return { status: 200, headers: {}, data: structuredClone(data) };
+  }
+
+  return {
+    get,
+    requests,
+    set(pathname, data) {
+      overrides.set(pathname, data);
+    },
+    fail(prefix, status = 500) {
+      failures.set(prefix, status);
+    },
+    restore(prefix) {
+      failures.delete(prefix);
+    }
+  };
+}
+
+module.exports = {
+  loadFixture,
+  createReplayHttp
+};
@@ -0,0 +1,218 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { translate, normalizeLocale, parseLocale } = require('../lib/i18n');
+const { formatNumber, getTokenAge, formatTimeAgo } = require('../lib/format');
+const { TEMPLATES, renderMessage } = require('../lib/messages');
+const { loadTemplates } = require('../lib/templates');
+const { loadFixture } = require('./helpers/replayHttp');
+const { CHANNEL_ID, ADMIN_ID, createTestApp, silenceConsole } = require('./helpers/app');
+
+const ADMIN = { id: ADMIN_ID, username: 'admin' };
+const STRANGER = { id: 7, username: 'stranger' };
+const GROUP = { id: -100555, type: 'supergroup' };
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('translations', () => {
+  it('substitutes parameters and picks plural forms', () => {
+    assert.equal(translate('en', 'list.page', { page: 1, pages: 3, total: 25 }), 'Page 1/3, 25 total');
+    assert.equal(translate('ru', 'age.days', { count: 1 }), '1 день');
+    assert.equal(translate('ru', 'age.days', { count: 3 }), '3 дня');
+    assert.equal(translate('ru', 'age.days', { count: 5 }), '5 дней');
+    assert.equal(translate('en', 'age.days', { count: 1 }), '1 day');
+  });
+
+  it('falls back to English and then to the key', () => {
+    assert.equal(translate('de', 'status.none'), 'none');
+    assert.equal(translate('ru', 'no.such.key'), 'no.such.key');
+  });
+
+  it('normalizes locale codes', () => {
+    assert.equal(normalizeLocale('ru-RU'), 'ru');
+    assert.equal(normalizeLocale('EN'), 'en');
+    assert.equal(normalizeLocale('xx'), null);
+    assert.equal(parseLocale(undefined), 'en');
+    assert.throws(() => parseLocale('xx'), /Unknown locale "xx"/);
+  });
+
+  it('formats numbers, ages and relative times per locale', () => {
+    assert.equal(formatNumber(1234567), '$1.2M');
+    assert.equal(formatNumber(1234567, 'ru'), '$1,2 млн');
+    assert.equal(formatNumber(50000, 'ru'), '$50,0 тыс.');
+    assert.equal(formatNumber(null, 'ru'), 'н/д');
+
+    const now = Date.now();
+    assert.equal(getTokenAge(now - 3 * DAY - 1000, 'ru'), '3 дня');
+    assert.equal(formatTimeAgo(now - 5 * 60 * 1000, 'en', now), '5m ago');
+    assert.equal(formatTimeAgo(now - 2 * 60 * 60 * 1000, 'ru', now), '2 ч назад');
+    assert.equal(formatTimeAgo(now - 2 * DAY, 'en', now), '2d ago');
+  });
+
+  it('translates risk flags, safety checks and the copycat note on cards', () => {
+    const templates = loadTemplates({ builtin: TEMPLATES });
+    const [mcat, smallPool] = loadFixture('pairs');
+    const details = {
+      ...smallPool,
+      safety: {
+        checks: [{ id: 'mintAuthority', ok: false, key: 'mintAuthorityActive', params: { address: 'Mint12…abcd' }, text: 'Mint authority active (Mint12…abcd)' }],
+        warnings: 1,
+        error: null
+      },
+      copycat: { chain: 'solana', address: mcat.baseToken.address, symbol: 'MCAT', alertedAt: Date.now() - 2 * DAY, marketCap: 1234000, signals: ['symbol'] }
+    };
+    const ctoData = { chainId: 'solana', tokenAddress: smallPool.baseToken.address };
+    const render = (name, locale) => renderMessage(templates[name], ctoData, details, { locale }).text;
+
+    const ru = render('full.ru', 'ru');
+    assert.match(ru, /Возможная копия <b>MCAT<\/b> \(алерт 2 дня назад, сейчас капитализация \$1,2 млн\)/);
+    assert.match(ru, /Риск: 🟡 <b>45\/100<\/b> · очень низкая ликвидность, нет соцсетей, нет сайта/);
+    assert.match(ru, /⚠️ Mint authority активна \(Mint12…abcd\)/);
+    assert.match(render('compact.ru', 'ru'), /Кап\.: <b>\$1,2 млн<\/b> \| 💧 Ликв\.: <b>\$8,1 тыс\.<\/b>/);
+
+    const en = render('full', 'en');
+    assert.match(en, /Risk: 🟡 <b>45\/100<\/b> · thin liquidity, no socials, no website/);
+    assert.match(en, /⚠️ Mint authority active \(Mint12…abcd\)/);
+  });
+});
+
+describe('chat languages', () => {
+  let app;
+
+  beforeEach((t) => silenceConsole(t));
+  afterEach(async () => {
+    await app?.stop();
+    app = null;
+  });
+
+  it('renders cards in the destination locale from routes.json', async () => {
+    app = createTestApp({ files: { 'routes.json': { destinations: [{ id: 'ru', chatId: CHANNEL_ID, locale: 'ru' }] } } });
+    await app.start();
+
+    const cards = app.bot.messagesTo(CHANNEL_ID);
+    assert.equal(cards.length, 4);
+    assert.match(cards[0], /Новый CTO в сети/);
+  });
+
+  it('rejects unknown locales in routes.json', () => {
+    assert.throws(
+      () => createTestApp({ files: { 'routes.json': { destinations: [{ chatId: CHANNEL_ID, locale: 'xx' }] } } }),
+      /Unknown locale "xx" for destination #1/
+    );
+  });
+
+  it('switches a private chat with /lang', async () => {
+    app = createTestApp();
+    await app.start();
+    app.bot.reset();
+
+    await app.bot.receive('/lang', { from: STRANGER });
+    assert.match(app.bot.messagesTo(STRANGER.id).at(-1), /Language: English \(en\)/);
+
+    await app.bot.receive('/lang xx', { from: STRANGER });
+    assert.match(app.bot.messagesTo(STRANGER.id).at(-1), /Unknown language "xx"/);
+
+    await app.bot.receive('/lang ru', { from: STRANGER });
+    assert.match(app.bot.messagesTo(STRANGER.id).at(-1), /Язык изменен: Русский/);
+    assert.equal(app.storage.getChatLocale(STRANGER.id), 'ru');
+
+    await app.bot.receive('/start', { from: STRANGER });
+    assert.match(app.bot.messagesTo(STRANGER.id).at(-1), /Доступные команды/);
+
+    await app.bot.receive('/clear', { from: STRANGER });
+    assert.match(app.bot.messagesTo(STRANGER.id).at(-1), /доступна только администраторам/);
+  });
+
+  it('uses the Telegram language of the user in private chats', async () => {
+    app = createTestApp();
+    await app.start();
+    app.bot.reset();
+
+    await app.bot.receive('/start', { from: { ...STRANGER, language_code: 'ru' } });
+    assert.match(app.bot.messagesTo(STRANGER.id).at(-1), /Доступные команды/);
+  });
+
+  it('localizes command replies', async () => {
+    app = createTestApp();
+    await app.start();
+    await app.bot.receive('/lang ru', { from: ADMIN });
+    app.bot.reset();
+
+    await app.bot.receive('/list', { from: ADMIN });
+    const list = app.bot.messagesTo(ADMIN.id).at(-1);
+    assert.match(list, /Последние токены/);
+    assert.match(list, /всего 4/);
+    assert.match(list, /мин назад/);
+
+    await app.bot.receive('/status', { from: ADMIN });
+    assert.match(app.bot.messagesTo(ADMIN.id).at(-1), /Обработано токенов: 4/);
+
+    await app.bot.receive('/check', { from: ADMIN });
+    assert.match(app.bot.messagesTo(ADMIN.id).at(-1), /Проверка завершена/);
+
+    await app.bot.receive('/ban', { from: ADMIN });
+    assert.match(app.bot.messagesTo(ADMIN.id).at(-1), /Использование: \/ban <адрес>/);
+
+    await app.bot.receive('/filters', { from: ADMIN });
+    const rules = app.bot.messagesTo(ADMIN.id).at(-1);
+    assert.match(rules, /Разрешенные сети \(<code>allowChains<\/code>\): <b>любые<\/b>/);
+    assert.match(rules, /Мин\. ликвидность \(<code>minLiquidity<\/code>\): <b>выкл<\/b>/);
+  });
+
+  it('localizes the /token report', async () => {
+    app = createTestApp();
+    await app.start();
+    await app.bot.receive('/lang ru', { from: ADMIN });
+    app.bot.reset();
+
+    await app.bot.receive('/token 7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU', { from: ADMIN });
+    const text = app.bot.messagesTo(ADMIN.id).at(-1);
+    assert.match(text, /🔎 SOLANA: отчет по токену/);
+    assert.match(text, /Известный CTO · опубликован/);
+    assert.match(text, /впервые замечен &lt; 1 дня назад/);
+  });
+
+  it('localizes the subscription menus as HTML', async () => {
+    app = createTestApp();
+    await app.start();
+    app.bot.reset();
+    const user = { ...STRANGER, language_code: 'ru' };
+
+    await app.bot.receive('/subscribe', { from: user });
+    const [, text, options] = app.bot.sent('sendMessage').at(-1).args;
+    assert.equal(options.parse_mode, 'HTML');
+    assert.match(text, /⚙️ <b>Ваши настройки алертов<\/b>/);
+    assert.match(text, /⛓ Сети: <b>все<\/b>/);
+    assert.match(text, /🏦 Мин\. капитализация: <b>выкл<\/b>/);
+    assert.equal(options.reply_markup.inline_keyboard.at(-1)[0].text, '✅ Готово');
+
+    await app.bot.press('sub:set:minMarketCap:50000', { from: user });
+    const [edited, editOptions] = app.bot.sent('editMessageText').at(-1).args;
+    assert.equal(editOptions.parse_mode, 'HTML');
+    assert.match(edited, /🏦 Мин\. капитализация: <b>\$50,0 тыс\.<\/b>/);
+  });
+
+  it('lets only operators switch groups and destinations', async () => {
+    app = createTestApp();
+    await app.start();
+    app.bot.reset();
+
+    await app.bot.receive('/lang ru', { from: STRANGER, chat: GROUP });
+    assert.match(app.bot.messagesTo(GROUP.id).at(-1), /Only bot operators/);
+    await app.bot.receive('/lang ru main', { from: STRANGER });
+    assert.match(app.bot.messagesTo(STRANGER.id).at(-1), /Only bot operators/);
+    assert.equal(app.storage.getChatLocale(CHANNEL_ID), null);
+
+    await app.bot.receive('/lang ru nowhere', { from: ADMIN });
+    assert.match(app.bot.messagesTo(ADMIN.id).at(-1), /Unknown destination "nowhere"/);
+
+    await app.bot.receive('/lang ru main', { from: ADMIN });
+    assert.match(app.bot.messagesTo(ADMIN.id).at(-1), /Language for main set to Русский/);
+    assert.equal(app.storage.getChatLocale(CHANNEL_ID), 'ru');
+
+    const destination = app.destinations.find(dest => dest.id === 'main');
+    const payload = app.alerts.buildPayload(destination, {
+      chainId: 'solana',
+      tokenAddress: 'So11111111111111111111111111111111111111112'
+    }, null);
+    assert.match(payload.text, /Новый CTO в сети/);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { createSqliteLeaseBackend, createLeaderElector } = require('../lib/leader');
+const { silenceConsole } = require('./helpers/app');
+
+const TTL = 90;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('leader election', () => {
+  beforeEach((t) => silenceConsole(t));
+
+  it('keeps renewing the lease while onElected is still running', async () => {
+    const storage = createStorage({ backend: 'memory' });
+    const backend = createSqliteLeaseBackend({ storage, key: 'leader' });
+
+    // Первый цикл проверки лидера идет в несколько раз дольше аренды
+    let finishDuties;
+    const duties = new Promise(resolve => { finishDuties = resolve; });
+    const leader = createLeaderElector({ backend, owner: 'leader', ttl: TTL, onElected: () => duties });
+    const standby = createLeaderElector({ backend, owner: 'standby', ttl: TTL });
+
+    try {
+      await leader.start();
+      assert.equal(leader.isLeader(), true);
+      await standby.start();
+
+      await sleep(TTL * 4);
+      assert.equal(leader.isLeader(), true);
+      assert.equal(standby.isLeader(), false);
+      assert.equal((await backend.current()).owner, 'leader');
+
+      finishDuties();
+      await leader.settled();
+    } finally {
+      await standby.stop();
+      await leader.stop();
+      storage.close();
+    }
+  });
+
+  it('reports start-up failures without losing the lease', async () => {
+    const storage = createStorage({ backend: 'memory' });
+    const backend = createSqliteLeaseBackend({ storage, key: 'leader' });
+    const elector = createLeaderElector({
+      backend,
+      owner: 'leader',
+      ttl: TTL,
+      onElected: async () => { throw new Error('telegram is down'); }
+    });
+
+    try {
+      await elector.start();
+      await elector.settled();
+      assert.equal(elector.isLeader(), true);
+      assert.equal(console.error.mock.calls[0].arguments[1], 'telegram is down');
+    } finally {
+      await elector.stop();
+      storage.close();
+    }
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { createTestApp, silenceConsole } = require('./helpers/app');
+
+// Ответ /readyz экземпляра: { status, body }
+async function readyz(app) {
+  await app.httpServer.listen(0);
+  const response = await fetch(`http://127.0.0.1:${app.httpServer.server.address().port}/readyz`);
+  return { status: response.status, body: await response.json() };
+}
+
+describe('readiness probe', () => {
+  beforeEach((t) => silenceConsole(t));
+
+  it('reports a webhook-mode standby as ready', async (t) => {
+    const storage = createStorage({ backend: 'memory' });
+    const env = {
+      LEADER_BACKEND: 'sqlite',
+      LEADER_TTL: '3000',
+      BOT_MODE: 'webhook',
+      WEBHOOK_URL: 'https://bot.example.com',
+      WEBHOOK_SECRET: 'test-secret'
+    };
+    const leader = createTestApp({ env, storage });
+    const standby = createTestApp({ env, storage });
+    t.after(async () => {
+      await leader.stop();
+      await standby.stop();
+      storage.close();
+    });
+
+    await leader.start();
+    await standby.start();
+    assert.equal(standby.elector.isLeader(), false);
+    assert.deepEqual(standby.bot.sent('setWebHook'), []);
+
+    const probe = await readyz(standby);
+    assert.equal(probe.status, 200);
+    assert.equal(probe.body.role, 'standby');
+    assert.equal(probe.body.checks.updates.ok, true);
+
+    const leaderProbe = await readyz(leader);
+    assert.equal(leaderProbe.status, 200);
+    assert.equal(leaderProbe.body.role, 'leader');
+  });
+
+  it('reports a leader without a registered webhook as not ready', async (t) => {
+    const app = createTestApp({
+      env: { BOT_MODE: 'webhook', WEBHOOK_URL: 'https://bot.example.com', WEBHOOK_SECRET: 'test-secret' }
+    });
+    t.after(() => app.stop());
+    await app.start();
+    app.health.webhook.active = false;
+
+    const probe = await readyz(app);
+    assert.equal(probe.status, 503);
+    assert.equal(probe.body.checks.updates.ok, false);
+  });
+});
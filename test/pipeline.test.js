@@ -0,0 +1,271 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CHANNEL_ID, createTestApp, silenceConsole } = require('./helpers/app');
+const { createReplayHttp } = require('./helpers/replayHttp');
+const { telegramError } = require('./helpers/fakeTelegram');
+
+const MCAT = 'solana-7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const FROG = 'ethereum-0x6982508145454ce325ddbe47a25d4ec3d2311933';
+const TINY = 'bsc-0x8f3a1b2c4d5e6f708192a3b4c5d6e7f809aabbcc';
+const EMPTY = 'solana-9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+// Канал по умолчанию получает только CTO - для остальных фидов нужен routes.json
+const ALL_FEEDS_ROUTES = { destinations: [{ id: 'main', chatId: CHANNEL_ID, sources: ['cto', 'profiles', 'boosts'] }] };
+
+// Отправленные в канал карточки: { method, text, options }
+function channelCards(app) {
+  return app.bot.calls
+    .filter(call => ['sendMessage', 'sendPhoto'].includes(call.method) && call.args[0] === CHANNEL_ID)
+    .map(call => call.method === 'sendPhoto'
+      ? { method: 'sendPhoto', banner: call.args[1], text: call.args[2].caption, options: call.args[2] }
+      : { method: 'sendMessage', text: call.args[1], options: call.args[2] });
+}
+
+describe('token pipeline', () => {
+  let app;
+
+  beforeEach((t) => silenceConsole(t));
+  afterEach(async () => {
+    await app?.stop();
+    app = null;
+  });
+
+  describe('deduplication', () => {
+    it('alerts every token in the feed once, ignoring duplicates and malformed entries', async () => {
+      app = createTestApp();
+      await app.start();
+
+      const cards = channelCards(app);
+      assert.equal(cards.length, 4);
+      assert.equal(app.storage.countTokens(), 4);
+      for (const id of [MCAT, FROG, TINY, EMPTY]) {
+        assert.equal(app.storage.getToken(id).status, 'alerted');
+      }
+    });
+
+    it('does not repost tokens on the next poll', async () => {
+      app = createTestApp();
+      await app.start();
+      app.bot.reset();
+
+      await app.pipeline.run();
+      assert.deepEqual(channelCards(app), []);
+    });
+
+    it('normalizes EVM addresses so a case change is not a new token', async () => {
+      const http = createReplayHttp();
+      app = createTestApp({ http });
+      await app.start();
+      app.bot.reset();
+
+      const [, frog] = JSON.parse(JSON.stringify(require('./fixtures/dexscreener/community-takeovers.json')));
+      http.set('/community-takeovers/latest/v1', [{ ...frog, tokenAddress: frog.tokenAddress.toLowerCase() }]);
+      await app.pipeline.run();
+
+      assert.deepEqual(channelCards(app), []);
+      assert.ok(app.storage.getToken(FROG));
+    });
+
+    it('migrates the legacy database.json once and skips the tokens it lists', async () => {
+      // Старый формат: массив ID с адресом в исходном регистре
+      app = createTestApp({ files: { 'database.json': ['ethereum-0x6982508145454Ce325dDbE47a25d4ec3d2311933'] } });
+      await app.start();
+
+      assert.equal(app.storage.getToken(FROG).status, 'legacy');
+      assert.equal(channelCards(app).length, 3);
+      assert.equal(app.storage.importLegacyDatabase(`${app.dir}/database.json`), 0);
+    });
+
+    it('keeps a separate dedup space per feed', async () => {
+      app = createTestApp({ env: { FEEDS: 'cto,profiles' }, files: { 'routes.json': ALL_FEEDS_ROUTES } });
+      await app.start();
+
+      assert.equal(app.storage.getToken(MCAT).status, 'alerted');
+      assert.equal(app.storage.getToken(`profiles:${MCAT}`).status, 'alerted');
+      assert.equal(channelCards(app).length, 5);
+    });
+
+    it('batches detail lookups per chain', async () => {
+      app = createTestApp();
+      await app.start();
+
+      const batches = app.http.requests.filter(path => path.startsWith('/tokens/v1/'));
+      assert.deepEqual(batches.map(path => path.split('/')[3]).sort(), ['bsc', 'ethereum', 'solana']);
+      assert.match(batches.find(path => path.includes('/solana/')), /7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU,9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM/);
+    });
+  });
+
+  describe('formatting', () => {
+    it('posts a banner card with the main pair metrics and socials', async () => {
+      app = createTestApp();
+      await app.start();
+
+      const card = channelCards(app).find(c => c.text.includes('MCAT'));
+      assert.equal(card.method, 'sendPhoto');
+      assert.match(card.banner, /header\.png$/);
+      assert.equal(card.options.parse_mode, 'HTML');
+      assert.match(card.text, /New <b>SOLANA<\/b> CTO Detected/);
+      assert.match(card.text, /Moon Cat \(MCAT\)/);
+      // Основная пара - с наибольшей ликвидностью (Raydium), а не первая в ответе
+      assert.match(card.text, /Market Cap: <b>\$1\.2M<\/b>/);
+      assert.match(card.text, /<a href="https:\/\/x\.com\/mooncat_cto">/);
+      assert.match(card.text, /<code>7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU<\/code>/);
+      assert.ok(card.options.reply_markup.inline_keyboard.length > 0);
+    });
+
+    it('keeps the original address case in the card and stores a snapshot', async () => {
+      app = createTestApp();
+      await app.start();
+
+      const card = channelCards(app).find(c => c.text.includes('FROG'));
+      assert.match(card.text, /0x6982508145454Ce325dDbE47a25d4ec3d2311933/);
+      const token = app.storage.getToken(FROG);
+      assert.equal(token.snapshot.marketCap, 4295000);
+      assert.equal(token.snapshot.dexId, 'uniswap');
+    });
+
+    it('sends a text card when the token has no pairs yet', async () => {
+      app = createTestApp();
+      await app.start();
+
+      const card = channelCards(app).find(c => c.text.includes('Token Details Unavailable'));
+      assert.equal(card.method, 'sendMessage');
+      assert.match(card.text, /9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM/);
+    });
+
+    it('renders the boost card for the boosts feed', async () => {
+      app = createTestApp({ env: { FEEDS: 'boosts' }, files: { 'routes.json': ALL_FEEDS_ROUTES } });
+      await app.start();
+
+      const [card] = channelCards(app);
+      assert.match(card.text, /BHAT/);
+      assert.ok(app.storage.getToken('boosts:base-0x4ed4e862860bed51a9570b96d89af5e1b0efefed'));
+    });
+  });
+
+  describe('filtering', () => {
+    it('skips tokens below the liquidity floor and records the reason', async () => {
+      app = createTestApp({ env: { FILTER_MIN_LIQUIDITY: '10k' } });
+      await app.start();
+
+      const tiny = app.storage.getToken(TINY);
+      assert.equal(tiny.status, 'skipped');
+      assert.match(tiny.reasons.join(' '), /liquidity/);
+      assert.ok(!channelCards(app).some(c => c.text.includes('TINY')));
+      assert.equal(app.storage.getToken(MCAT).status, 'alerted');
+    });
+
+    it('applies chain allow lists', async () => {
+      app = createTestApp({ env: { FILTER_ALLOW_CHAINS: 'solana' } });
+      await app.start();
+
+      assert.equal(app.storage.getToken(FROG).status, 'skipped');
+      assert.equal(app.storage.getToken(TINY).status, 'skipped');
+      assert.equal(channelCards(app).length, 2);
+    });
+
+    it('applies per-feed rules on top of the global filter', async () => {
+      app = createTestApp({
+        env: { FEEDS: 'cto,profiles' },
+        files: { 'feeds.json': { feeds: { profiles: { rules: { minMarketCap: '5m' } } } } }
+      });
+      await app.start();
+
+      assert.equal(app.storage.getToken(MCAT).status, 'alerted');
+      const profile = app.storage.getToken(`profiles:${MCAT}`);
+      assert.equal(profile.status, 'skipped');
+      assert.match(profile.reasons[0], /^profiles: /);
+    });
+
+    it('blocks banned addresses before fetching details', async () => {
+      app = createTestApp();
+      app.moderation.ban('0x6982508145454Ce325dDbE47a25d4ec3d2311933', { reason: 'rug' });
+      await app.start();
+
+      const frog = app.storage.getToken(FROG);
+      assert.equal(frog.status, 'skipped');
+      assert.match(frog.reasons[0], /banned: rug/);
+      assert.ok(!app.http.requests.some(path => path.startsWith('/tokens/v1/ethereum/')));
+    });
+  });
+
+  describe('error paths', () => {
+    it('keeps tokens pending while details fail and alerts them once the API recovers', async () => {
+      const http = createReplayHttp();
+      http.fail('/tokens/v1/', 500);
+      app = createTestApp({ http });
+      await app.start();
+
+      assert.deepEqual(channelCards(app), []);
+      assert.equal(app.storage.getToken(MCAT).status, 'pending');
+      assert.match(app.storage.getToken(MCAT).reasons[0], /status code 500/);
+
+      http.restore('/tokens/v1/');
+      await app.pipeline.run();
+
+      assert.equal(app.storage.getToken(MCAT).status, 'alerted');
+      assert.equal(channelCards(app).length, 4);
+    });
+
+    it('gives up after DETAILS_MAX_ATTEMPTS failed lookups', async () => {
+      const http = createReplayHttp();
+      http.fail('/tokens/v1/', 0);
+      app = createTestApp({ http, env: { DETAILS_MAX_ATTEMPTS: '2' } });
+      await app.start();
+      await app.pipeline.run();
+
+      const token = app.storage.getToken(MCAT);
+      assert.equal(token.status, 'skipped');
+      assert.match(token.reasons[0], /unavailable after 2 attempts/);
+      assert.deepEqual(channelCards(app), []);
+    });
+
+    it('records feed failures for readiness without stopping other feeds', async () => {
+      const http = createReplayHttp();
+      http.fail('/token-profiles/', 503);
+      app = createTestApp({ http, env: { FEEDS: 'cto,profiles' } });
+      await app.start();
+
+      assert.match(app.health.feeds.profiles.lastError, /503/);
+      assert.equal(app.health.feeds.cto.lastError, null);
+      assert.equal(channelCards(app).length, 4);
+    });
+
+    it('falls back to a text card when Telegram rejects the banner', async () => {
+      app = createTestApp();
+      app.bot.failNext('sendPhoto', telegramError(400, 'Bad Request: wrong file identifier/HTTP URL specified'));
+      await app.start();
+
+      // Первая попытка - фото, после ответа 400 тот же текст уходит сообщением
+      const mcat = channelCards(app).filter(c => c.text.includes('MCAT'));
+      assert.deepEqual(mcat.map(c => c.method), ['sendPhoto', 'sendMessage']);
+      assert.equal(mcat[0].text, mcat[1].text);
+      const [delivery] = app.storage.listDeliveries(MCAT);
+      assert.equal(delivery.status, 'sent');
+      assert.equal(delivery.kind, 'text');
+    });
+
+    it('leaves the alert queued when Telegram rate limits the bot', async () => {
+      app = createTestApp();
+      app.bot.failNext('sendMessage', telegramError(429, 'Too Many Requests: retry after 30', { retry_after: 30 }));
+      await app.start();
+
+      const [delivery] = app.storage.listDeliveries(TINY).concat(app.storage.listDeliveries(EMPTY))
+        .filter(d => d.status !== 'sent');
+      assert.equal(delivery.status, 'queued');
+      assert.match(delivery.error, /Too Many Requests/);
+      assert.ok(app.alerts.outbox.pending() >= 1);
+    });
+
+    it('marks the delivery failed on a permanent Telegram error', async () => {
+      app = createTestApp();
+      app.bot.failNext('sendPhoto', telegramError(403, 'Forbidden: bot is not a member of the channel chat'));
+      app.bot.failNext('sendPhoto', telegramError(403, 'Forbidden: bot is not a member of the channel chat'));
+      await app.start();
+
+      const failed = [MCAT, FROG].flatMap(id => app.storage.listDeliveries(id)).filter(d => d.status === 'failed');
+      assert.equal(failed.length, 2);
+      assert.match(failed[0].error, /not a member/);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreRisk } = require('../lib/risk');
+const { createEmptyRules, evaluateFilters } = require('../lib/filters');
+
+const HOUR = 60 * 60 * 1000;
+const PAIRS = require('./fixtures/dexscreener/pairs.json');
+const CTOS = require('./fixtures/dexscreener/community-takeovers.json');
+
+// Записанные пары по тикеру; MCAT - основной пул с соцсетями и ровной торговлей (риск 0)
+const [MCAT, MCAT_SMALL_POOL] = PAIRS.filter(pair => pair.baseToken.symbol === 'MCAT');
+const FROG = PAIRS.find(pair => pair.baseToken.symbol === 'FROG');
+const TINY = PAIRS.find(pair => pair.baseToken.symbol === 'TINY');
+const BHAT = PAIRS.find(pair => pair.baseToken.symbol === 'BHAT');
+
+// Оценка пары MCAT с измененными полями
+function scoreMcat(changes, options) {
+  return scoreRisk({ ...structuredClone(MCAT), ...changes }, null, options);
+}
+
+describe('risk score', () => {
+  it('scores a liquid, established pair with socials as low risk', () => {
+    assert.deepEqual(scoreRisk(MCAT), { score: 0, level: 'low', icon: '🟢', flags: [] });
+  });
+
+  it('treats a missing pair as maximum risk', () => {
+    assert.deepEqual(scoreRisk(null), { score: 100, level: 'high', icon: '🔴', flags: ['noMarketData'] });
+  });
+
+  it('weighs liquidity against market cap', () => {
+    assert.deepEqual(scoreRisk(MCAT_SMALL_POOL).flags, ['thinLiquidity', 'noSocials', 'noWebsite']);
+    assert.deepEqual(scoreRisk(BHAT).flags, ['lowLiquidity', 'noSocials', 'noWebsite']);
+    assert.deepEqual(scoreMcat({ liquidity: {} }), { score: 20, level: 'low', icon: '🟢', flags: ['noLiquidityData'] });
+  });
+
+  it('flags new pairs', () => {
+    assert.deepEqual(scoreMcat({}, { now: MCAT.pairCreatedAt + HOUR / 2 }).flags, ['brandNewPair']);
+    assert.equal(scoreMcat({}, { now: MCAT.pairCreatedAt + HOUR / 2 }).score, 20);
+    assert.equal(scoreMcat({}, { now: MCAT.pairCreatedAt + 5 * HOUR }).score, 10);
+  });
+
+  it('flags a token with a single pool', () => {
+    assert.deepEqual(scoreMcat({ pairsCount: 1 }).flags, ['singlePool']);
+    assert.deepEqual(scoreMcat({}, { pairsCount: 2 }).flags, []);
+  });
+
+  it('flags lopsided buy and sell pressure', () => {
+    assert.deepEqual(scoreMcat({ txns: { h1: { buys: 20, sells: 60 } } }).flags, ['sellHeavy']);
+    assert.deepEqual(scoreMcat({ txns: { h1: { buys: 60, sells: 0 } } }).flags, ['noSells']);
+    // Мало сделок за час - берется статистика за сутки
+    assert.deepEqual(scoreMcat({ txns: { h1: { buys: 3, sells: 0 }, h24: { buys: 30, sells: 70 } } }).flags, ['sellHeavy']);
+    assert.deepEqual(scoreMcat({ txns: { h1: { buys: 3, sells: 0 } } }).flags, []);
+  });
+
+  it('flags volume spikes and missing volume', () => {
+    assert.deepEqual(scoreMcat({ volume: { ...MCAT.volume, m5: MCAT.volume.h24 * 0.3 } }).flags, ['volumeSpike5m']);
+    assert.deepEqual(scoreMcat({ volume: { ...MCAT.volume, h1: MCAT.volume.h24 * 0.6 } }).flags, ['volumeSpike1h']);
+    assert.deepEqual(scoreMcat({ volume: {} }).flags, ['noVolume']);
+  });
+
+  it('counts socials and websites from the pair and the CTO links', () => {
+    assert.deepEqual(scoreRisk(FROG).flags, ['noSocials', 'noWebsite']);
+    const frogCto = CTOS.find(cto => cto.tokenAddress === FROG.baseToken.address);
+    assert.deepEqual(scoreRisk(FROG, frogCto), { score: 5, level: 'low', icon: '🟢', flags: ['noWebsite'] });
+  });
+
+  it('maps the score to a level', () => {
+    const risk = scoreRisk({
+      ...structuredClone(TINY),
+      liquidity: {},
+      pairsCount: 1,
+      volume: {},
+      txns: { h1: { buys: 1, sells: 30 } }
+    }, null, { now: TINY.pairCreatedAt });
+    assert.equal(risk.score, 90);
+    assert.equal(risk.level, 'high');
+    assert.equal(scoreMcat({ info: {} }, { now: MCAT.pairCreatedAt }).level, 'medium');
+  });
+});
+
+describe('maxRiskScore filter', () => {
+  const rules = { ...createEmptyRules(), maxRiskScore: 30 };
+
+  it('passes tokens at or below the limit', () => {
+    const mcatCto = CTOS.find(cto => cto.tokenAddress === MCAT.baseToken.address);
+    assert.deepEqual(evaluateFilters(rules, mcatCto, MCAT), { passed: true, reasons: [] });
+    assert.equal(evaluateFilters({ ...rules, maxRiskScore: 20 }, { chainId: 'bsc' }, TINY).passed, true);
+  });
+
+  it('skips tokens above the limit with the score in the reason', () => {
+    assert.deepEqual(evaluateFilters(rules, { chainId: 'base' }, BHAT), { passed: false, reasons: ['risk score 35/100 > max 30/100'] });
+  });
+
+  it('skips tokens without market data as an unknown score', () => {
+    assert.deepEqual(evaluateFilters(rules, { chainId: 'bsc' }, null).reasons, ['risk score unknown (max 30/100)']);
+  });
+});
@@ -0,0 +1,235 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRpcEndpoints, createSafetyChecker } = require('../lib/safety');
+const { startMockRpc, rpcFailure, solanaMint, largestAccounts, ownerWord } = require('./helpers/mockRpc');
+const { CHANNEL_ID, createTestApp, silenceConsole } = require('./helpers/app');
+
+const MINT = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const CONTRACT = '0x6982508145454Ce325dDbE47a25d4ec3d2311933';
+const DEV = '0x1f9840a85d5af5bf1d1762f925bdaddc4201f984';
+const SUPPLY = 1000000000000000n;
+
+// Поддельный байткод контракта
+const CODE = '0x6080604052348015600f57600080fd5b50';
+
+function checkTexts(result) {
+  return result.checks.map(c => `${c.ok ? '✅' : '⚠️'} ${c.text}`);
+}
+
+describe('parseRpcEndpoints', () => {
+  it('parses chain=url pairs', () => {
+    assert.deepEqual(parseRpcEndpoints('solana=https://rpc.example/sol?key=a=b, Base=http://127.0.0.1:8545'), {
+      solana: 'https://rpc.example/sol?key=a=b',
+      base: 'http://127.0.0.1:8545'
+    });
+    assert.deepEqual(parseRpcEndpoints(''), {});
+    assert.deepEqual(parseRpcEndpoints(undefined), {});
+  });
+
+  it('rejects unknown chains and invalid URLs', () => {
+    assert.throws(() => parseRpcEndpoints('tron=https://rpc.example'), /Unknown chain "tron"/);
+    assert.throws(() => parseRpcEndpoints('solana=ftp://rpc.example'), /Invalid RPC URL/);
+    assert.throws(() => parseRpcEndpoints('https://rpc.example'), /expected chain=url/);
+  });
+});
+
+describe('safety checks', () => {
+  let rpc;
+
+  before(async () => {
+    rpc = await startMockRpc();
+  });
+  after(() => rpc.close());
+
+  beforeEach((t) => {
+    silenceConsole(t);
+    rpc.calls.length = 0;
+    for (const method of Object.keys(rpc.handlers)) delete rpc.handlers[method];
+  });
+
+  function checker(chain = 'solana') {
+    return createSafetyChecker({ endpoints: { [chain]: rpc.url }, maxTopHolders: 30 });
+  }
+
+  describe('solana', () => {
+    it('passes a renounced mint with spread out holders', async () => {
+      rpc.handlers.getAccountInfo = () => solanaMint({ supply: String(SUPPLY) });
+      rpc.handlers.getTokenLargestAccounts = () => largestAccounts([SUPPLY / 20n, SUPPLY / 50n, SUPPLY / 100n]);
+
+      const result = await checker().check('solana', MINT);
+      assert.deepEqual(checkTexts(result), [
+        '✅ Mint authority renounced',
+        '✅ Freeze authority renounced',
+        '✅ Top 10 holders own 8.0%'
+      ]);
+      assert.equal(result.warnings, 0);
+      assert.equal(result.topHoldersPercent, 8);
+      assert.equal(result.family, 'solana');
+      assert.equal(rpc.calls[0].params[0], MINT);
+      assert.equal(rpc.calls[0].params[1].encoding, 'jsonParsed');
+    });
+
+    it('warns about active authorities and concentrated holders', async () => {
+      rpc.handlers.getAccountInfo = () => solanaMint({
+        mintAuthority: 'DevWa11et1111111111111111111111111111111111',
+        freezeAuthority: 'DevWa11et1111111111111111111111111111111111',
+        supply: String(SUPPLY)
+      });
+      rpc.handlers.getTokenLargestAccounts = () => largestAccounts(Array(12).fill(SUPPLY / 20n));
+
+      const result = await checker().check('solana', MINT);
+      assert.equal(result.warnings, 3);
+      assert.match(checkTexts(result)[0], /^⚠️ Mint authority active \(DevWa1…1111\)$/);
+      assert.match(checkTexts(result)[1], /^⚠️ Freeze authority active/);
+      // Считаются только 10 крупнейших счетов
+      assert.equal(checkTexts(result)[2], '⚠️ Top 10 holders own 50.0%');
+    });
+
+    it('keeps authority checks when the holder lookup fails', async () => {
+      rpc.handlers.getAccountInfo = () => solanaMint();
+      rpc.handlers.getTokenLargestAccounts = () => { throw rpcFailure(-32600, 'Too many accounts requested'); };
+
+      const result = await checker().check('solana', MINT);
+      assert.equal(result.error, null);
+      assert.equal(result.checks.length, 2);
+      assert.equal(result.topHoldersPercent, undefined);
+    });
+
+    it('reports an error for an address that is not a mint', async () => {
+      rpc.handlers.getAccountInfo = () => ({ context: { slot: 1 }, value: null });
+
+      const result = await checker().check('solana', MINT);
+      assert.match(result.error, /mint account not found/);
+      assert.equal(result.warnings, undefined);
+    });
+  });
+
+  describe('evm', () => {
+    it('warns when there is no contract code', async () => {
+      rpc.handlers.eth_getCode = () => '0x';
+
+      const result = await checker('base').check('base', CONTRACT);
+      assert.deepEqual(checkTexts(result), ['⚠️ No contract code at this address']);
+      assert.equal(result.family, 'evm');
+      assert.equal(rpc.calls.length, 1);
+    });
+
+    it('accepts ownership transferred to the dead address', async () => {
+      rpc.handlers.eth_getCode = () => CODE;
+      rpc.handlers.eth_call = () => ownerWord('0x000000000000000000000000000000000000dEaD');
+
+      const result = await checker('base').check('base', CONTRACT);
+      assert.deepEqual(checkTexts(result), ['✅ Contract deployed', '✅ Ownership renounced']);
+      assert.deepEqual(rpc.calls[1].params[0], { to: CONTRACT, data: '0x8da5cb5b' });
+    });
+
+    it('warns when the owner still holds the contract', async () => {
+      rpc.handlers.eth_getCode = () => CODE;
+      rpc.handlers.eth_call = () => ownerWord(DEV);
+
+      const result = await checker('base').check('base', CONTRACT);
+      assert.equal(checkTexts(result)[1], '⚠️ Owner not renounced (0x1f98…f984)');
+      assert.equal(result.warnings, 1);
+    });
+
+    it('treats a reverted owner() call as a contract without an owner', async () => {
+      rpc.handlers.eth_getCode = () => CODE;
+      rpc.handlers.eth_call = () => { throw rpcFailure(3, 'execution reverted'); };
+
+      const result = await checker('base').check('base', CONTRACT);
+      assert.deepEqual(checkTexts(result), ['✅ Contract deployed', '✅ No owner() function']);
+    });
+
+    it('reports an error when the RPC endpoint fails', async () => {
+      rpc.handlers.eth_getCode = () => { throw new Error('upstream unavailable'); };
+
+      const result = await checker('base').check('base', CONTRACT);
+      assert.match(result.error, /status code 500/);
+      assert.deepEqual(result.checks, []);
+    });
+  });
+
+  it('skips chains without an RPC endpoint', async () => {
+    const safety = checker('solana');
+    assert.equal(await safety.check('ethereum', CONTRACT), null);
+
+    const pair = { chainId: 'ethereum', baseToken: { address: CONTRACT } };
+    await safety.enrich(pair);
+    assert.equal('safety' in pair, false);
+    assert.equal(rpc.calls.length, 0);
+  });
+});
+
+describe('safety checks in alerts', () => {
+  let rpc;
+  let app;
+
+  before(async () => {
+    rpc = await startMockRpc({
+      getAccountInfo: () => solanaMint({ mintAuthority: 'DevWa11et1111111111111111111111111111111111' }),
+      getTokenLargestAccounts: () => largestAccounts([SUPPLY / 10n])
+    });
+  });
+  after(() => rpc.close());
+
+  beforeEach((t) => silenceConsole(t));
+  afterEach(async () => {
+    await app?.stop();
+    app = null;
+  });
+
+  it('adds the check lines to the card', async () => {
+    app = createTestApp({ env: { RPC_ENDPOINTS: `solana=${rpc.url}` } });
+    await app.start();
+
+    const card = app.bot.messagesTo(CHANNEL_ID).find(text => text.includes('MCAT'));
+    assert.match(card, /\n⚠️ Mint authority active \(DevWa1…1111\)\n✅ Freeze authority renounced\n✅ Top 10 holders own 10\.0%/);
+    // Для Ethereum RPC не задан - карточка без проверок
+    const frog = app.bot.messagesTo(CHANNEL_ID).find(text => text.includes('FROG'));
+    assert.doesNotMatch(frog, /✅|⚠️/);
+  });
+
+  it('filters tokens by the number of safety warnings', async () => {
+    app = createTestApp({ env: { RPC_ENDPOINTS: `solana=${rpc.url}`, FILTER_MAX_SAFETY_WARNINGS: '0' } });
+    await app.start();
+
+    const mcat = app.storage.getToken(`solana-${MINT}`);
+    assert.equal(mcat.status, 'skipped');
+    assert.deepEqual(mcat.reasons, ['safety warnings 1 > max 0']);
+    // Правило не применяется к сетям без RPC
+    assert.equal(app.storage.getToken('ethereum-0x6982508145454ce325ddbe47a25d4ec3d2311933').status, 'alerted');
+  });
+
+  it('does not skip tokens on safety rules when the configured RPC is down', async () => {
+    app = createTestApp({
+      env: { RPC_ENDPOINTS: 'solana=http://127.0.0.1:9', FILTER_MAX_SAFETY_WARNINGS: '0', FILTER_MAX_TOP_HOLDERS: '50' }
+    });
+    await app.start();
+
+    const mcat = app.storage.getToken(`solana-${MINT}`);
+    assert.equal(mcat.status, 'alerted');
+    assert.deepEqual(mcat.reasons, []);
+  });
+
+  it('does not skip tokens on maxTopHolders when the holder lookup fails', async (t) => {
+    const holdersDown = await startMockRpc({
+      getAccountInfo: () => solanaMint(),
+      getTokenLargestAccounts: () => { throw rpcFailure(-32010, 'not available for this token'); }
+    });
+    t.after(() => holdersDown.close());
+    app = createTestApp({ env: { RPC_ENDPOINTS: `solana=${holdersDown.url}`, FILTER_MAX_SAFETY_WARNINGS: '0', FILTER_MAX_TOP_HOLDERS: '50' } });
+    await app.start();
+
+    const mcat = app.storage.getToken(`solana-${MINT}`);
+    assert.equal(mcat.status, 'alerted');
+    assert.deepEqual(mcat.reasons, []);
+  });
+
+  it('shows that checks were unavailable on the card', async () => {
+    app = createTestApp({ env: { RPC_ENDPOINTS: 'solana=http://127.0.0.1:9' } });
+    await app.start();
+
+    const card = app.bot.messagesTo(CHANNEL_ID).find(text => text.includes('MCAT'));
+    assert.match(card, /⚠️ On-chain checks unavailable/);
+  });
+});
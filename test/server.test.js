@@ -0,0 +1,16 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHttpServer, sendText } = require('../lib/server');
+
+describe('http server', () => {
+  it('answers 400 to a request path it cannot parse and keeps serving', async (t) => {
+    const httpServer = createHttpServer();
+    httpServer.route('GET', '/healthz', async (req, res) => sendText(res, 200, 'ok'));
+    await httpServer.listen(0);
+    t.after(() => httpServer.server.close());
+    const baseUrl = `http://127.0.0.1:${httpServer.server.address().port}`;
+
+    assert.equal((await fetch(`${baseUrl}//`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/healthz`)).status, 200);
+  });
+});
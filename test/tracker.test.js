@@ -0,0 +1,68 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { createTracker, parseCheckpoints } = require('../lib/tracker');
+const { silenceConsole } = require('./helpers/app');
+
+const TOKEN_ID = 'solana-Pepe2222222222222222222222222222222222222';
+
+describe('performance tracker', () => {
+  let storage;
+  let notified;
+
+  // Трекер с одним чекпоинтом 1h, текущая капитализация - marketCap
+  function createTestTracker(marketCap) {
+    return createTracker({
+      storage,
+      fetchTokenDetails: async () => ({ marketCap }),
+      notify: async (token, message) => notified.push(message('en')),
+      checkpoints: parseCheckpoints('1h')
+    });
+  }
+
+  beforeEach((t) => {
+    silenceConsole(t);
+    storage = createStorage({ backend: 'memory' });
+    notified = [];
+    storage.saveToken({
+      id: TOKEN_ID,
+      chain: 'solana',
+      address: 'Pepe2222222222222222222222222222222222222',
+      status: 'alerted',
+      snapshot: { symbol: 'PEPE_<2>', marketCap: 100000 }
+    });
+  });
+
+  afterEach(() => storage.close());
+
+  it('escapes the symbol in multiple notifications', async () => {
+    const tracker = createTestTracker(250000);
+    tracker.schedule(TOKEN_ID, Date.now() - 2 * 60 * 60 * 1000);
+    await tracker.runDue();
+
+    assert.equal(notified.length, 1);
+    assert.match(notified[0], /^🚀 <b>PEPE_&lt;2&gt;<\/b> did 2\.5x since the alert/);
+    assert.equal(storage.hasMilestone(TOKEN_ID, 'x2'), true);
+  });
+
+  it('escapes the symbol in drop notifications', async () => {
+    const tracker = createTestTracker(30000);
+    tracker.schedule(TOKEN_ID, Date.now() - 2 * 60 * 60 * 1000);
+    await tracker.runDue();
+
+    assert.match(notified[0], /^📉 <b>PEPE_&lt;2&gt;<\/b> is down 70% since the alert/);
+  });
+
+  it('renders notifications in the requested language', async () => {
+    const tracker = createTracker({
+      storage,
+      fetchTokenDetails: async () => ({ marketCap: 250000 }),
+      notify: async (token, message) => notified.push(message('ru')),
+      checkpoints: parseCheckpoints('1h')
+    });
+    tracker.schedule(TOKEN_ID, Date.now() - 2 * 60 * 60 * 1000);
+    await tracker.runDue();
+
+    assert.match(notified[0], /^🚀 <b>PEPE_&lt;2&gt;<\/b> сделал 2\.5x с момента алерта \(капитализация \$100,0 тыс\. → \$250,0 тыс\.\)/);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { createHttpServer } = require('../lib/server');
+const webhook = require('../lib/webhook');
+const { createTestApp, silenceConsole } = require('./helpers/app');
+
+const WEBHOOK_ENV = { BOT_MODE: 'webhook', WEBHOOK_URL: 'https://bot.example.com' };
+
+describe('webhook secret', () => {
+  beforeEach((t) => silenceConsole(t));
+
+  it('derives the same valid secret for the same bot token', () => {
+    const secret = webhook.deriveSecret('123:token');
+    assert.equal(webhook.validateSecret(secret), secret);
+    assert.equal(webhook.deriveSecret('123:token'), secret);
+    assert.notEqual(webhook.deriveSecret('456:token'), secret);
+  });
+
+  it('accepts updates on any instance that derived the secret', async (t) => {
+    // Webhook регистрирует лидер, а запрос приходит на другой экземпляр с тем же токеном
+    const registered = webhook.deriveSecret('123:token');
+    const updates = [];
+    const httpServer = createHttpServer();
+    httpServer.route('POST', '/telegram', webhook.createWebhookHandler({
+      secret: webhook.deriveSecret('123:token'),
+      onUpdate: (update) => updates.push(update)
+    }));
+    await httpServer.listen(0);
+    t.after(() => httpServer.server.close());
+
+    const post = (secret) => fetch(`http://127.0.0.1:${httpServer.server.address().port}/telegram`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': secret },
+      body: JSON.stringify({ update_id: 1 })
+    });
+
+    assert.equal((await post('wrong')).status, 401);
+    assert.equal((await post(registered)).status, 200);
+    assert.deepEqual(updates, [{ update_id: 1 }]);
+  });
+});
+
+describe('webhook mode', () => {
+  beforeEach((t) => silenceConsole(t));
+
+  it('accepts updates on a standby with the secret registered by the leader', async (t) => {
+    const storage = createStorage({ backend: 'memory' });
+    const env = { ...WEBHOOK_ENV, LEADER_BACKEND: 'sqlite', LEADER_TTL: '3000' };
+    const leader = createTestApp({ env, storage });
+    const standby = createTestApp({ env, storage });
+    t.after(async () => {
+      await leader.stop();
+      await standby.stop();
+      storage.close();
+    });
+
+    await leader.start();
+    await standby.start();
+    const [{ args: [, options] }] = leader.bot.sent('setWebHook');
+
+    await standby.httpServer.listen(0);
+    const url = `http://127.0.0.1:${standby.httpServer.server.address().port}${standby.config.WEBHOOK_PATH}`;
+    const update = {
+      update_id: 1,
+      message: { message_id: 1, date: 0, from: { id: 7 }, chat: { id: 7, type: 'private' }, text: '/getchatid' }
+    };
+    const post = (secret) => fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': secret },
+      body: JSON.stringify(update)
+    });
+
+    assert.equal((await post('wrong')).status, 401);
+    assert.equal((await post(options.secret_token)).status, 200);
+  });
+
+  it('requires WEBHOOK_SECRET when there is no bot token to derive it from', () => {
+    assert.throws(
+      () => createTestApp({ env: { ...WEBHOOK_ENV, TELEGRAM_BOT_TOKEN: '' } }),
+      /BOT_MODE=webhook requires WEBHOOK_SECRET/
+    );
+  });
+});